@@ -0,0 +1,101 @@
+import fs from 'fs';
+
+// Keyword dictionary used to classify free-text rejection remarks.
+//
+// A remark is assigned to the category with the most keyword hits (case-insensitive substring
+// match); ties go to the category listed first. Set DENIAL_CATEGORIES_PATH to a JSON file with
+// the same shape to replace the dictionary without a code change.
+export const DEFAULT_DENIAL_CATEGORIES = [
+  {
+    id: 'documentation',
+    label: 'Missing or incorrect documentation',
+    keywords: [
+      'document', 'discharge summary', 'not uploaded', 'not attached', 'missing', 'illegible',
+      'signature', 'photo', 'investigation report', 'lab report', 'proof', 'incomplete'
+    ]
+  },
+  {
+    id: 'authorization',
+    label: 'Authorization issues',
+    keywords: [
+      'pre-auth', 'preauth', 'pre auth', 'authorization', 'authorisation', 'without approval',
+      'approval not', 'enhancement', 'prior approval'
+    ]
+  },
+  {
+    id: 'coding',
+    label: 'Coding and package selection errors',
+    keywords: [
+      'package', 'procedure code', 'wrong code', 'incorrect code', 'coding', 'icd',
+      'unbundl', 'mismatch', 'wrong procedure'
+    ]
+  },
+  {
+    id: 'eligibility',
+    label: 'Eligibility verification failures',
+    keywords: [
+      'eligib', 'not covered', 'beneficiary', 'health card', 'e-card', 'ekyc', 'e-kyc',
+      'identity', 'exclusion', 'not entitled', 'policy'
+    ]
+  },
+  {
+    id: 'timely_filing',
+    label: 'Timely filing issues',
+    keywords: ['timeline', 'late submission', 'submitted late', 'time limit', 'beyond', 'expired', 'delay in submission']
+  },
+  {
+    id: 'medical_necessity',
+    label: 'Medical necessity not established',
+    keywords: [
+      'not justified', 'unjustified', 'medical necessity', 'not indicated', 'could be treated',
+      'opd basis', 'length of stay', 'not required'
+    ]
+  },
+  {
+    id: 'duplicate',
+    label: 'Duplicate claims',
+    keywords: ['duplicate', 'already paid', 'already claimed', 'repeat claim']
+  }
+];
+
+// Category for remarks that match no keyword
+export const OTHER_DENIAL_CATEGORY = { id: 'other', label: 'Other reasons' };
+
+// Category for rejected claims with an empty remark
+export const UNSPECIFIED_DENIAL_CATEGORY = { id: 'unspecified', label: 'Reason not recorded' };
+
+// Distribution shown when the export has no remarks to analyse
+export const INDUSTRY_TYPICAL_DENIAL_REASONS = [
+  { category: 'documentation', reason: 'Missing or incorrect documentation', percentage: 35 },
+  { category: 'authorization', reason: 'Authorization issues', percentage: 25 },
+  { category: 'coding', reason: 'Coding errors', percentage: 20 },
+  { category: 'eligibility', reason: 'Eligibility verification failures', percentage: 12 },
+  { category: 'timely_filing', reason: 'Timely filing issues', percentage: 8 }
+];
+
+// Load the dictionary, preferring the JSON file named by DENIAL_CATEGORIES_PATH
+const loadDenialCategories = () => {
+  const configPath = process.env.DENIAL_CATEGORIES_PATH;
+  if (!configPath) return DEFAULT_DENIAL_CATEGORIES;
+
+  try {
+    const categories = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    if (!Array.isArray(categories) || categories.some(cat => !cat.id || !cat.label || !Array.isArray(cat.keywords))) {
+      throw new Error('Expected an array of { id, label, keywords } objects');
+    }
+    return categories;
+  } catch (error) {
+    console.error(`Error loading denial categories from ${configPath}, using defaults:`, error.message);
+    return DEFAULT_DENIAL_CATEGORIES;
+  }
+};
+
+export const DENIAL_CATEGORIES = loadDenialCategories();
+
+export default {
+  DEFAULT_DENIAL_CATEGORIES,
+  DENIAL_CATEGORIES,
+  OTHER_DENIAL_CATEGORY,
+  UNSPECIFIED_DENIAL_CATEGORY,
+  INDUSTRY_TYPICAL_DENIAL_REASONS
+};
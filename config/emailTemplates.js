@@ -0,0 +1,25 @@
+// Built-in email templates, keyed by the email they are used for.
+//
+// Subjects and bodies use the proposal template syntax ({{path}}, {{#if}}, {{#each}} and the
+// formatting helpers) and are plain text. They are rendered with the proposal's template data
+// plus `companyName` (from its branding profile) and `sender` (the user sending it). An edited
+// copy stored in email_templates replaces the built-in one until it is reset.
+export const DEFAULT_EMAIL_TEMPLATES = {
+  proposal_delivery: {
+    description: 'Proposal PDF sent to the hospital contact',
+    subject: '{{companyName}} proposal for {{hospitalName}}',
+    body: `Dear {{#if contactPerson}}{{contactPerson}}{{else}}Sir/Madam{{/if}},
+
+Please find attached our proposal for {{hospitalName}}, prepared from your claims data for {{analysisStartDate}} to {{analysisEndDate}}.
+
+Our analysis found ₹{{revenueLeakage}} in rejected claims and a denial rate of {{denialRate}}%. The proposal sets out how {{companyName}} can help recover this revenue and speed up payments.
+
+We would be glad to walk you through it. You can reach {{teamMemberName}} at {{contactEmail}} or {{contactPhone}}.
+
+Regards,
+{{#if sender}}{{sender}}
+{{/if}}{{companyName}}`
+  }
+};
+
+export const EMAIL_TEMPLATE_KEYS = Object.keys(DEFAULT_EMAIL_TEMPLATES);
@@ -0,0 +1,272 @@
+// English proposal text and number formats. Every other locale falls back to these messages for
+// keys it does not translate.
+//
+// Messages are looked up by dotted key (`summary.heading`, `roadmap.phases.0.title`); `{0}`, `{1}`
+// are filled from the arguments given to the `t` template helper, in order, and `{company}` with
+// the proposal's brand name (see services/branding.js).
+
+export default {
+  code: 'en',
+  name: 'English',
+  intlLocale: 'en-IN',
+  numberingSystem: 'latn',
+  // Proposal date style: "short" (19/10/2026) or "long" (19 October 2026)
+  dateStyle: 'short',
+  // Bundled font families needed for the script, besides Inter (see services/fontFaces.js)
+  fonts: [],
+  monthsShort: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+  // Suffixes for amounts in lakhs and crores: tables (₹12.35 L), words (₹12.3 Lakhs), chart labels (₹12.3L)
+  units: {
+    short: { lakh: ' L', crore: ' Cr' },
+    words: { lakh: ' Lakhs', crore: ' Crores' },
+    compact: { thousand: 'K', lakh: 'L', crore: 'Cr' }
+  },
+
+  messages: {
+    cover: {
+      tagline: 'Transforming Healthcare Revenue Cycle Management',
+      proposalDate: 'Proposal Date:',
+      title: 'Revenue Cycle Management Services Proposal',
+      submittedTo: 'Submitted to:'
+    },
+
+    summary: {
+      heading: 'Executive Summary',
+      // The hospital name is shown in bold between these two
+      thanksBefore: 'Thank you for the opportunity to showcase {company}\'s capabilities at ',
+      thanksAfter: '.',
+      intro: 'Following our product demonstration, we are pleased to submit this comprehensive Revenue Cycle Management proposal.',
+      // Shown only with the built-in Eyther.AI branding (no branding profile)
+      nameStory: 'Our name "Eyther" derives from "ether" - the fifth element that connects all others - reflecting our vision to become the essential connector in healthcare between hospitals, insurers, government agencies, and patients.',
+      valueHeading: 'Key Value Proposition',
+      valueIntro: 'Through our dedicated on-site service delivery backed by AI-powered expert systems, we guarantee significant improvements in your revenue cycle performance:',
+      rejectionTarget: '<3%',
+      rejectionLabel: 'Rejection Rates',
+      firstPassTarget: '70%+',
+      firstPassLabel: 'First-Pass Claim Ratio',
+      teamNote: 'Our deployed team members work closely with your hospital staff, supported by expert oversight to ensure accuracy and efficiency in every aspect of your revenue cycle management.',
+      pilot: 'This proposal outlines a comprehensive 120-day pilot program designed to demonstrate measurable results, followed by a long-term partnership that will transform your revenue cycle management operations. Our service fee structure is transparent and performance-based, ranging from 2-4% of your total monthly claim value with no setup fees or implementation costs.',
+      monthlyImpact: 'Projected Monthly Impact',
+      monthlyImpactLabel: 'Revenue Optimization',
+      annualBenefits: 'Annual Benefits',
+      annualBenefitsLabel: 'Total Revenue Impact'
+    },
+
+    profile: {
+      heading: 'Hospital Profile & Current State Analysis',
+      overview: 'Hospital Overview',
+      hospitalName: 'Hospital Name',
+      monthlyClaimValue: 'Monthly Claim Value',
+      avgLengthOfStay: 'Average Length of Stay',
+      days: '{0} days',
+      denialRate: 'Current Denial Rate',
+      totalClaims: 'Total Claims Analyzed',
+      averageClaimValue: 'Average Claim Value',
+      statusChart: 'Claims by Status',
+      paymentAging: 'Payment Aging'
+    },
+
+    denials: {
+      heading: 'Claim Denial Analysis',
+      ownHeading: 'Why Claims Are Being Rejected',
+      ownIntro: 'Categorized from the rejection remarks recorded against {0}\'s rejected claims, by number of claims and by rejected claim value.',
+      category: 'Denial Category',
+      claimShare: 'Share of Rejected Claims',
+      valueShare: 'Share of Rejected Value',
+      typicalHeading: 'Typical Causes of Claim Rejection',
+      typicalBadge: 'Industry-typical',
+      typicalNote: 'The claims data provided did not include rejection remarks, so this breakdown shows the denial pattern typical of scheme-empanelled hospitals. It is not an analysis of {0}\'s own rejections.',
+      typicalShare: 'Typical Share of Rejected Claims'
+    },
+
+    // Table headings shared by the trend and package tables
+    columns: {
+      month: 'Month',
+      package: 'Package',
+      claims: 'Claims',
+      claimValue: 'Claim Value',
+      approved: 'Approved',
+      paid: 'Paid',
+      denialRate: 'Denial Rate',
+      queryRate: 'Query Rate',
+      avgDaysToPayment: 'Avg Days to Payment',
+      approvalRatio: 'Approved / Package Rate',
+      avgStay: 'Avg Stay (days)'
+    },
+
+    trend: {
+      heading: 'Claims Trend by Month',
+      // {0} period, {1} basis below
+      period: '{0}, by {1} month',
+      basis: {
+        admission: 'admission',
+        discharge: 'discharge'
+      },
+      denialSummary: 'Denial rate moved from {0} in {1} to {2} in {3}.',
+      paymentSummary: 'Average days to payment moved from {0} in {1} to {2} in {3}.',
+      note: 'Amounts in ₹ (L = Lakhs, Cr = Crores). Paid reflects claims marked paid in the export; recent months may still have claims in process.'
+    },
+
+    packages: {
+      heading: 'Package Insights',
+      count: 'Top {0} of {1} packages by claim value',
+      // {0} package, {1} rejected value, {2} rejected claims, {3} denial rate
+      summary: '{0} has the most value in rejected claims: {1} across {2} claims ({3} denial rate).',
+      summaryOne: '{0} has the most value in rejected claims: {1} across {2} claim ({3} denial rate).',
+      note: 'Claim value is the package rate booked across claims. Approved / package rate averages claims that were not rejected; stay is measured from admission to discharge.'
+    },
+
+    financial: {
+      heading: 'Comprehensive Financial & Revenue Impact Analysis',
+      basedOn: 'Based on {0}\'s {1}-month performance data',
+      comparisonHeading: 'Current Performance vs. {company} Optimized State',
+      metric: 'Performance Metric',
+      current: 'Current State',
+      target: '{company} Target',
+      improvement: 'Improvement',
+      denialRate: 'Claim Denial Rate',
+      denialTarget: 'Less than 3%',
+      denialImprovement: '{0}% → 3%',
+      firstPass: 'First Pass Claim Ratio',
+      firstPassTarget: 'Over 70%',
+      firstPassImprovement: '{0}% → 70%+',
+      adminHours: 'Administrative Hours',
+      adminTarget: '10-15 minutes',
+      adminImprovement: '75% reduction',
+      impactHeading: 'Projected Financial Impact',
+      area: 'Revenue Optimization Area',
+      optimized: 'Optimized State',
+      monthlySavings: 'Monthly Savings',
+      annualImpact: 'Annual Impact',
+      denialReduction: 'Denial Rate Reduction',
+      firstPassGain: 'First Pass Improvement',
+      adminEfficiency: 'Administrative Efficiency',
+      total: 'Total Impact',
+      combined: 'Combined Revenue Optimization',
+      scenarioHeading: 'Projected Annual Benefit by Scenario',
+      leakage: 'Revenue Leakage',
+      atRisk: 'Annual at Risk',
+      savings: 'Annual Savings',
+      payback: 'Months Payback'
+    },
+
+    about: {
+      heading: 'About {company}',
+      // intro and mission are Eyther.AI's own; a branding profile's about text replaces them
+      intro: 'Eyther.AI stands at the forefront of healthcare revenue cycle transformation in India. Our name "Eyther" derives from "ether" - the fifth element that connects all others - reflecting our vision to become the essential connector in healthcare between hospitals, insurers, government agencies, and patients.',
+      missionHeading: 'Our Mission',
+      mission: 'To empower healthcare providers with intelligent revenue cycle solutions that maximize financial performance while reducing administrative burden, allowing them to focus on what matters most - patient care.',
+      whyHeading: 'Why Healthcare Providers Choose {company}',
+      reasons: [
+        { title: 'Domain Expertise', text: 'Deep understanding of Indian healthcare schemes including PMJAY, RGHS, and state-specific programs' },
+        { title: 'Proven Results', text: 'Consistent track record of reducing denial rates below 3% and improving collections by 40%+' },
+        { title: 'End-to-End Service', text: 'Complete revenue cycle management from patient registration to final payment reconciliation' },
+        { title: 'Risk-Free Model', text: 'Performance-based pricing with guaranteed ROI and no upfront infrastructure investment' }
+      ]
+    },
+
+    roadmap: {
+      heading: 'Implementation Roadmap',
+      intro: 'Our proven implementation methodology ensures smooth transition with zero disruption to your ongoing operations. The phased approach allows for gradual optimization while maintaining continuity of service.',
+      phases: [
+        {
+          title: 'Phase 1: Assessment & Setup',
+          days: 'Days 1-30',
+          intro: 'The implementation begins with deploying a dedicated {company} team member at your hospital to:',
+          steps: [
+            'Conduct comprehensive workflow analysis',
+            'Document current processes and pain points',
+            'Set up integration with existing systems',
+            'Establish baseline metrics and KPIs'
+          ]
+        },
+        {
+          title: 'Phase 2: Pilot Implementation',
+          days: 'Days 31-60',
+          intro: 'Limited rollout with select departments to:',
+          steps: [
+            'Test and refine workflows',
+            'Train hospital staff on new processes',
+            'Demonstrate early wins and ROI',
+            'Fine-tune system configurations'
+          ]
+        },
+        {
+          title: 'Phase 3: Full Deployment',
+          days: 'Days 61-90',
+          intro: 'Hospital-wide implementation with:',
+          steps: [
+            'Complete team deployment across all departments',
+            'Full automation and AI integration',
+            'Real-time performance monitoring',
+            'Continuous optimization based on results'
+          ]
+        }
+      ],
+      successHeading: 'Success Factors',
+      success: [
+        { value: 'Zero', label: 'Disruption to Operations' },
+        { value: '30 Days', label: 'To First Results' },
+        { value: '90 Days', label: 'To Full Optimization' }
+      ]
+    },
+
+    nextSteps: {
+      heading: 'Next Steps',
+      intro: 'To proceed with this partnership, we recommend the following immediate actions:',
+      steps: [
+        { title: 'Internal Review', text: 'Review this proposal with your executive team and department heads' },
+        { title: 'Demo Session', text: 'Schedule a detailed product demonstration with key stakeholders' },
+        { title: 'Site Assessment', text: 'Allow our team to conduct a comprehensive on-site assessment' },
+        { title: 'Contract Finalization', text: 'Review and finalize service agreement terms' }
+      ]
+    },
+
+    contact: {
+      heading: 'Contact Information',
+      primary: 'Primary Contact',
+      email: 'Email:',
+      phone: 'Phone:',
+      tagline: 'Your Revenue Cycle Partner'
+    },
+
+    charts: {
+      status: {
+        title: 'Claims by status',
+        empty: 'No claims to chart',
+        claims: 'claims',
+        paid: 'Paid',
+        approved: 'Approved',
+        pending: 'Pending',
+        rejected: 'Rejected',
+        other: 'Query / other'
+      },
+      trend: {
+        title: 'Monthly claim value and denial rate',
+        empty: 'Not enough dated claims for a monthly trend',
+        claimValue: 'Claim value',
+        denialRate: 'Denial rate'
+      },
+      roi: {
+        title: 'Projected annual benefit by scenario',
+        conservative: 'Conservative',
+        expected: 'Expected',
+        optimistic: 'Optimistic',
+        denialPrevention: 'Denial prevention',
+        collections: 'Faster collections',
+        efficiency: 'Process efficiency'
+      },
+      aging: {
+        title: 'Days to payment',
+        empty: 'No payment timing in the data',
+        caption: 'days from discharge to payment (paid claims)'
+      }
+    },
+
+    // Template fields that are filled with fixed text
+    defaults: {
+      processingTime: '45-60 minutes',
+      notAvailable: 'N/A'
+    }
+  }
+};
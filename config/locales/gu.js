@@ -0,0 +1,267 @@
+// Gujarati proposal text and number formats. Keys match config/locales/en.js; digits in messages are
+// written in Latin and shown in Gujarati along with every other number.
+
+export default {
+  code: 'gu',
+  name: 'ગુજરાતી',
+  intlLocale: 'gu-IN',
+  numberingSystem: 'gujr',
+  dateStyle: 'long',
+  fonts: ['Noto Sans Gujarati'],
+  monthsShort: ['જાન્યુ', 'ફેબ્રુ', 'માર્ચ', 'એપ્રિલ', 'મે', 'જૂન', 'જુલાઈ', 'ઑગસ્ટ', 'સપ્ટે', 'ઑક્ટો', 'નવે', 'ડિસે'],
+  units: {
+    short: { lakh: ' લાખ', crore: ' કરોડ' },
+    words: { lakh: ' લાખ', crore: ' કરોડ' },
+    compact: { thousand: ' હજાર', lakh: ' લાખ', crore: ' કરોડ' }
+  },
+
+  messages: {
+    cover: {
+      tagline: 'આરોગ્ય સેવા રેવન્યુ સાયકલ મેનેજમેન્ટમાં પરિવર્તન',
+      proposalDate: 'પ્રસ્તાવ તારીખ:',
+      title: 'રેવન્યુ સાયકલ મેનેજમેન્ટ સેવાઓ માટેનો પ્રસ્તાવ',
+      submittedTo: 'પ્રતિ:'
+    },
+
+    summary: {
+      heading: 'કાર્યકારી સારાંશ',
+      thanksBefore: '',
+      thanksAfter: ' ખાતે {company} ની ક્ષમતાઓ રજૂ કરવાની તક આપવા બદલ આભાર.',
+      intro: 'અમારા પ્રોડક્ટ ડેમોન્સ્ટ્રેશન પછી, આ વિસ્તૃત રેવન્યુ સાયકલ મેનેજમેન્ટ પ્રસ્તાવ રજૂ કરતાં અમને આનંદ થાય છે.',
+      nameStory: 'અમારું નામ "Eyther" શબ્દ "ether" (આકાશ) પરથી આવ્યું છે - એ પાંચમું તત્વ જે બાકીના બધાને જોડે છે - જે હોસ્પિટલો, વીમા કંપનીઓ, સરકારી એજન્સીઓ અને દર્દીઓ વચ્ચે આરોગ્ય સેવાની આવશ્યક કડી બનવાના અમારા વિઝનને દર્શાવે છે.',
+      valueHeading: 'મુખ્ય મૂલ્ય પ્રસ્તાવ',
+      valueIntro: 'AI-આધારિત નિષ્ણાત સિસ્ટમોના સહયોગથી સમર્પિત ઓન-સાઇટ સેવા દ્વારા, અમે તમારા રેવન્યુ સાયકલ પ્રદર્શનમાં નોંધપાત્ર સુધારાની ખાતરી આપીએ છીએ:',
+      rejectionLabel: 'અસ્વીકૃતિ દર',
+      firstPassLabel: 'પ્રથમ-પ્રયાસ ક્લેમ ગુણોત્તર',
+      teamNote: 'અમારા નિયુક્ત ટીમ સભ્યો નિષ્ણાત દેખરેખ સાથે તમારા હોસ્પિટલ સ્ટાફ સાથે નજીકથી કામ કરે છે, જેથી તમારા રેવન્યુ સાયકલ મેનેજમેન્ટના દરેક પાસામાં ચોકસાઈ અને કાર્યક્ષમતા સુનિશ્ચિત થાય.',
+      pilot: 'આ પ્રસ્તાવ માપી શકાય તેવાં પરિણામો દર્શાવવા માટે રચાયેલા 120 દિવસના વિસ્તૃત પાયલોટ કાર્યક્રમની રૂપરેખા આપે છે, અને ત્યારબાદ લાંબા ગાળાની ભાગીદારીની, જે તમારી રેવન્યુ સાયકલ મેનેજમેન્ટ કામગીરીને પરિવર્તિત કરશે. અમારું સેવા શુલ્ક માળખું પારદર્શક અને પ્રદર્શન-આધારિત છે, જે તમારા કુલ માસિક ક્લેમ મૂલ્યના 2-4% જેટલું છે, અને તેમાં કોઈ સેટઅપ ફી કે અમલીકરણ ખર્ચ નથી.',
+      monthlyImpact: 'અંદાજિત માસિક અસર',
+      monthlyImpactLabel: 'આવક સુધારણા',
+      annualBenefits: 'વાર્ષિક લાભ',
+      annualBenefitsLabel: 'કુલ આવક અસર'
+    },
+
+    profile: {
+      heading: 'હોસ્પિટલ પ્રોફાઇલ અને વર્તમાન સ્થિતિનું વિશ્લેષણ',
+      overview: 'હોસ્પિટલની ઝાંખી',
+      hospitalName: 'હોસ્પિટલનું નામ',
+      monthlyClaimValue: 'માસિક ક્લેમ મૂલ્ય',
+      avgLengthOfStay: 'દાખલ રહેવાનો સરેરાશ સમયગાળો',
+      days: '{0} દિવસ',
+      denialRate: 'વર્તમાન અસ્વીકૃતિ દર',
+      totalClaims: 'વિશ્લેષિત કુલ ક્લેમ',
+      averageClaimValue: 'સરેરાશ ક્લેમ મૂલ્ય',
+      statusChart: 'સ્થિતિ મુજબ ક્લેમ',
+      paymentAging: 'ચુકવણીમાં લાગતો સમય'
+    },
+
+    denials: {
+      heading: 'ક્લેમ અસ્વીકૃતિ વિશ્લેષણ',
+      ownHeading: 'ક્લેમ શા માટે અસ્વીકૃત થાય છે',
+      ownIntro: '{0} ના અસ્વીકૃત ક્લેમ પર નોંધાયેલી અસ્વીકૃતિ ટિપ્પણીઓના આધારે, ક્લેમની સંખ્યા અને અસ્વીકૃત ક્લેમ મૂલ્ય મુજબ વર્ગીકૃત.',
+      category: 'અસ્વીકૃતિ શ્રેણી',
+      claimShare: 'અસ્વીકૃત ક્લેમમાં હિસ્સો',
+      valueShare: 'અસ્વીકૃત મૂલ્યમાં હિસ્સો',
+      typicalHeading: 'ક્લેમ અસ્વીકૃતિનાં સામાન્ય કારણો',
+      typicalBadge: 'ઉદ્યોગ-સામાન્ય',
+      typicalNote: 'આપેલા ક્લેમ ડેટામાં અસ્વીકૃતિ ટિપ્પણીઓ સામેલ ન હતી, તેથી આ વિભાજન યોજના સાથે જોડાયેલી હોસ્પિટલોમાં સામાન્ય અસ્વીકૃતિ પેટર્ન દર્શાવે છે. આ {0} ની પોતાની અસ્વીકૃતિઓનું વિશ્લેષણ નથી.',
+      typicalShare: 'અસ્વીકૃત ક્લેમમાં સામાન્ય હિસ્સો'
+    },
+
+    // Built-in denial categories by id (config/denialCategories.js); English labels come from there
+    denialCategories: {
+      documentation: 'અધૂરા અથવા ખોટા દસ્તાવેજો',
+      authorization: 'પૂર્વ-મંજૂરી સંબંધિત સમસ્યાઓ',
+      coding: 'કોડિંગ અને પેકેજ પસંદગીની ભૂલો',
+      eligibility: 'પાત્રતા ચકાસણીમાં નિષ્ફળતા',
+      timely_filing: 'સમયસર રજૂઆત ન થવી',
+      medical_necessity: 'તબીબી આવશ્યકતા સાબિત ન થવી',
+      duplicate: 'ડુપ્લિકેટ ક્લેમ',
+      other: 'અન્ય કારણો',
+      unspecified: 'કારણ નોંધાયેલું નથી'
+    },
+
+    columns: {
+      month: 'મહિનો',
+      package: 'પેકેજ',
+      claims: 'ક્લેમ',
+      claimValue: 'ક્લેમ મૂલ્ય',
+      approved: 'મંજૂર',
+      paid: 'ચૂકવેલ',
+      denialRate: 'અસ્વીકૃતિ દર',
+      queryRate: 'ક્વેરી દર',
+      avgDaysToPayment: 'ચુકવણીના સરેરાશ દિવસ',
+      approvalRatio: 'મંજૂર / પેકેજ દર',
+      avgStay: 'સરેરાશ રોકાણ (દિવસ)'
+    },
+
+    trend: {
+      heading: 'મહિનાવાર ક્લેમ વલણ',
+      period: '{0}, {1} મહિના મુજબ',
+      basis: {
+        admission: 'દાખલ',
+        discharge: 'ડિસ્ચાર્જ'
+      },
+      denialSummary: 'અસ્વીકૃતિ દર {1} માં {0} થી બદલાઈને {3} માં {2} થયો.',
+      paymentSummary: 'ચુકવણીના સરેરાશ દિવસ {1} માં {0} થી બદલાઈને {3} માં {2} થયા.',
+      note: 'રકમ ₹ માં. "ચૂકવેલ" માં એવા ક્લેમ સામેલ છે જે એક્સપોર્ટમાં ચૂકવેલ તરીકે નોંધાયેલા છે; તાજેતરના મહિનાઓના કેટલાક ક્લેમ હજી પ્રક્રિયામાં હોઈ શકે છે.'
+    },
+
+    packages: {
+      heading: 'પેકેજ વિશ્લેષણ',
+      count: 'ક્લેમ મૂલ્ય મુજબ {1} માંથી ટોચનાં {0} પેકેજ',
+      summary: 'અસ્વીકૃત ક્લેમમાં સૌથી વધુ મૂલ્ય {0} નું છે: {2} ક્લેમમાં {1} ({3} અસ્વીકૃતિ દર).',
+      summaryOne: 'અસ્વીકૃત ક્લેમમાં સૌથી વધુ મૂલ્ય {0} નું છે: {2} ક્લેમમાં {1} ({3} અસ્વીકૃતિ દર).',
+      note: 'ક્લેમ મૂલ્ય એટલે તમામ ક્લેમમાં બુક થયેલો પેકેજ દર. મંજૂર / પેકેજ દર અસ્વીકૃત ન થયેલા ક્લેમની સરેરાશ છે; રોકાણ દાખલથી ડિસ્ચાર્જ સુધી માપવામાં આવ્યું છે.'
+    },
+
+    financial: {
+      heading: 'વિસ્તૃત નાણાકીય અને આવક અસર વિશ્લેષણ',
+      basedOn: '{0} ના {1} મહિનાના પ્રદર્શન ડેટા પર આધારિત',
+      comparisonHeading: 'વર્તમાન પ્રદર્શન વિરુદ્ધ {company} સાથેની સુધારેલી સ્થિતિ',
+      metric: 'પ્રદર્શન માપદંડ',
+      current: 'વર્તમાન સ્થિતિ',
+      target: '{company} લક્ષ્ય',
+      improvement: 'સુધારો',
+      denialRate: 'ક્લેમ અસ્વીકૃતિ દર',
+      denialTarget: '3% થી ઓછો',
+      firstPass: 'પ્રથમ-પ્રયાસ ક્લેમ ગુણોત્તર',
+      firstPassTarget: '70% થી વધુ',
+      adminHours: 'વહીવટી સમય',
+      adminTarget: '10-15 મિનિટ',
+      adminImprovement: '75% ઘટાડો',
+      impactHeading: 'અંદાજિત નાણાકીય અસર',
+      area: 'આવક સુધારણાનું ક્ષેત્ર',
+      optimized: 'સુધારેલી સ્થિતિ',
+      monthlySavings: 'માસિક બચત',
+      annualImpact: 'વાર્ષિક અસર',
+      denialReduction: 'અસ્વીકૃતિ દરમાં ઘટાડો',
+      firstPassGain: 'પ્રથમ-પ્રયાસમાં સુધારો',
+      adminEfficiency: 'વહીવટી કાર્યક્ષમતા',
+      total: 'કુલ અસર',
+      combined: 'સંયુક્ત આવક સુધારણા',
+      scenarioHeading: 'પરિસ્થિતિ મુજબ અંદાજિત વાર્ષિક લાભ',
+      leakage: 'આવકનું નુકસાન',
+      atRisk: 'જોખમમાં વાર્ષિક રકમ',
+      savings: 'વાર્ષિક બચત',
+      payback: 'મહિનામાં ખર્ચ વસૂલી'
+    },
+
+    about: {
+      heading: '{company} વિશે',
+      intro: 'Eyther.AI ભારતમાં આરોગ્ય સેવા રેવન્યુ સાયકલ પરિવર્તનમાં અગ્રેસર છે. અમારું નામ "Eyther" શબ્દ "ether" (આકાશ) પરથી આવ્યું છે - એ પાંચમું તત્વ જે બાકીના બધાને જોડે છે - જે હોસ્પિટલો, વીમા કંપનીઓ, સરકારી એજન્સીઓ અને દર્દીઓ વચ્ચે આરોગ્ય સેવાની આવશ્યક કડી બનવાના અમારા વિઝનને દર્શાવે છે.',
+      missionHeading: 'અમારું મિશન',
+      mission: 'આરોગ્ય સેવા પ્રદાતાઓને એવા બુદ્ધિશાળી રેવન્યુ સાયકલ ઉકેલોથી સશક્ત બનાવવા જે વહીવટી બોજ ઘટાડીને નાણાકીય પ્રદર્શનને મહત્તમ બનાવે, જેથી તેઓ સૌથી મહત્વની બાબત - દર્દીની સંભાળ - પર ધ્યાન કેન્દ્રિત કરી શકે.',
+      whyHeading: 'આરોગ્ય સેવા પ્રદાતાઓ {company} ને શા માટે પસંદ કરે છે',
+      reasons: [
+        { title: 'ક્ષેત્રની નિપુણતા', text: 'PMJAY, RGHS અને રાજ્ય-વિશિષ્ટ કાર્યક્રમો સહિત ભારતીય આરોગ્ય યોજનાઓની ઊંડી સમજ' },
+        { title: 'સાબિત પરિણામો', text: 'અસ્વીકૃતિ દર 3% થી નીચે લાવવાનો અને વસૂલાતમાં 40%+ સુધારાનો સતત રેકોર્ડ' },
+        { title: 'સંપૂર્ણ સેવા', text: 'દર્દી નોંધણીથી અંતિમ ચુકવણી મેળવણી સુધી સંપૂર્ણ રેવન્યુ સાયકલ મેનેજમેન્ટ' },
+        { title: 'જોખમ-મુક્ત મોડેલ', text: 'ગેરંટીડ ROI સાથે પ્રદર્શન-આધારિત કિંમત, અગાઉથી કોઈ ઇન્ફ્રાસ્ટ્રક્ચર રોકાણ વિના' }
+      ]
+    },
+
+    roadmap: {
+      heading: 'અમલીકરણ રૂપરેખા',
+      intro: 'અમારી સાબિત અમલીકરણ પદ્ધતિ તમારી ચાલુ કામગીરીમાં કોઈ વિક્ષેપ વિના સરળ પરિવર્તન સુનિશ્ચિત કરે છે. તબક્કાવાર અભિગમ સેવાની સાતત્યતા જાળવી રાખીને ક્રમિક સુધારણા શક્ય બનાવે છે.',
+      phases: [
+        {
+          title: 'તબક્કો 1: મૂલ્યાંકન અને સેટઅપ',
+          days: 'દિવસ 1-30',
+          intro: 'અમલીકરણની શરૂઆત તમારી હોસ્પિટલમાં એક સમર્પિત {company} ટીમ સભ્યની નિયુક્તિથી થાય છે, જે:',
+          steps: [
+            'વિસ્તૃત કાર્યપ્રવાહ વિશ્લેષણ કરશે',
+            'વર્તમાન પ્રક્રિયાઓ અને સમસ્યાઓનું દસ્તાવેજીકરણ કરશે',
+            'હાલની સિસ્ટમો સાથે સંકલન સ્થાપિત કરશે',
+            'આધારભૂત માપદંડો અને KPI નક્કી કરશે'
+          ]
+        },
+        {
+          title: 'તબક્કો 2: પાયલોટ અમલીકરણ',
+          days: 'દિવસ 31-60',
+          intro: 'પસંદગીના વિભાગોમાં મર્યાદિત શરૂઆત, જેથી:',
+          steps: [
+            'કાર્યપ્રવાહોનું પરીક્ષણ અને સુધારણા થઈ શકે',
+            'હોસ્પિટલ સ્ટાફને નવી પ્રક્રિયાઓની તાલીમ આપી શકાય',
+            'શરૂઆતની સફળતાઓ અને ROI દર્શાવી શકાય',
+            'સિસ્ટમ કન્ફિગરેશનને વધુ સચોટ બનાવી શકાય'
+          ]
+        },
+        {
+          title: 'તબક્કો 3: સંપૂર્ણ અમલ',
+          days: 'દિવસ 61-90',
+          intro: 'સમગ્ર હોસ્પિટલમાં અમલીકરણ, જેમાં:',
+          steps: [
+            'તમામ વિભાગોમાં સંપૂર્ણ ટીમની નિયુક્તિ',
+            'સંપૂર્ણ ઓટોમેશન અને AI સંકલન',
+            'રીઅલ-ટાઇમ પ્રદર્શન દેખરેખ',
+            'પરિણામોના આધારે સતત સુધારણા'
+          ]
+        }
+      ],
+      successHeading: 'સફળતાનાં પરિબળો',
+      success: [
+        { value: 'શૂન્ય', label: 'કામગીરીમાં વિક્ષેપ' },
+        { value: '30 દિવસ', label: 'પ્રથમ પરિણામો સુધી' },
+        { value: '90 દિવસ', label: 'સંપૂર્ણ સુધારણા સુધી' }
+      ]
+    },
+
+    nextSteps: {
+      heading: 'આગળનાં પગલાં',
+      intro: 'આ ભાગીદારી સાથે આગળ વધવા માટે, અમે નીચેનાં તાત્કાલિક પગલાંની ભલામણ કરીએ છીએ:',
+      steps: [
+        { title: 'આંતરિક સમીક્ષા', text: 'તમારી એક્ઝિક્યુટિવ ટીમ અને વિભાગના વડાઓ સાથે આ પ્રસ્તાવની સમીક્ષા કરો' },
+        { title: 'ડેમો સત્ર', text: 'મુખ્ય હિતધારકો સાથે વિગતવાર પ્રોડક્ટ ડેમોન્સ્ટ્રેશન નક્કી કરો' },
+        { title: 'સ્થળ મૂલ્યાંકન', text: 'અમારી ટીમને વિસ્તૃત ઓન-સાઇટ મૂલ્યાંકન કરવા દો' },
+        { title: 'કરારને અંતિમ સ્વરૂપ', text: 'સેવા કરારની શરતોની સમીક્ષા કરો અને તેને અંતિમ સ્વરૂપ આપો' }
+      ]
+    },
+
+    contact: {
+      heading: 'સંપર્ક માહિતી',
+      primary: 'મુખ્ય સંપર્ક',
+      email: 'ઈમેલ:',
+      phone: 'ફોન:',
+      tagline: 'તમારા રેવન્યુ સાયકલ ભાગીદાર'
+    },
+
+    charts: {
+      status: {
+        title: 'સ્થિતિ મુજબ ક્લેમ',
+        empty: 'ચાર્ટ માટે કોઈ ક્લેમ નથી',
+        claims: 'ક્લેમ',
+        paid: 'ચૂકવેલ',
+        approved: 'મંજૂર',
+        pending: 'બાકી',
+        rejected: 'અસ્વીકૃત',
+        other: 'ક્વેરી / અન્ય'
+      },
+      trend: {
+        title: 'માસિક ક્લેમ મૂલ્ય અને અસ્વીકૃતિ દર',
+        empty: 'માસિક વલણ માટે પૂરતા તારીખવાળા ક્લેમ નથી',
+        claimValue: 'ક્લેમ મૂલ્ય',
+        denialRate: 'અસ્વીકૃતિ દર'
+      },
+      roi: {
+        title: 'પરિસ્થિતિ મુજબ અંદાજિત વાર્ષિક લાભ',
+        conservative: 'ન્યૂનતમ',
+        expected: 'અપેક્ષિત',
+        optimistic: 'આશાવાદી',
+        denialPrevention: 'અસ્વીકૃતિ નિવારણ',
+        collections: 'ઝડપી વસૂલાત',
+        efficiency: 'પ્રક્રિયા કાર્યક્ષમતા'
+      },
+      aging: {
+        title: 'ચુકવણી સુધીના દિવસ',
+        empty: 'ડેટામાં ચુકવણીનો સમય ઉપલબ્ધ નથી',
+        caption: 'ડિસ્ચાર્જથી ચુકવણી સુધીના દિવસ (ચૂકવેલ ક્લેમ)'
+      }
+    },
+
+    defaults: {
+      processingTime: '45-60 મિનિટ',
+      notAvailable: 'ઉપલબ્ધ નથી'
+    }
+  }
+};
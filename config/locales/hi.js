@@ -0,0 +1,267 @@
+// Hindi proposal text and number formats. Keys match config/locales/en.js; digits in messages are
+// written in Latin and shown in Devanagari along with every other number.
+
+export default {
+  code: 'hi',
+  name: 'हिन्दी',
+  intlLocale: 'hi-IN',
+  numberingSystem: 'deva',
+  dateStyle: 'long',
+  fonts: ['Noto Sans Devanagari'],
+  monthsShort: ['जन॰', 'फ़र॰', 'मार्च', 'अप्रैल', 'मई', 'जून', 'जुल॰', 'अग॰', 'सित॰', 'अक्तू॰', 'नव॰', 'दिस॰'],
+  units: {
+    short: { lakh: ' लाख', crore: ' करोड़' },
+    words: { lakh: ' लाख', crore: ' करोड़' },
+    compact: { thousand: ' हज़ार', lakh: ' लाख', crore: ' करोड़' }
+  },
+
+  messages: {
+    cover: {
+      tagline: 'स्वास्थ्य सेवा राजस्व चक्र प्रबंधन में बदलाव',
+      proposalDate: 'प्रस्ताव दिनांक:',
+      title: 'राजस्व चक्र प्रबंधन सेवा प्रस्ताव',
+      submittedTo: 'सेवा में:'
+    },
+
+    summary: {
+      heading: 'कार्यकारी सारांश',
+      thanksBefore: '',
+      thanksAfter: ' में {company} की क्षमताओं को प्रदर्शित करने का अवसर देने के लिए धन्यवाद।',
+      intro: 'हमारे उत्पाद प्रदर्शन के बाद, हमें यह व्यापक राजस्व चक्र प्रबंधन प्रस्ताव प्रस्तुत करते हुए प्रसन्नता हो रही है।',
+      nameStory: 'हमारा नाम "Eyther" शब्द "ether" (आकाश) से बना है - वह पाँचवाँ तत्व जो अन्य सभी को जोड़ता है - जो अस्पतालों, बीमा कंपनियों, सरकारी एजेंसियों और मरीज़ों के बीच स्वास्थ्य सेवा की आवश्यक कड़ी बनने के हमारे दृष्टिकोण को दर्शाता है।',
+      valueHeading: 'मुख्य मूल्य प्रस्ताव',
+      valueIntro: 'AI-आधारित विशेषज्ञ प्रणालियों के सहयोग से समर्पित ऑन-साइट सेवा के माध्यम से, हम आपके राजस्व चक्र प्रदर्शन में उल्लेखनीय सुधार की गारंटी देते हैं:',
+      rejectionLabel: 'अस्वीकृति दर',
+      firstPassLabel: 'प्रथम-प्रयास क्लेम अनुपात',
+      teamNote: 'हमारे तैनात टीम सदस्य विशेषज्ञ निगरानी के साथ आपके अस्पताल के कर्मचारियों के साथ मिलकर काम करते हैं, ताकि आपके राजस्व चक्र प्रबंधन के हर पहलू में सटीकता और दक्षता सुनिश्चित हो।',
+      pilot: 'यह प्रस्ताव 120 दिनों के एक व्यापक पायलट कार्यक्रम की रूपरेखा प्रस्तुत करता है, जो मापने योग्य परिणाम दिखाने के लिए बनाया गया है, और उसके बाद एक दीर्घकालिक साझेदारी की, जो आपके राजस्व चक्र प्रबंधन संचालन को बदल देगी। हमारी सेवा शुल्क संरचना पारदर्शी और प्रदर्शन-आधारित है, जो आपके कुल मासिक क्लेम मूल्य का 2-4% है, और इसमें कोई सेटअप शुल्क या कार्यान्वयन लागत नहीं है।',
+      monthlyImpact: 'अनुमानित मासिक प्रभाव',
+      monthlyImpactLabel: 'राजस्व अनुकूलन',
+      annualBenefits: 'वार्षिक लाभ',
+      annualBenefitsLabel: 'कुल राजस्व प्रभाव'
+    },
+
+    profile: {
+      heading: 'अस्पताल प्रोफ़ाइल और वर्तमान स्थिति विश्लेषण',
+      overview: 'अस्पताल का अवलोकन',
+      hospitalName: 'अस्पताल का नाम',
+      monthlyClaimValue: 'मासिक क्लेम मूल्य',
+      avgLengthOfStay: 'भर्ती की औसत अवधि',
+      days: '{0} दिन',
+      denialRate: 'वर्तमान अस्वीकृति दर',
+      totalClaims: 'विश्लेषित कुल क्लेम',
+      averageClaimValue: 'औसत क्लेम मूल्य',
+      statusChart: 'स्थिति के अनुसार क्लेम',
+      paymentAging: 'भुगतान में लगने वाला समय'
+    },
+
+    denials: {
+      heading: 'क्लेम अस्वीकृति विश्लेषण',
+      ownHeading: 'क्लेम क्यों अस्वीकृत हो रहे हैं',
+      ownIntro: '{0} के अस्वीकृत क्लेम पर दर्ज अस्वीकृति टिप्पणियों के आधार पर, क्लेम की संख्या और अस्वीकृत क्लेम मूल्य के अनुसार वर्गीकृत।',
+      category: 'अस्वीकृति श्रेणी',
+      claimShare: 'अस्वीकृत क्लेम में हिस्सा',
+      valueShare: 'अस्वीकृत मूल्य में हिस्सा',
+      typicalHeading: 'क्लेम अस्वीकृति के सामान्य कारण',
+      typicalBadge: 'उद्योग-सामान्य',
+      typicalNote: 'प्रदान किए गए क्लेम डेटा में अस्वीकृति टिप्पणियाँ शामिल नहीं थीं, इसलिए यह विवरण योजना से जुड़े अस्पतालों में सामान्य अस्वीकृति पैटर्न दिखाता है। यह {0} की अपनी अस्वीकृतियों का विश्लेषण नहीं है।',
+      typicalShare: 'अस्वीकृत क्लेम में सामान्य हिस्सा'
+    },
+
+    // Built-in denial categories by id (config/denialCategories.js); English labels come from there
+    denialCategories: {
+      documentation: 'अधूरे या गलत दस्तावेज़',
+      authorization: 'पूर्व-अनुमोदन संबंधी समस्याएँ',
+      coding: 'कोडिंग और पैकेज चयन की त्रुटियाँ',
+      eligibility: 'पात्रता सत्यापन में विफलता',
+      timely_filing: 'समय पर दाखिल न करना',
+      medical_necessity: 'चिकित्सकीय आवश्यकता स्थापित नहीं',
+      duplicate: 'दोहरे क्लेम',
+      other: 'अन्य कारण',
+      unspecified: 'कारण दर्ज नहीं'
+    },
+
+    columns: {
+      month: 'माह',
+      package: 'पैकेज',
+      claims: 'क्लेम',
+      claimValue: 'क्लेम मूल्य',
+      approved: 'स्वीकृत',
+      paid: 'भुगतान',
+      denialRate: 'अस्वीकृति दर',
+      queryRate: 'क्वेरी दर',
+      avgDaysToPayment: 'भुगतान के औसत दिन',
+      approvalRatio: 'स्वीकृत / पैकेज दर',
+      avgStay: 'औसत अवधि (दिन)'
+    },
+
+    trend: {
+      heading: 'माहवार क्लेम रुझान',
+      period: '{0}, {1} माह के अनुसार',
+      basis: {
+        admission: 'भर्ती',
+        discharge: 'डिस्चार्ज'
+      },
+      denialSummary: 'अस्वीकृति दर {1} में {0} से बदलकर {3} में {2} हो गई।',
+      paymentSummary: 'भुगतान के औसत दिन {1} में {0} से बदलकर {3} में {2} हो गए।',
+      note: 'राशि ₹ में। "भुगतान" में वे क्लेम शामिल हैं जो निर्यात में भुगतान के रूप में दर्ज हैं; हाल के महीनों के कुछ क्लेम अभी प्रक्रिया में हो सकते हैं।'
+    },
+
+    packages: {
+      heading: 'पैकेज विश्लेषण',
+      count: 'क्लेम मूल्य के अनुसार {1} में से शीर्ष {0} पैकेज',
+      summary: 'अस्वीकृत क्लेम में सबसे अधिक मूल्य {0} का है: {2} क्लेम में {1} ({3} अस्वीकृति दर)।',
+      summaryOne: 'अस्वीकृत क्लेम में सबसे अधिक मूल्य {0} का है: {2} क्लेम में {1} ({3} अस्वीकृति दर)।',
+      note: 'क्लेम मूल्य सभी क्लेम में बुक की गई पैकेज दर है। स्वीकृत / पैकेज दर उन क्लेम का औसत है जो अस्वीकृत नहीं हुए; अवधि भर्ती से डिस्चार्ज तक मापी गई है।'
+    },
+
+    financial: {
+      heading: 'व्यापक वित्तीय और राजस्व प्रभाव विश्लेषण',
+      basedOn: '{0} के {1} महीनों के प्रदर्शन डेटा पर आधारित',
+      comparisonHeading: 'वर्तमान प्रदर्शन बनाम {company} के साथ अनुकूलित स्थिति',
+      metric: 'प्रदर्शन मापदंड',
+      current: 'वर्तमान स्थिति',
+      target: '{company} लक्ष्य',
+      improvement: 'सुधार',
+      denialRate: 'क्लेम अस्वीकृति दर',
+      denialTarget: '3% से कम',
+      firstPass: 'प्रथम-प्रयास क्लेम अनुपात',
+      firstPassTarget: '70% से अधिक',
+      adminHours: 'प्रशासनिक समय',
+      adminTarget: '10-15 मिनट',
+      adminImprovement: '75% की कमी',
+      impactHeading: 'अनुमानित वित्तीय प्रभाव',
+      area: 'राजस्व अनुकूलन क्षेत्र',
+      optimized: 'अनुकूलित स्थिति',
+      monthlySavings: 'मासिक बचत',
+      annualImpact: 'वार्षिक प्रभाव',
+      denialReduction: 'अस्वीकृति दर में कमी',
+      firstPassGain: 'प्रथम-प्रयास में सुधार',
+      adminEfficiency: 'प्रशासनिक दक्षता',
+      total: 'कुल प्रभाव',
+      combined: 'संयुक्त राजस्व अनुकूलन',
+      scenarioHeading: 'परिदृश्य के अनुसार अनुमानित वार्षिक लाभ',
+      leakage: 'राजस्व रिसाव',
+      atRisk: 'जोखिम में वार्षिक राशि',
+      savings: 'वार्षिक बचत',
+      payback: 'महीनों में लागत वसूली'
+    },
+
+    about: {
+      heading: '{company} के बारे में',
+      intro: 'Eyther.AI भारत में स्वास्थ्य सेवा राजस्व चक्र परिवर्तन में अग्रणी है। हमारा नाम "Eyther" शब्द "ether" (आकाश) से बना है - वह पाँचवाँ तत्व जो अन्य सभी को जोड़ता है - जो अस्पतालों, बीमा कंपनियों, सरकारी एजेंसियों और मरीज़ों के बीच स्वास्थ्य सेवा की आवश्यक कड़ी बनने के हमारे दृष्टिकोण को दर्शाता है।',
+      missionHeading: 'हमारा मिशन',
+      mission: 'स्वास्थ्य सेवा प्रदाताओं को ऐसे बुद्धिमान राजस्व चक्र समाधानों से सशक्त बनाना जो प्रशासनिक बोझ घटाते हुए वित्तीय प्रदर्शन को अधिकतम करें, ताकि वे सबसे महत्वपूर्ण कार्य - मरीज़ों की देखभाल - पर ध्यान केंद्रित कर सकें।',
+      whyHeading: 'स्वास्थ्य सेवा प्रदाता {company} को क्यों चुनते हैं',
+      reasons: [
+        { title: 'क्षेत्र विशेषज्ञता', text: 'PMJAY, RGHS और राज्य-विशिष्ट कार्यक्रमों सहित भारतीय स्वास्थ्य योजनाओं की गहरी समझ' },
+        { title: 'सिद्ध परिणाम', text: 'अस्वीकृति दर को 3% से नीचे लाने और वसूली में 40%+ सुधार का निरंतर रिकॉर्ड' },
+        { title: 'संपूर्ण सेवा', text: 'मरीज़ पंजीकरण से लेकर अंतिम भुगतान मिलान तक संपूर्ण राजस्व चक्र प्रबंधन' },
+        { title: 'जोखिम-मुक्त मॉडल', text: 'गारंटीशुदा ROI के साथ प्रदर्शन-आधारित मूल्य निर्धारण, बिना किसी अग्रिम बुनियादी ढाँचा निवेश के' }
+      ]
+    },
+
+    roadmap: {
+      heading: 'कार्यान्वयन रूपरेखा',
+      intro: 'हमारी सिद्ध कार्यान्वयन पद्धति आपके चालू संचालन में बिना किसी व्यवधान के सुचारु परिवर्तन सुनिश्चित करती है। चरणबद्ध दृष्टिकोण सेवा की निरंतरता बनाए रखते हुए क्रमिक अनुकूलन संभव बनाता है।',
+      phases: [
+        {
+          title: 'चरण 1: आकलन और सेटअप',
+          days: 'दिन 1-30',
+          intro: 'कार्यान्वयन की शुरुआत आपके अस्पताल में एक समर्पित {company} टीम सदस्य की तैनाती से होती है, जो:',
+          steps: [
+            'व्यापक कार्यप्रवाह विश्लेषण करेगा',
+            'वर्तमान प्रक्रियाओं और समस्याओं का दस्तावेज़ीकरण करेगा',
+            'मौजूदा प्रणालियों के साथ एकीकरण स्थापित करेगा',
+            'आधारभूत मापदंड और KPI निर्धारित करेगा'
+          ]
+        },
+        {
+          title: 'चरण 2: पायलट कार्यान्वयन',
+          days: 'दिन 31-60',
+          intro: 'चुनिंदा विभागों में सीमित शुरुआत, ताकि:',
+          steps: [
+            'कार्यप्रवाहों का परीक्षण और सुधार किया जा सके',
+            'अस्पताल कर्मचारियों को नई प्रक्रियाओं का प्रशिक्षण दिया जा सके',
+            'शुरुआती सफलताएँ और ROI प्रदर्शित किए जा सकें',
+            'सिस्टम कॉन्फ़िगरेशन को और बेहतर बनाया जा सके'
+          ]
+        },
+        {
+          title: 'चरण 3: पूर्ण तैनाती',
+          days: 'दिन 61-90',
+          intro: 'पूरे अस्पताल में कार्यान्वयन, जिसमें:',
+          steps: [
+            'सभी विभागों में पूरी टीम की तैनाती',
+            'पूर्ण स्वचालन और AI एकीकरण',
+            'रीयल-टाइम प्रदर्शन निगरानी',
+            'परिणामों के आधार पर निरंतर अनुकूलन'
+          ]
+        }
+      ],
+      successHeading: 'सफलता के कारक',
+      success: [
+        { value: 'शून्य', label: 'संचालन में व्यवधान' },
+        { value: '30 दिन', label: 'पहले परिणाम तक' },
+        { value: '90 दिन', label: 'पूर्ण अनुकूलन तक' }
+      ]
+    },
+
+    nextSteps: {
+      heading: 'अगले कदम',
+      intro: 'इस साझेदारी को आगे बढ़ाने के लिए, हम निम्नलिखित तत्काल कदमों की अनुशंसा करते हैं:',
+      steps: [
+        { title: 'आंतरिक समीक्षा', text: 'अपनी कार्यकारी टीम और विभाग प्रमुखों के साथ इस प्रस्ताव की समीक्षा करें' },
+        { title: 'डेमो सत्र', text: 'प्रमुख हितधारकों के साथ विस्तृत उत्पाद प्रदर्शन निर्धारित करें' },
+        { title: 'स्थल आकलन', text: 'हमारी टीम को व्यापक ऑन-साइट आकलन करने दें' },
+        { title: 'अनुबंध को अंतिम रूप', text: 'सेवा अनुबंध की शर्तों की समीक्षा करें और उन्हें अंतिम रूप दें' }
+      ]
+    },
+
+    contact: {
+      heading: 'संपर्क जानकारी',
+      primary: 'मुख्य संपर्क',
+      email: 'ईमेल:',
+      phone: 'फ़ोन:',
+      tagline: 'आपका राजस्व चक्र साझेदार'
+    },
+
+    charts: {
+      status: {
+        title: 'स्थिति के अनुसार क्लेम',
+        empty: 'चार्ट के लिए कोई क्लेम नहीं',
+        claims: 'क्लेम',
+        paid: 'भुगतान हुआ',
+        approved: 'स्वीकृत',
+        pending: 'लंबित',
+        rejected: 'अस्वीकृत',
+        other: 'क्वेरी / अन्य'
+      },
+      trend: {
+        title: 'मासिक क्लेम मूल्य और अस्वीकृति दर',
+        empty: 'मासिक रुझान के लिए पर्याप्त दिनांकित क्लेम नहीं',
+        claimValue: 'क्लेम मूल्य',
+        denialRate: 'अस्वीकृति दर'
+      },
+      roi: {
+        title: 'परिदृश्य के अनुसार अनुमानित वार्षिक लाभ',
+        conservative: 'न्यूनतम',
+        expected: 'अपेक्षित',
+        optimistic: 'आशावादी',
+        denialPrevention: 'अस्वीकृति रोकथाम',
+        collections: 'तेज़ वसूली',
+        efficiency: 'प्रक्रिया दक्षता'
+      },
+      aging: {
+        title: 'भुगतान तक के दिन',
+        empty: 'डेटा में भुगतान का समय उपलब्ध नहीं',
+        caption: 'डिस्चार्ज से भुगतान तक के दिन (भुगतान हुए क्लेम)'
+      }
+    },
+
+    defaults: {
+      processingTime: '45-60 मिनट',
+      notAvailable: 'उपलब्ध नहीं'
+    }
+  }
+};
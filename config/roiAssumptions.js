@@ -0,0 +1,84 @@
+// Assumptions behind the ROI projections.
+//
+// Rates are percentages (12 means 12%). `recoveryFactors` scale the recoverable denied amount
+// and `benefitFactors` scale the working-capital and efficiency benefits for each scenario.
+// `roiMultiple` is the benefit-to-investment ratio the payback period is derived from.
+// Presets stored in roi_presets and per-request overrides are layered on top of these.
+export const DEFAULT_ROI_ASSUMPTIONS = {
+  targetDenialRate: 5,
+  targetDaysToPayment: 30,
+  costOfCapital: 12,
+  efficiencySavingsRate: 2,
+  recoveryFactors: { conservative: 0.6, expected: 0.8, optimistic: 1.0 },
+  benefitFactors: { conservative: 0.5, expected: 0.7, optimistic: 1.0 },
+  roiMultiple: 3.5
+};
+
+const SCENARIOS = ['conservative', 'expected', 'optimistic'];
+
+// Accepted range for each numeric assumption
+const NUMBER_RANGES = {
+  targetDenialRate: [0, 100],
+  targetDaysToPayment: [0, 365],
+  costOfCapital: [0, 100],
+  efficiencySavingsRate: [0, 100],
+  roiMultiple: [0.1, 100]
+};
+
+const FACTOR_RANGE = [0, 2];
+
+const toNumber = (value) => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value);
+
+const inRange = (value, [min, max]) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+// Layer partial overrides onto a complete set of assumptions.
+// Returns { assumptions, errors }; unknown keys and out-of-range values are reported as errors.
+export const mergeRoiAssumptions = (base = DEFAULT_ROI_ASSUMPTIONS, overrides = {}) => {
+  const errors = [];
+  const assumptions = {
+    ...base,
+    recoveryFactors: { ...base.recoveryFactors },
+    benefitFactors: { ...base.benefitFactors }
+  };
+
+  if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return { assumptions, errors: ['ROI assumptions must be an object'] };
+  }
+
+  for (const [key, rawValue] of Object.entries(overrides)) {
+    if (rawValue === undefined || rawValue === null) continue;
+
+    if (NUMBER_RANGES[key]) {
+      const value = toNumber(rawValue);
+      if (!inRange(value, NUMBER_RANGES[key])) {
+        errors.push(`${key} must be a number between ${NUMBER_RANGES[key][0]} and ${NUMBER_RANGES[key][1]}`);
+      } else {
+        assumptions[key] = value;
+      }
+    } else if (key === 'recoveryFactors' || key === 'benefitFactors') {
+      if (typeof rawValue !== 'object' || Array.isArray(rawValue)) {
+        errors.push(`${key} must be an object with ${SCENARIOS.join(', ')} factors`);
+        continue;
+      }
+      for (const [scenario, rawFactor] of Object.entries(rawValue)) {
+        const factor = toNumber(rawFactor);
+        if (!SCENARIOS.includes(scenario)) {
+          errors.push(`Unknown scenario in ${key}: ${scenario}`);
+        } else if (!inRange(factor, FACTOR_RANGE)) {
+          errors.push(`${key}.${scenario} must be a number between ${FACTOR_RANGE[0]} and ${FACTOR_RANGE[1]}`);
+        } else {
+          assumptions[key][scenario] = factor;
+        }
+      }
+    } else {
+      errors.push(`Unknown ROI assumption: ${key}`);
+    }
+  }
+
+  return { assumptions, errors };
+};
+
+export default {
+  DEFAULT_ROI_ASSUMPTIONS,
+  mergeRoiAssumptions
+};
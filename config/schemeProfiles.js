@@ -0,0 +1,152 @@
+// Claims export profiles for the government schemes our hospitals bill.
+//
+// Every profile maps the canonical (MAA Yojna) column names used by the metrics code to the
+// header aliases seen in that scheme's portal exports. `statuses` maps each portal status onto
+// a canonical status category (checked in order, case-insensitive, whole words). A term preceded
+// by "not", "non", "no" or "un-" does not match, so negated statuses ("Not Paid") are listed
+// under their own category; a profile without `statuses` already uses the MAA vocabulary. `dateFormats` are tried before the
+// generic date parser.
+
+// Columns that must be present for metrics to be computed
+export const REQUIRED_COLUMNS = [
+  'TID',
+  'Patient Name',
+  'Hospital Name',
+  'Status',
+  'Pkg Rate',
+  'Approved Amount'
+];
+
+// MAA Yojna status each category is normalized to, so downstream status checks work unchanged
+export const CANONICAL_STATUSES = {
+  rejected: 'Claim Rejected (Supervisor)',
+  paid: 'Claim Paid',
+  query: 'Claim Query',
+  approved: 'Claim Approved (Supervisor)',
+  pending: 'Pending'
+};
+
+export const SCHEME_PROFILES = {
+  maa: {
+    id: 'maa',
+    name: 'MAA Yojna',
+    columns: {
+      'TID': ['TID'],
+      'Patient Name': ['Patient Name'],
+      'Hospital Name': ['Hospital Name'],
+      'Status': ['Status'],
+      'Pkg Code': ['Pkg Code'],
+      'Pkg Name': ['Pkg Name'],
+      'Pkg Rate': ['Pkg Rate'],
+      'Approved Amount': ['Approved Amount'],
+      'Query Raised': ['Query Raised'],
+      'Date of Admission': ['Date of Admission'],
+      'Date of Discharge': ['Date of Discharge'],
+      'Payment Date': ['Payment Date'],
+      'Days to Payment': ['Days to Payment'],
+      'Remarks': ['Remarks', 'Rejection Remarks', 'Rejection Reason']
+    },
+    statuses: null,
+    dateFormats: ['D MMMM YYYY', 'YYYY-MM-DD']
+  },
+
+  pmjay: {
+    id: 'pmjay',
+    name: 'PMJAY (Ayushman Bharat)',
+    columns: {
+      'TID': ['Case No', 'Case Number', 'Claim ID', 'Registration ID'],
+      'Patient Name': ['Beneficiary Name', 'Patient Name'],
+      'Hospital Name': ['Hospital Name', 'Provider Name'],
+      'Status': ['Case Status', 'Claim Status'],
+      'Pkg Code': ['Procedure Code', 'Package Code'],
+      'Pkg Name': ['Procedure Name', 'Package Name'],
+      'Pkg Rate': ['Package Amount', 'Preauth Amount', 'Claim Initiated Amount'],
+      'Approved Amount': ['Claim Approved Amount', 'Approved Amount', 'Amount Approved'],
+      'Query Raised': ['Query Count', 'No of Queries'],
+      'Date of Admission': ['Admission Date', 'Date of Admission'],
+      'Date of Discharge': ['Discharge Date', 'Date of Discharge'],
+      'Payment Date': ['Payment Date', 'Paid Date'],
+      'Days to Payment': ['Days to Payment', 'Payment TAT'],
+      'Remarks': ['Rejection Remarks', 'Rejection Reason', 'Remarks', 'Denial Reason']
+    },
+    statuses: [
+      ['rejected', ['rejected', 'rejection', 'reject', 'denied', 'not approved', 'non approved', 'unapproved', 'not sanctioned']],
+      ['paid', ['paid', 'payment done', 'settled']],
+      ['query', ['query']],
+      ['approved', ['approved', 'sanctioned']],
+      ['pending', ['pending', 'submitted', 'initiated', 'under process', 'unpaid', 'not paid', 'unsettled', 'not settled']]
+    ],
+    dateFormats: ['DD/MM/YYYY', 'DD-MM-YYYY', 'DD-MMM-YYYY', 'YYYY-MM-DD']
+  },
+
+  rghs: {
+    id: 'rghs',
+    name: 'RGHS (Rajasthan Government Health Scheme)',
+    columns: {
+      'TID': ['TID', 'Transaction ID', 'Claim No'],
+      'Patient Name': ['Patient Name', 'Beneficiary Name'],
+      'Hospital Name': ['Hospital Name'],
+      'Status': ['Claim Status', 'Status'],
+      'Pkg Code': ['Package Code'],
+      'Pkg Name': ['Package Name'],
+      'Pkg Rate': ['Package Rate', 'Claimed Amount'],
+      'Approved Amount': ['Sanctioned Amount', 'Approved Amount'],
+      'Query Raised': ['Query Raised', 'Objection Count'],
+      'Date of Admission': ['Admission Date', 'Date of Admission'],
+      'Date of Discharge': ['Discharge Date', 'Date of Discharge'],
+      'Payment Date': ['Payment Date'],
+      'Days to Payment': ['Days to Payment'],
+      'Remarks': ['Rejection Reason', 'Remarks', 'Objection Remarks']
+    },
+    statuses: [
+      ['rejected', ['rejected', 'rejection', 'reject', 'not approved', 'non approved', 'unapproved', 'not sanctioned']],
+      ['paid', ['paid', 'payment released']],
+      ['query', ['query', 'objection']],
+      ['approved', ['approved', 'sanctioned']],
+      ['pending', ['pending', 'submitted', 'in process', 'unpaid', 'not paid']]
+    ],
+    dateFormats: ['DD/MM/YYYY', 'DD-MM-YYYY', 'YYYY-MM-DD']
+  },
+
+  cghs: {
+    id: 'cghs',
+    name: 'CGHS (Central Government Health Scheme)',
+    columns: {
+      'TID': ['Bill No', 'Bill Number', 'Claim ID'],
+      'Patient Name': ['Beneficiary Name', 'Patient Name'],
+      'Hospital Name': ['Hospital Name', 'Empanelled Hospital'],
+      'Status': ['Bill Status', 'Claim Status'],
+      'Pkg Code': ['CGHS Code', 'Package Code'],
+      'Pkg Name': ['Procedure', 'Package Name'],
+      'Pkg Rate': ['Bill Amount', 'Claimed Amount'],
+      'Approved Amount': ['Admissible Amount', 'Passed Amount'],
+      'Query Raised': ['Query Count', 'Returned Count'],
+      'Date of Admission': ['Date of Admission', 'Admission Date'],
+      'Date of Discharge': ['Date of Discharge', 'Discharge Date'],
+      'Payment Date': ['Payment Date', 'Date of Payment'],
+      'Days to Payment': ['Days to Payment'],
+      'Remarks': ['Disallowance Reason', 'Remarks', 'Rejection Reason']
+    },
+    statuses: [
+      ['rejected', ['rejected', 'rejection', 'reject', 'disallowed', 'not passed', 'not approved', 'non approved', 'unapproved']],
+      ['paid', ['paid', 'payment made']],
+      ['query', ['query', 'returned']],
+      ['approved', ['passed', 'approved']],
+      ['pending', ['pending', 'submitted', 'under scrutiny', 'unpaid', 'not paid']]
+    ],
+    dateFormats: ['DD/MM/YYYY', 'DD-MM-YYYY', 'DD.MM.YYYY', 'YYYY-MM-DD']
+  }
+};
+
+// Look up a profile by id (case-insensitive)
+export const getSchemeProfile = (schemeId) => {
+  if (!schemeId) return null;
+  return SCHEME_PROFILES[schemeId.toString().trim().toLowerCase()] || null;
+};
+
+export default {
+  REQUIRED_COLUMNS,
+  CANONICAL_STATUSES,
+  SCHEME_PROFILES,
+  getSchemeProfile
+};
@@ -24,4 +24,364 @@ END;
 $$ language 'plpgsql';
 
 CREATE TRIGGER update_users_updated_at BEFORE UPDATE
-    ON users FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
\ No newline at end of file
+    ON users FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Create proposals table
+CREATE TABLE IF NOT EXISTS proposals (
+    id SERIAL PRIMARY KEY,
+    hospital_name VARCHAR(255) NOT NULL,
+    hospital_params JSONB NOT NULL DEFAULT '{}'::jsonb,
+    metrics JSONB NOT NULL,
+    roi_projections JSONB NOT NULL,
+    template_data JSONB NOT NULL,
+    source_file_name VARCHAR(255),
+    pdf_file_name VARCHAR(255) NOT NULL,
+    pdf_data BYTEA NOT NULL,
+    pdf_size INTEGER NOT NULL,
+    generated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    regenerated_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_proposals_hospital_name ON proposals(hospital_name);
+CREATE INDEX IF NOT EXISTS idx_proposals_created_at ON proposals(created_at DESC);
+
+CREATE TRIGGER update_proposals_updated_at BEFORE UPDATE
+    ON proposals FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+
+-- Create proposal generation jobs table (processing_options are the request's options, e.g. data
+-- quality thresholds). Batch jobs render one proposal per hospital in an export; their ZIP of PDFs
+-- is kept as result_data and the outcome (proposal ids, failed hospitals, ...) as result.
+CREATE TABLE IF NOT EXISTS proposal_jobs (
+    id SERIAL PRIMARY KEY,
+    job_type VARCHAR(20) NOT NULL DEFAULT 'proposal'
+        CHECK (job_type IN ('proposal', 'batch')),
+    status VARCHAR(20) NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'parsing', 'rendering', 'done', 'failed')),
+    hospital_params JSONB NOT NULL DEFAULT '{}'::jsonb,
+    source_file_name VARCHAR(255) NOT NULL,
+    processing_options JSONB NOT NULL DEFAULT '{}'::jsonb,
+    error_message TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    proposal_id INTEGER REFERENCES proposals(id) ON DELETE SET NULL,
+    result JSONB,
+    result_file_name VARCHAR(255),
+    result_data BYTEA,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_proposal_jobs_status ON proposal_jobs(status, created_at);
+
+CREATE TRIGGER update_proposal_jobs_updated_at BEFORE UPDATE
+    ON proposal_jobs FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Create proposal job files table (a job's uploads, kept until it finishes so it can be resumed
+-- after a restart; 'contacts' is a batch's contacts mapping sheet)
+CREATE TABLE IF NOT EXISTS proposal_job_files (
+    id SERIAL PRIMARY KEY,
+    job_id INTEGER NOT NULL REFERENCES proposal_jobs(id) ON DELETE CASCADE,
+    kind VARCHAR(20) NOT NULL DEFAULT 'claims' CHECK (kind IN ('claims', 'contacts')),
+    position INTEGER NOT NULL DEFAULT 0,
+    file_name VARCHAR(255) NOT NULL,
+    data BYTEA NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_proposal_job_files_job ON proposal_job_files(job_id);
+
+-- Create ROI assumption presets table
+CREATE TABLE IF NOT EXISTS roi_presets (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    description TEXT,
+    assumptions JSONB NOT NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TRIGGER update_roi_presets_updated_at BEFORE UPDATE
+    ON roi_presets FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ROI assumptions each proposal was generated with
+ALTER TABLE proposals ADD COLUMN IF NOT EXISTS roi_assumptions JSONB;
+ALTER TABLE proposals ADD COLUMN IF NOT EXISTS roi_preset_id INTEGER REFERENCES roi_presets(id) ON DELETE SET NULL;
+
+-- Create proposal templates table (the HTML itself lives in versions). The built-in template
+-- (templates/proposal_template.html) is stored as one as well, marked is_builtin: the server
+-- publishes a version of it whenever the file changes, so proposals rendered with it keep the
+-- exact HTML. It cannot be changed or deleted through the API.
+CREATE TABLE IF NOT EXISTS proposal_templates (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    description TEXT,
+    is_builtin BOOLEAN NOT NULL DEFAULT false,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_proposal_templates_builtin ON proposal_templates(is_builtin) WHERE is_builtin;
+
+CREATE TRIGGER update_proposal_templates_updated_at BEFORE UPDATE
+    ON proposal_templates FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Create proposal template versions table (drafts are editable, published versions are not)
+CREATE TABLE IF NOT EXISTS proposal_template_versions (
+    id SERIAL PRIMARY KEY,
+    template_id INTEGER NOT NULL REFERENCES proposal_templates(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft'
+        CHECK (status IN ('draft', 'published')),
+    content TEXT NOT NULL,
+    notes TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    published_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (template_id, version)
+);
+
+CREATE TRIGGER update_proposal_template_versions_updated_at BEFORE UPDATE
+    ON proposal_template_versions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Template version each proposal was rendered with; a version used by a proposal cannot be
+-- deleted so the PDF can always be regenerated
+ALTER TABLE proposals ADD COLUMN IF NOT EXISTS template_version_id INTEGER REFERENCES proposal_template_versions(id) ON DELETE RESTRICT;
+
+-- Create branding profiles table (white-label branding for partner-led proposals)
+CREATE TABLE IF NOT EXISTS branding_profiles (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    company_name VARCHAR(100) NOT NULL,
+    primary_color VARCHAR(7) NOT NULL,
+    accent_color VARCHAR(7) NOT NULL,
+    about_text TEXT,
+    footer_contact TEXT,
+    logo_data BYTEA,
+    logo_mime_type VARCHAR(50),
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TRIGGER update_branding_profiles_updated_at BEFORE UPDATE
+    ON branding_profiles FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Branding profile each proposal was rendered with (NULL for the built-in branding); a profile
+-- used by a proposal cannot be deleted so the PDF can always be regenerated
+ALTER TABLE proposals ADD COLUMN IF NOT EXISTS branding_profile_id INTEGER REFERENCES branding_profiles(id) ON DELETE RESTRICT;
+
+-- The branding as it was when the proposal was rendered (company name, colors, texts and logo),
+-- so editing the profile later does not change existing proposals; NULL for the built-in branding
+ALTER TABLE proposals ADD COLUMN IF NOT EXISTS branding JSONB;
+
+-- Create proposal share links table (public links to a proposal PDF; the URL carries the public
+-- id and an HMAC signature over it and the expiry). After repeated incorrect PINs a link refuses
+-- every PIN until pin_locked_until, whichever IP they come from.
+CREATE TABLE IF NOT EXISTS proposal_share_links (
+    id SERIAL PRIMARY KEY,
+    proposal_id INTEGER NOT NULL REFERENCES proposals(id) ON DELETE CASCADE,
+    public_id VARCHAR(32) UNIQUE NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    max_downloads INTEGER CHECK (max_downloads > 0),
+    download_count INTEGER NOT NULL DEFAULT 0,
+    pin_hash VARCHAR(255),
+    failed_pin_attempts INTEGER NOT NULL DEFAULT 0,
+    pin_locked_until TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_proposal_share_links_proposal ON proposal_share_links(proposal_id);
+
+CREATE TRIGGER update_proposal_share_links_updated_at BEFORE UPDATE
+    ON proposal_share_links FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Create share link access log (every request for a link, including refused ones)
+CREATE TABLE IF NOT EXISTS proposal_share_link_accesses (
+    id SERIAL PRIMARY KEY,
+    share_link_id INTEGER NOT NULL REFERENCES proposal_share_links(id) ON DELETE CASCADE,
+    outcome VARCHAR(20) NOT NULL
+        CHECK (outcome IN ('downloaded', 'pin_required', 'invalid_pin', 'pin_locked', 'unavailable', 'expired', 'revoked', 'limit_reached')),
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    accessed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_proposal_share_link_accesses_link ON proposal_share_link_accesses(share_link_id, accessed_at DESC);
+
+-- Create email templates table (edited copies of the built-in email subjects and bodies in
+-- config/emailTemplates.js; deleting a row restores the built-in template)
+CREATE TABLE IF NOT EXISTS email_templates (
+    id SERIAL PRIMARY KEY,
+    template_key VARCHAR(50) UNIQUE NOT NULL,
+    subject TEXT NOT NULL,
+    body TEXT NOT NULL,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TRIGGER update_email_templates_updated_at BEFORE UPDATE
+    ON email_templates FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Create proposal email log (every attempt to email a proposal, with its outcome)
+CREATE TABLE IF NOT EXISTS proposal_emails (
+    id SERIAL PRIMARY KEY,
+    proposal_id INTEGER NOT NULL REFERENCES proposals(id) ON DELETE CASCADE,
+    status VARCHAR(10) NOT NULL CHECK (status IN ('sent', 'failed')),
+    transport VARCHAR(20) NOT NULL,
+    to_address VARCHAR(255) NOT NULL,
+    cc_addresses TEXT[] NOT NULL DEFAULT '{}',
+    subject TEXT NOT NULL,
+    message_id VARCHAR(255),
+    error_message TEXT,
+    sent_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_proposal_emails_proposal ON proposal_emails(proposal_id, created_at DESC);
+
+-- Create hospitals table (hospital and lead registry; owner_id is the Eyther team member
+-- responsible for the hospital, empanelled_schemes holds scheme ids from config/schemeProfiles.js)
+CREATE TABLE IF NOT EXISTS hospitals (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    location VARCHAR(255),
+    empanelled_schemes TEXT[] NOT NULL DEFAULT '{}',
+    owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    notes TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_hospitals_name ON hospitals(LOWER(name));
+CREATE INDEX IF NOT EXISTS idx_hospitals_owner ON hospitals(owner_id);
+
+CREATE TRIGGER update_hospitals_updated_at BEFORE UPDATE
+    ON hospitals FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Create hospital contacts table (the primary contact pre-fills generated proposals)
+CREATE TABLE IF NOT EXISTS hospital_contacts (
+    id SERIAL PRIMARY KEY,
+    hospital_id INTEGER NOT NULL REFERENCES hospitals(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    title VARCHAR(255),
+    email VARCHAR(255),
+    phone VARCHAR(50),
+    is_primary BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_hospital_contacts_hospital ON hospital_contacts(hospital_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_hospital_contacts_primary ON hospital_contacts(hospital_id) WHERE is_primary;
+
+CREATE TRIGGER update_hospital_contacts_updated_at BEFORE UPDATE
+    ON hospital_contacts FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Hospital each proposal was generated for (NULL when its details were typed into the request);
+-- a hospital with proposals cannot be deleted so its proposal history is kept
+ALTER TABLE proposals ADD COLUMN IF NOT EXISTS hospital_id INTEGER REFERENCES hospitals(id) ON DELETE RESTRICT;
+
+CREATE INDEX IF NOT EXISTS idx_proposals_hospital ON proposals(hospital_id, created_at DESC);
+
+-- Proposal lifecycle: draft -> in_review -> approved -> sent -> accepted/declined (a rejected
+-- review goes back to draft). Only approved or sent proposals can be emailed or shared.
+ALTER TABLE proposals ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('draft', 'in_review', 'approved', 'sent', 'accepted', 'declined'));
+
+CREATE INDEX IF NOT EXISTS idx_proposals_status ON proposals(status, created_at DESC);
+
+-- Create proposal status transitions table (every status change, who made it and why; a
+-- proposal's creation is its first transition, with no from_status)
+CREATE TABLE IF NOT EXISTS proposal_status_transitions (
+    id SERIAL PRIMARY KEY,
+    proposal_id INTEGER NOT NULL REFERENCES proposals(id) ON DELETE CASCADE,
+    action VARCHAR(20) NOT NULL,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    comment TEXT,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_proposal_status_transitions_proposal ON proposal_status_transitions(proposal_id, created_at);
+
+-- Create claims datasets table (a named, stored upload of claims exports). The dataset and every
+-- claim row from it are purged at expires_at, retention_days after upload.
+CREATE TABLE IF NOT EXISTS claim_datasets (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    hospital_id INTEGER REFERENCES hospitals(id) ON DELETE SET NULL,
+    scheme JSONB NOT NULL,
+    source_file_name VARCHAR(255),
+    data_quality JSONB NOT NULL,
+    merge_report JSONB,
+    row_count INTEGER NOT NULL DEFAULT 0,
+    claim_count INTEGER NOT NULL DEFAULT 0,
+    skipped_rows INTEGER NOT NULL DEFAULT 0,
+    retention_days INTEGER NOT NULL CHECK (retention_days > 0),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_claim_datasets_hospital ON claim_datasets(hospital_id);
+CREATE INDEX IF NOT EXISTS idx_claim_datasets_expires_at ON claim_datasets(expires_at);
+
+CREATE TRIGGER update_claim_datasets_updated_at BEFORE UPDATE
+    ON claim_datasets FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Create claims table (one row per TID in a dataset, with the fields shared by all its rows)
+CREATE TABLE IF NOT EXISTS claims (
+    id SERIAL PRIMARY KEY,
+    dataset_id INTEGER NOT NULL REFERENCES claim_datasets(id) ON DELETE CASCADE,
+    tid VARCHAR(100) NOT NULL,
+    patient_name VARCHAR(255),
+    hospital_name VARCHAR(255),
+    date_of_admission TIMESTAMP WITH TIME ZONE,
+    UNIQUE (dataset_id, tid)
+);
+
+-- Create claim components table (one row per package line of a claim; row_number keeps the
+-- order of the merged export)
+CREATE TABLE IF NOT EXISTS claim_components (
+    id SERIAL PRIMARY KEY,
+    claim_id INTEGER NOT NULL REFERENCES claims(id) ON DELETE CASCADE,
+    dataset_id INTEGER NOT NULL REFERENCES claim_datasets(id) ON DELETE CASCADE,
+    row_number INTEGER NOT NULL,
+    pkg_code VARCHAR(100),
+    pkg_name TEXT,
+    pkg_rate NUMERIC(14, 2),
+    approved_amount NUMERIC(14, 2),
+    status VARCHAR(255),
+    original_status VARCHAR(255),
+    query_raised NUMERIC(10, 2),
+    date_of_discharge TIMESTAMP WITH TIME ZONE,
+    payment_date TIMESTAMP WITH TIME ZONE,
+    days_to_payment NUMERIC(10, 2),
+    remarks TEXT,
+    extra_fields JSONB,
+    UNIQUE (dataset_id, row_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_claim_components_claim ON claim_components(claim_id);
+
+-- Dataset each proposal was generated from (NULL for uploaded files); deleting a dataset keeps
+-- the proposals, which only hold aggregate figures
+ALTER TABLE proposals ADD COLUMN IF NOT EXISTS claim_dataset_id INTEGER REFERENCES claim_datasets(id) ON DELETE SET NULL;
+
+-- Dataset a queued job generates from (NULL when it has uploaded files); a dataset deleted or
+-- expired before the job runs fails the job
+ALTER TABLE proposal_jobs ADD COLUMN IF NOT EXISTS claim_dataset_id INTEGER REFERENCES claim_datasets(id) ON DELETE SET NULL;
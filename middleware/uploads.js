@@ -0,0 +1,74 @@
+import multer from 'multer';
+import path from 'path';
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Claims exports (CSV or Excel) uploaded for proposals and datasets. Uploads are parsed from disk
+// and removed by the route once handled.
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, path.join(__dirname, '../uploads/'));
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'claims-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+export const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 50 * 1024 * 1024 // 50MB limit for CSV/Excel files
+  },
+  fileFilter: function (req, file, cb) {
+    const extname = /csv|xlsx|xls/.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = file.mimetype.includes('spreadsheet') ||
+                    file.mimetype.includes('csv') ||
+                    file.mimetype === 'application/vnd.ms-excel';
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    }
+    cb(new Error('Invalid file type. Only CSV and Excel files are allowed.'));
+  }
+});
+
+// Most claims files accepted in one request (e.g. a year of monthly exports)
+export const MAX_CLAIMS_FILES = 12;
+
+// A single `csvFile` and/or several `csvFiles`
+export const claimsUpload = upload.fields([
+  { name: 'csvFile', maxCount: 1 },
+  { name: 'csvFiles', maxCount: MAX_CLAIMS_FILES }
+]);
+
+// Uploaded claims files in the order they were sent
+export const getUploadedFiles = (req) => [
+  ...(req.files?.csvFile || []),
+  ...(req.files?.csvFiles || [])
+];
+
+export const removeUploads = async (files) => {
+  for (const file of files) {
+    try {
+      await fs.unlink(file.path);
+    } catch (cleanupError) {
+      console.error('Error cleaning up uploaded file:', cleanupError);
+    }
+  }
+};
+
+// Sheet selection: 'all', a comma-separated list or repeated `sheets` fields; first sheet when omitted
+export const getSheetSelection = (body) => {
+  const value = body.sheets;
+  if (!value) return undefined;
+  if (!Array.isArray(value) && value.trim().toLowerCase() === 'all') return 'all';
+
+  const names = (Array.isArray(value) ? value : value.split(','))
+    .map(name => name.trim())
+    .filter(Boolean);
+  return names.length > 0 ? names : undefined;
+};
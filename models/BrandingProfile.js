@@ -0,0 +1,104 @@
+import { pool } from '../config/database.js';
+
+// Columns for listings (the logo itself is only loaded for a single profile)
+const SUMMARY_COLUMNS = `
+  id, name, company_name, primary_color, accent_color, about_text, footer_contact, logo_mime_type,
+  octet_length(logo_data) AS logo_size, created_by, created_at, updated_at
+`;
+
+class BrandingProfile {
+  static async create({ name, companyName, primaryColor, accentColor, aboutText, footerContact, logo, createdBy }) {
+    try {
+      const query = `
+        INSERT INTO branding_profiles (
+          name, company_name, primary_color, accent_color, about_text, footer_contact,
+          logo_data, logo_mime_type, created_by
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING ${SUMMARY_COLUMNS}
+      `;
+      const result = await pool.query(query, [
+        name,
+        companyName,
+        primaryColor,
+        accentColor,
+        aboutText || null,
+        footerContact || null,
+        logo?.data || null,
+        logo?.mimeType || null,
+        createdBy || null
+      ]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error creating branding profile:', error);
+      throw error;
+    }
+  }
+
+  // A profile with its logo, for rendering
+  static async findById(id) {
+    try {
+      const query = 'SELECT * FROM branding_profiles WHERE id = $1';
+      const result = await pool.query(query, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding branding profile by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findAll() {
+    try {
+      const query = `SELECT ${SUMMARY_COLUMNS} FROM branding_profiles ORDER BY name`;
+      const result = await pool.query(query);
+      return result.rows;
+    } catch (error) {
+      console.error('Error listing branding profiles:', error);
+      throw error;
+    }
+  }
+
+  // Update a profile's fields; `logo` replaces the logo, or removes it when null
+  static async update(id, { name, companyName, primaryColor, accentColor, aboutText, footerContact, logo }) {
+    try {
+      const query = `
+        UPDATE branding_profiles
+        SET name = $1, company_name = $2, primary_color = $3, accent_color = $4, about_text = $5,
+          footer_contact = $6,
+          logo_data = CASE WHEN $7 THEN $8::bytea ELSE logo_data END,
+          logo_mime_type = CASE WHEN $7 THEN $9 ELSE logo_mime_type END
+        WHERE id = $10
+        RETURNING ${SUMMARY_COLUMNS}
+      `;
+      const result = await pool.query(query, [
+        name,
+        companyName,
+        primaryColor,
+        accentColor,
+        aboutText || null,
+        footerContact || null,
+        logo !== undefined,
+        logo?.data || null,
+        logo?.mimeType || null,
+        id
+      ]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error updating branding profile:', error);
+      throw error;
+    }
+  }
+
+  static async delete(id) {
+    try {
+      const query = 'DELETE FROM branding_profiles WHERE id = $1 RETURNING id';
+      const result = await pool.query(query, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error deleting branding profile:', error);
+      throw error;
+    }
+  }
+}
+
+export default BrandingProfile;
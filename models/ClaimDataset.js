@@ -0,0 +1,294 @@
+import { pool } from '../config/database.js';
+
+// Claims inserted per statement when a dataset is saved
+const INSERT_BATCH_SIZE = 1000;
+
+// Dataset columns for listings and detail views (the claims are loaded separately)
+const DATASET_COLUMNS = `
+  d.id, d.name, d.hospital_id, d.scheme, d.source_file_name, d.data_quality, d.merge_report,
+  d.row_count, d.claim_count, d.skipped_rows, d.retention_days, d.expires_at, d.created_by,
+  d.created_at, d.updated_at,
+  h.name AS hospital_name,
+  (SELECT COUNT(*)::int FROM proposals p WHERE p.claim_dataset_id = d.id) AS proposal_count
+`;
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+class ClaimDataset {
+  // Save a dataset with its claims and their components in one transaction.
+  // claims: [{ tid, patientName, hospitalName, dateOfAdmission, components: [{ rowNumber, ... }] }]
+  static async create({
+    name, hospitalId, scheme, sourceFileName, dataQuality, mergeReport, rowCount, skippedRows,
+    retentionDays, createdBy, claims
+  }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const datasetResult = await client.query(
+        `INSERT INTO claim_datasets (
+           name, hospital_id, scheme, source_file_name, data_quality, merge_report, row_count,
+           claim_count, skipped_rows, retention_days, expires_at, created_by
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP + make_interval(days => $10), $11)
+         RETURNING id`,
+        [
+          name,
+          hospitalId || null,
+          JSON.stringify(scheme),
+          sourceFileName || null,
+          JSON.stringify(dataQuality),
+          mergeReport ? JSON.stringify(mergeReport) : null,
+          rowCount,
+          claims.length,
+          skippedRows || 0,
+          retentionDays,
+          createdBy || null
+        ]
+      );
+      const datasetId = datasetResult.rows[0].id;
+
+      for (const batch of chunk(claims, INSERT_BATCH_SIZE)) {
+        const claimResult = await client.query(
+          `INSERT INTO claims (dataset_id, tid, patient_name, hospital_name, date_of_admission)
+           SELECT $1, * FROM UNNEST($2::text[], $3::text[], $4::text[], $5::timestamptz[])
+           RETURNING id, tid`,
+          [
+            datasetId,
+            batch.map(claim => claim.tid),
+            batch.map(claim => claim.patientName),
+            batch.map(claim => claim.hospitalName),
+            batch.map(claim => claim.dateOfAdmission)
+          ]
+        );
+        const claimIds = new Map(claimResult.rows.map(row => [row.tid, row.id]));
+
+        const components = batch.flatMap(claim => claim.components.map(component => ({
+          claimId: claimIds.get(claim.tid),
+          ...component
+        })));
+        await client.query(
+          `INSERT INTO claim_components (
+             dataset_id, claim_id, row_number, pkg_code, pkg_name, pkg_rate, approved_amount, status,
+             original_status, query_raised, date_of_discharge, payment_date, days_to_payment, remarks,
+             extra_fields
+           )
+           SELECT $1, * FROM UNNEST(
+             $2::int[], $3::int[], $4::text[], $5::text[], $6::numeric[], $7::numeric[], $8::text[],
+             $9::text[], $10::numeric[], $11::timestamptz[], $12::timestamptz[], $13::numeric[], $14::text[],
+             $15::jsonb[]
+           )`,
+          [
+            datasetId,
+            components.map(component => component.claimId),
+            components.map(component => component.rowNumber),
+            components.map(component => component.pkgCode),
+            components.map(component => component.pkgName),
+            components.map(component => component.pkgRate),
+            components.map(component => component.approvedAmount),
+            components.map(component => component.status),
+            components.map(component => component.originalStatus),
+            components.map(component => component.queryRaised),
+            components.map(component => component.dateOfDischarge),
+            components.map(component => component.paymentDate),
+            components.map(component => component.daysToPayment),
+            components.map(component => component.remarks),
+            components.map(component => (component.extraFields ? JSON.stringify(component.extraFields) : null))
+          ]
+        );
+      }
+
+      await client.query('COMMIT');
+      return ClaimDataset.findById(datasetId);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error creating claims dataset:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const query = `
+        SELECT ${DATASET_COLUMNS}
+        FROM claim_datasets d
+        LEFT JOIN hospitals h ON h.id = d.hospital_id
+        WHERE d.id = $1
+      `;
+      const result = await pool.query(query, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding claims dataset by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findAll({ search, hospitalId, limit = 20, offset = 0 } = {}) {
+    try {
+      const params = [];
+      const conditions = [];
+
+      if (search) {
+        params.push(`%${search}%`);
+        conditions.push(`(d.name ILIKE $${params.length} OR d.source_file_name ILIKE $${params.length})`);
+      }
+      if (hospitalId) {
+        params.push(hospitalId);
+        conditions.push(`d.hospital_id = $${params.length}`);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const countResult = await pool.query(`SELECT COUNT(*) FROM claim_datasets d ${where}`, params);
+
+      params.push(limit, offset);
+      const query = `
+        SELECT ${DATASET_COLUMNS}
+        FROM claim_datasets d
+        LEFT JOIN hospitals h ON h.id = d.hospital_id
+        ${where}
+        ORDER BY d.created_at DESC
+        LIMIT $${params.length - 1} OFFSET $${params.length}
+      `;
+      const result = await pool.query(query, params);
+
+      return {
+        datasets: result.rows,
+        total: parseInt(countResult.rows[0].count)
+      };
+    } catch (error) {
+      console.error('Error listing claims datasets:', error);
+      throw error;
+    }
+  }
+
+  // Update the name, hospital and retention; the expiry is recomputed from the upload time
+  static async update(id, { name, hospitalId, retentionDays }) {
+    try {
+      const query = `
+        UPDATE claim_datasets
+        SET name = $1, hospital_id = $2, retention_days = $3,
+          expires_at = created_at + make_interval(days => $3)
+        WHERE id = $4
+        RETURNING id
+      `;
+      const result = await pool.query(query, [name, hospitalId || null, retentionDays, id]);
+      return result.rows[0] ? ClaimDataset.findById(id) : null;
+    } catch (error) {
+      console.error('Error updating claims dataset:', error);
+      throw error;
+    }
+  }
+
+  // Delete a dataset with every claim and component saved from it, unless a queued or running
+  // proposal job still has to load it; null when it does not exist or is in use
+  static async delete(id) {
+    try {
+      const query = `
+        DELETE FROM claim_datasets d
+        WHERE d.id = $1
+          AND NOT EXISTS (
+            SELECT 1 FROM proposal_jobs j
+            WHERE j.claim_dataset_id = d.id AND j.status IN ('queued', 'parsing', 'rendering')
+          )
+        RETURNING d.id, d.claim_count,
+          (SELECT COUNT(*)::int FROM claim_components c WHERE c.dataset_id = d.id) AS component_count
+      `;
+      const result = await pool.query(query, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error deleting claims dataset:', error);
+      throw error;
+    }
+  }
+
+  // Delete every dataset past its retention period; returns the deleted ids
+  static async deleteExpired() {
+    try {
+      const query = 'DELETE FROM claim_datasets WHERE expires_at <= CURRENT_TIMESTAMP RETURNING id';
+      const result = await pool.query(query);
+      return result.rows.map(row => row.id);
+    } catch (error) {
+      console.error('Error purging expired claims datasets:', error);
+      throw error;
+    }
+  }
+
+  // Every component of a dataset joined with its claim, in the order of the merged export
+  static async findRows(id) {
+    try {
+      const query = `
+        SELECT cl.tid, cl.patient_name, cl.hospital_name, cl.date_of_admission,
+          c.pkg_code, c.pkg_name, c.pkg_rate, c.approved_amount, c.status, c.original_status,
+          c.query_raised, c.date_of_discharge, c.payment_date, c.days_to_payment, c.remarks,
+          c.extra_fields
+        FROM claim_components c
+        JOIN claims cl ON cl.id = c.claim_id
+        WHERE c.dataset_id = $1
+        ORDER BY c.row_number
+      `;
+      const result = await pool.query(query, [id]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error loading claims dataset rows:', error);
+      throw error;
+    }
+  }
+
+  // A page of a dataset's claims with their components; search matches the TID and patient name
+  static async findClaims(id, { search, limit = 50, offset = 0 } = {}) {
+    try {
+      const params = [id];
+      let where = 'WHERE cl.dataset_id = $1';
+
+      if (search) {
+        params.push(`%${search}%`);
+        where += ` AND (cl.tid ILIKE $${params.length} OR cl.patient_name ILIKE $${params.length})`;
+      }
+
+      const countResult = await pool.query(`SELECT COUNT(*) FROM claims cl ${where}`, params);
+
+      params.push(limit, offset);
+      const query = `
+        SELECT cl.id, cl.tid, cl.patient_name, cl.hospital_name, cl.date_of_admission,
+          COALESCE(json_agg(json_build_object(
+            'pkgCode', c.pkg_code,
+            'pkgName', c.pkg_name,
+            'pkgRate', c.pkg_rate,
+            'approvedAmount', c.approved_amount,
+            'status', c.status,
+            'originalStatus', c.original_status,
+            'queryRaised', c.query_raised,
+            'dateOfDischarge', c.date_of_discharge,
+            'paymentDate', c.payment_date,
+            'daysToPayment', c.days_to_payment,
+            'remarks', c.remarks
+          ) ORDER BY c.row_number) FILTER (WHERE c.id IS NOT NULL), '[]') AS components
+        FROM claims cl
+        LEFT JOIN claim_components c ON c.claim_id = cl.id
+        ${where}
+        GROUP BY cl.id
+        ORDER BY MIN(c.row_number), cl.id
+        LIMIT $${params.length - 1} OFFSET $${params.length}
+      `;
+      const result = await pool.query(query, params);
+
+      return {
+        claims: result.rows,
+        total: parseInt(countResult.rows[0].count)
+      };
+    } catch (error) {
+      console.error('Error listing dataset claims:', error);
+      throw error;
+    }
+  }
+}
+
+export default ClaimDataset;
@@ -0,0 +1,57 @@
+import { pool } from '../config/database.js';
+
+// Edited email templates; keys without a row use the built-in template
+class EmailTemplate {
+  static async findByKey(key) {
+    try {
+      const query = 'SELECT * FROM email_templates WHERE template_key = $1';
+      const result = await pool.query(query, [key]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding email template by key:', error);
+      throw error;
+    }
+  }
+
+  static async findAll() {
+    try {
+      const query = 'SELECT * FROM email_templates ORDER BY template_key';
+      const result = await pool.query(query);
+      return result.rows;
+    } catch (error) {
+      console.error('Error listing email templates:', error);
+      throw error;
+    }
+  }
+
+  // Create or replace the edited copy of a template
+  static async upsert(key, { subject, body, updatedBy }) {
+    try {
+      const query = `
+        INSERT INTO email_templates (template_key, subject, body, updated_by)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (template_key)
+        DO UPDATE SET subject = EXCLUDED.subject, body = EXCLUDED.body, updated_by = EXCLUDED.updated_by
+        RETURNING *
+      `;
+      const result = await pool.query(query, [key, subject, body, updatedBy || null]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error saving email template:', error);
+      throw error;
+    }
+  }
+
+  static async delete(key) {
+    try {
+      const query = 'DELETE FROM email_templates WHERE template_key = $1 RETURNING id';
+      const result = await pool.query(query, [key]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error deleting email template:', error);
+      throw error;
+    }
+  }
+}
+
+export default EmailTemplate;
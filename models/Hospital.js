@@ -0,0 +1,234 @@
+import { pool } from '../config/database.js';
+
+// Hospital columns with the owner and contact and proposal totals
+const HOSPITAL_COLUMNS = `
+  h.id, h.name, h.location, h.empanelled_schemes, h.owner_id, h.notes, h.created_by, h.created_at, h.updated_at,
+  o.email AS owner_email, o.first_name AS owner_first_name, o.last_name AS owner_last_name,
+  (SELECT COUNT(*)::int FROM hospital_contacts c WHERE c.hospital_id = h.id) AS contact_count,
+  (SELECT COUNT(*)::int FROM proposals p WHERE p.hospital_id = h.id) AS proposal_count,
+  (SELECT MAX(p.created_at) FROM proposals p WHERE p.hospital_id = h.id) AS last_proposal_at
+`;
+
+const CONTACT_COLUMNS = 'id, hospital_id, name, title, email, phone, is_primary, created_at, updated_at';
+
+class Hospital {
+  static async create({ name, location, empanelledSchemes, ownerId, notes, createdBy }) {
+    try {
+      const query = `
+        INSERT INTO hospitals (name, location, empanelled_schemes, owner_id, notes, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id
+      `;
+      const result = await pool.query(query, [
+        name,
+        location || null,
+        empanelledSchemes || [],
+        ownerId || null,
+        notes || null,
+        createdBy || null
+      ]);
+      return Hospital.findById(result.rows[0].id);
+    } catch (error) {
+      console.error('Error creating hospital:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const query = `
+        SELECT ${HOSPITAL_COLUMNS}
+        FROM hospitals h
+        LEFT JOIN users o ON o.id = h.owner_id
+        WHERE h.id = $1
+      `;
+      const result = await pool.query(query, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding hospital by ID:', error);
+      throw error;
+    }
+  }
+
+  // Search matches the hospital name and location and its contacts' names and emails
+  static async findAll({ search, scheme, ownerId, limit = 20, offset = 0 } = {}) {
+    try {
+      const params = [];
+      const conditions = [];
+
+      if (search) {
+        params.push(`%${search}%`);
+        conditions.push(`(
+          h.name ILIKE $${params.length} OR h.location ILIKE $${params.length} OR EXISTS (
+            SELECT 1 FROM hospital_contacts c
+            WHERE c.hospital_id = h.id AND (c.name ILIKE $${params.length} OR c.email ILIKE $${params.length})
+          )
+        )`);
+      }
+      if (scheme) {
+        params.push(scheme);
+        conditions.push(`$${params.length} = ANY(h.empanelled_schemes)`);
+      }
+      if (ownerId) {
+        params.push(ownerId);
+        conditions.push(`h.owner_id = $${params.length}`);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const countResult = await pool.query(`SELECT COUNT(*) FROM hospitals h ${where}`, params);
+
+      params.push(limit, offset);
+      const query = `
+        SELECT ${HOSPITAL_COLUMNS}
+        FROM hospitals h
+        LEFT JOIN users o ON o.id = h.owner_id
+        ${where}
+        ORDER BY h.name, h.id
+        LIMIT $${params.length - 1} OFFSET $${params.length}
+      `;
+      const result = await pool.query(query, params);
+
+      return {
+        hospitals: result.rows,
+        total: parseInt(countResult.rows[0].count)
+      };
+    } catch (error) {
+      console.error('Error listing hospitals:', error);
+      throw error;
+    }
+  }
+
+  static async update(id, { name, location, empanelledSchemes, ownerId, notes }) {
+    try {
+      const query = `
+        UPDATE hospitals
+        SET name = $1, location = $2, empanelled_schemes = $3, owner_id = $4, notes = $5
+        WHERE id = $6
+        RETURNING id
+      `;
+      const result = await pool.query(query, [
+        name,
+        location || null,
+        empanelledSchemes || [],
+        ownerId || null,
+        notes || null,
+        id
+      ]);
+      return result.rows[0] ? Hospital.findById(id) : null;
+    } catch (error) {
+      console.error('Error updating hospital:', error);
+      throw error;
+    }
+  }
+
+  static async delete(id) {
+    try {
+      const query = 'DELETE FROM hospitals WHERE id = $1 RETURNING id';
+      const result = await pool.query(query, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error deleting hospital:', error);
+      throw error;
+    }
+  }
+
+  // Contacts with the primary contact first
+  static async findContacts(hospitalId) {
+    try {
+      const query = `
+        SELECT ${CONTACT_COLUMNS}
+        FROM hospital_contacts
+        WHERE hospital_id = $1
+        ORDER BY is_primary DESC, name, id
+      `;
+      const result = await pool.query(query, [hospitalId]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error listing hospital contacts:', error);
+      throw error;
+    }
+  }
+
+  static async findContact(hospitalId, contactId) {
+    try {
+      const query = `SELECT ${CONTACT_COLUMNS} FROM hospital_contacts WHERE hospital_id = $1 AND id = $2`;
+      const result = await pool.query(query, [hospitalId, contactId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding hospital contact:', error);
+      throw error;
+    }
+  }
+
+  // Add a contact; making it primary takes that over from the current primary contact
+  static async createContact(hospitalId, { name, title, email, phone, isPrimary }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      if (isPrimary) {
+        await client.query('UPDATE hospital_contacts SET is_primary = false WHERE hospital_id = $1 AND is_primary', [hospitalId]);
+      }
+
+      const result = await client.query(
+        `INSERT INTO hospital_contacts (hospital_id, name, title, email, phone, is_primary)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING ${CONTACT_COLUMNS}`,
+        [hospitalId, name, title || null, email || null, phone || null, Boolean(isPrimary)]
+      );
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error creating hospital contact:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  static async updateContact(hospitalId, contactId, { name, title, email, phone, isPrimary }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      if (isPrimary) {
+        await client.query(
+          'UPDATE hospital_contacts SET is_primary = false WHERE hospital_id = $1 AND is_primary AND id <> $2',
+          [hospitalId, contactId]
+        );
+      }
+
+      const result = await client.query(
+        `UPDATE hospital_contacts
+         SET name = $1, title = $2, email = $3, phone = $4, is_primary = $5
+         WHERE hospital_id = $6 AND id = $7
+         RETURNING ${CONTACT_COLUMNS}`,
+        [name, title || null, email || null, phone || null, Boolean(isPrimary), hospitalId, contactId]
+      );
+
+      await client.query('COMMIT');
+      return result.rows[0] || null;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error updating hospital contact:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  static async deleteContact(hospitalId, contactId) {
+    try {
+      const query = 'DELETE FROM hospital_contacts WHERE hospital_id = $1 AND id = $2 RETURNING id';
+      const result = await pool.query(query, [hospitalId, contactId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error deleting hospital contact:', error);
+      throw error;
+    }
+  }
+}
+
+export default Hospital;
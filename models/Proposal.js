@@ -0,0 +1,220 @@
+import { pool } from '../config/database.js';
+
+// Columns returned for listings and detail views (the PDF itself is fetched separately)
+const SUMMARY_COLUMNS = `
+  p.id, p.hospital_name, p.hospital_params, p.source_file_name, p.pdf_file_name, p.pdf_size,
+  p.roi_preset_id, p.template_version_id, p.branding_profile_id, p.hospital_id, p.claim_dataset_id, p.status,
+  p.generated_by,
+  p.regenerated_at, p.created_at, p.updated_at,
+  u.email AS generated_by_email, u.first_name AS generated_by_first_name, u.last_name AS generated_by_last_name
+`;
+
+// Apply a status transition inside the caller's transaction; the recorded transition, or null
+// when the proposal is not in one of `fromStatuses`
+const applyTransition = async (client, id, { action, fromStatuses, toStatus, comment, userId }) => {
+  // Locks the row so concurrent transitions are applied one after the other
+  const current = await client.query('SELECT status FROM proposals WHERE id = $1 FOR UPDATE', [id]);
+  const fromStatus = current.rows[0]?.status;
+  if (!fromStatus || !fromStatuses.includes(fromStatus)) return null;
+
+  await client.query('UPDATE proposals SET status = $1 WHERE id = $2', [toStatus, id]);
+  const result = await client.query(
+    `INSERT INTO proposal_status_transitions (proposal_id, action, from_status, to_status, comment, user_id)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [id, action, fromStatus, toStatus, comment || null, userId || null]
+  );
+  return result.rows[0];
+};
+
+class Proposal {
+  static async create({
+    hospitalName, hospitalParams, metrics, roiProjections, templateData, roiAssumptions, roiPresetId,
+    templateVersionId, brandingProfileId, branding, hospitalId, claimDatasetId, sourceFileName, pdfFileName, pdfData,
+    generatedBy
+  }) {
+    try {
+      // The creation is recorded as the first status transition (from no status to draft)
+      const query = `
+        WITH created AS (
+          INSERT INTO proposals (
+            hospital_name, hospital_params, metrics, roi_projections, template_data,
+            roi_assumptions, roi_preset_id, template_version_id, branding_profile_id, branding, hospital_id,
+            claim_dataset_id, source_file_name, pdf_file_name, pdf_data, pdf_size, generated_by
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+          RETURNING id, hospital_name, pdf_file_name, pdf_size, status, generated_by, created_at
+        ), transition AS (
+          INSERT INTO proposal_status_transitions (proposal_id, action, from_status, to_status, user_id, created_at)
+          SELECT id, 'create', NULL, status, generated_by, created_at FROM created
+        )
+        SELECT * FROM created
+      `;
+
+      const result = await pool.query(query, [
+        hospitalName,
+        JSON.stringify(hospitalParams || {}),
+        JSON.stringify(metrics),
+        JSON.stringify(roiProjections),
+        JSON.stringify(templateData),
+        roiAssumptions ? JSON.stringify(roiAssumptions) : null,
+        roiPresetId || null,
+        templateVersionId || null,
+        brandingProfileId || null,
+        branding ? JSON.stringify(branding) : null,
+        hospitalId || null,
+        claimDatasetId || null,
+        sourceFileName || null,
+        pdfFileName,
+        pdfData,
+        pdfData.length,
+        generatedBy || null
+      ]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error creating proposal:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const query = `
+        SELECT ${SUMMARY_COLUMNS}, p.metrics, p.roi_projections, p.template_data, p.roi_assumptions, p.branding
+        FROM proposals p
+        LEFT JOIN users u ON u.id = p.generated_by
+        WHERE p.id = $1
+      `;
+      const result = await pool.query(query, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding proposal by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findAll({ search, hospitalId, status, limit = 20, offset = 0 } = {}) {
+    try {
+      const params = [];
+      const conditions = [];
+
+      if (search) {
+        params.push(`%${search}%`);
+        conditions.push(`p.hospital_name ILIKE $${params.length}`);
+      }
+      if (hospitalId) {
+        params.push(hospitalId);
+        conditions.push(`p.hospital_id = $${params.length}`);
+      }
+      if (status) {
+        params.push(status);
+        conditions.push(`p.status = $${params.length}`);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const countResult = await pool.query(`SELECT COUNT(*) FROM proposals p ${where}`, params);
+
+      params.push(limit, offset);
+      const query = `
+        SELECT ${SUMMARY_COLUMNS}
+        FROM proposals p
+        LEFT JOIN users u ON u.id = p.generated_by
+        ${where}
+        ORDER BY p.created_at DESC
+        LIMIT $${params.length - 1} OFFSET $${params.length}
+      `;
+      const result = await pool.query(query, params);
+
+      return {
+        proposals: result.rows,
+        total: parseInt(countResult.rows[0].count)
+      };
+    } catch (error) {
+      console.error('Error listing proposals:', error);
+      throw error;
+    }
+  }
+
+  static async getPdf(id) {
+    try {
+      const query = 'SELECT id, pdf_file_name, pdf_data FROM proposals WHERE id = $1';
+      const result = await pool.query(query, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error getting proposal PDF:', error);
+      throw error;
+    }
+  }
+
+  // Replace a proposal's PDF. With a `transition` ({ action, fromStatuses, toStatus, comment,
+  // userId }) the status change is applied in the same transaction, so the new PDF and its status
+  // are stored together; null when the proposal is no longer in one of its fromStatuses.
+  static async updatePdf(id, { pdfFileName, pdfData, transition }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      if (transition && !await applyTransition(client, id, transition)) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const result = await client.query(
+        `UPDATE proposals
+         SET pdf_file_name = $1, pdf_data = $2, pdf_size = $3, regenerated_at = CURRENT_TIMESTAMP
+         WHERE id = $4
+         RETURNING id, hospital_name, pdf_file_name, pdf_size, status, regenerated_at`,
+        [pdfFileName, pdfData, pdfData.length, id]
+      );
+
+      await client.query('COMMIT');
+      return result.rows[0] || null;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error updating proposal PDF:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Move a proposal to `toStatus` if it is in one of `fromStatuses`, and record the transition.
+  // Null when the proposal is not (or no longer) in one of those statuses.
+  static async transitionStatus(id, transition) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const recorded = await applyTransition(client, id, transition);
+      await client.query(recorded ? 'COMMIT' : 'ROLLBACK');
+      return recorded;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error changing proposal status:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Status changes for a proposal, oldest first
+  static async findTransitions(id) {
+    try {
+      const query = `
+        SELECT t.*, u.email AS user_email, u.first_name AS user_first_name, u.last_name AS user_last_name
+        FROM proposal_status_transitions t
+        LEFT JOIN users u ON u.id = t.user_id
+        WHERE t.proposal_id = $1
+        ORDER BY t.created_at, t.id
+      `;
+      const result = await pool.query(query, [id]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error listing proposal status transitions:', error);
+      throw error;
+    }
+  }
+}
+
+export default Proposal;
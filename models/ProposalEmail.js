@@ -0,0 +1,58 @@
+import { pool } from '../config/database.js';
+
+// Log of attempts to email a proposal
+class ProposalEmail {
+  static async create({ proposalId, status, transport, to, cc, subject, messageId, errorMessage, sentBy }) {
+    try {
+      const query = `
+        INSERT INTO proposal_emails (
+          proposal_id, status, transport, to_address, cc_addresses, subject, message_id, error_message, sent_by
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING *
+      `;
+      const result = await pool.query(query, [
+        proposalId,
+        status,
+        transport,
+        to,
+        cc || [],
+        subject,
+        messageId || null,
+        errorMessage || null,
+        sentBy || null
+      ]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error logging proposal email:', error);
+      throw error;
+    }
+  }
+
+  // Attempts for a proposal, newest first
+  static async findByProposal(proposalId, { limit = 50, offset = 0 } = {}) {
+    try {
+      const countResult = await pool.query('SELECT COUNT(*) FROM proposal_emails WHERE proposal_id = $1', [proposalId]);
+
+      const query = `
+        SELECT e.*, u.email AS sent_by_email
+        FROM proposal_emails e
+        LEFT JOIN users u ON u.id = e.sent_by
+        WHERE e.proposal_id = $1
+        ORDER BY e.created_at DESC, e.id DESC
+        LIMIT $2 OFFSET $3
+      `;
+      const result = await pool.query(query, [proposalId, limit, offset]);
+
+      return {
+        emails: result.rows,
+        total: parseInt(countResult.rows[0].count)
+      };
+    } catch (error) {
+      console.error('Error listing proposal emails:', error);
+      throw error;
+    }
+  }
+}
+
+export default ProposalEmail;
@@ -0,0 +1,198 @@
+import { pool } from '../config/database.js';
+
+// Columns returned for status checks (uploads and the batch ZIP are only read when needed)
+const STATUS_COLUMNS = `
+  id, job_type, status, hospital_params, source_file_name, claim_dataset_id, error_message, attempts,
+  proposal_id, result, result_file_name, created_by, started_at, completed_at, created_at, updated_at
+`;
+
+class ProposalJob {
+  // Queue a job with its uploads, [{ kind, fileName, data }] in order, or a stored claims dataset
+  static async create({ jobType = 'proposal', hospitalParams, sourceFileName, claimDatasetId, files = [], processingOptions, createdBy }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO proposal_jobs (job_type, hospital_params, source_file_name, claim_dataset_id, processing_options, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING ${STATUS_COLUMNS}`,
+        [
+          jobType,
+          JSON.stringify(hospitalParams || {}),
+          sourceFileName,
+          claimDatasetId || null,
+          JSON.stringify(processingOptions || {}),
+          createdBy || null
+        ]
+      );
+      const job = result.rows[0];
+
+      for (const [position, file] of files.entries()) {
+        await client.query(
+          `INSERT INTO proposal_job_files (job_id, kind, position, file_name, data)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [job.id, file.kind || 'claims', position, file.fileName, file.data]
+        );
+      }
+
+      await client.query('COMMIT');
+      return job;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error creating proposal job:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const query = `SELECT ${STATUS_COLUMNS} FROM proposal_jobs WHERE id = $1`;
+      const result = await pool.query(query, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding proposal job by ID:', error);
+      throw error;
+    }
+  }
+
+  // A job's uploads in the order they were sent
+  static async findFiles(jobId) {
+    try {
+      const query = `
+        SELECT kind, file_name, data FROM proposal_job_files
+        WHERE job_id = $1
+        ORDER BY position
+      `;
+      const result = await pool.query(query, [jobId]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error finding proposal job files:', error);
+      throw error;
+    }
+  }
+
+  // A finished batch job's ZIP
+  static async findResultFile(id) {
+    try {
+      const query = `
+        SELECT result_file_name, result_data FROM proposal_jobs
+        WHERE id = $1 AND status = 'done' AND result_data IS NOT NULL
+      `;
+      const result = await pool.query(query, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding proposal job result:', error);
+      throw error;
+    }
+  }
+
+  // Atomically take the oldest queued job so concurrent workers never share one
+  static async claimNext() {
+    try {
+      const query = `
+        UPDATE proposal_jobs
+        SET status = 'parsing', attempts = attempts + 1, started_at = CURRENT_TIMESTAMP, error_message = NULL
+        WHERE id = (
+          SELECT id FROM proposal_jobs
+          WHERE status = 'queued'
+          ORDER BY created_at
+          FOR UPDATE SKIP LOCKED
+          LIMIT 1
+        )
+        RETURNING *
+      `;
+      const result = await pool.query(query);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error claiming proposal job:', error);
+      throw error;
+    }
+  }
+
+  static async updateStatus(id, status) {
+    try {
+      const query = 'UPDATE proposal_jobs SET status = $1 WHERE id = $2';
+      await pool.query(query, [status, id]);
+    } catch (error) {
+      console.error('Error updating proposal job status:', error);
+      throw error;
+    }
+  }
+
+  // Finish a job with its proposal, or a batch job with its outcome and ZIP; uploads are only
+  // kept until a job finishes
+  static async markDone(id, { proposalId = null, result = null, resultFileName = null, resultData = null } = {}) {
+    try {
+      const query = `
+        WITH removed_files AS (DELETE FROM proposal_job_files WHERE job_id = $5)
+        UPDATE proposal_jobs
+        SET status = 'done', proposal_id = $1, result = $2, result_file_name = $3, result_data = $4,
+          completed_at = CURRENT_TIMESTAMP
+        WHERE id = $5
+      `;
+      await pool.query(query, [proposalId, result && JSON.stringify(result), resultFileName, resultData, id]);
+    } catch (error) {
+      console.error('Error completing proposal job:', error);
+      throw error;
+    }
+  }
+
+  static async markFailed(id, errorMessage) {
+    try {
+      const query = `
+        WITH removed_files AS (DELETE FROM proposal_job_files WHERE job_id = $2)
+        UPDATE proposal_jobs
+        SET status = 'failed', error_message = $1, completed_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+      `;
+      await pool.query(query, [errorMessage, id]);
+    } catch (error) {
+      console.error('Error failing proposal job:', error);
+      throw error;
+    }
+  }
+
+  // Put jobs interrupted by a restart back in the queue. Jobs already started `maxAttempts` times
+  // (e.g. ones that crash the worker) are failed instead; returns { requeued, failed } ids.
+  static async requeueInterrupted(maxAttempts) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const failedResult = await client.query(
+        `UPDATE proposal_jobs
+         SET status = 'failed', completed_at = CURRENT_TIMESTAMP,
+           error_message = 'Generation was interrupted ' || attempts || ' times and was not retried again'
+         WHERE status IN ('parsing', 'rendering') AND attempts >= $1
+         RETURNING id`,
+        [maxAttempts]
+      );
+      const failed = failedResult.rows.map(row => row.id);
+      await client.query('DELETE FROM proposal_job_files WHERE job_id = ANY($1::int[])', [failed]);
+
+      const requeuedResult = await client.query(
+        `UPDATE proposal_jobs
+         SET status = 'queued'
+         WHERE status IN ('parsing', 'rendering')
+         RETURNING id`
+      );
+
+      await client.query('COMMIT');
+      return {
+        requeued: requeuedResult.rows.map(row => row.id),
+        failed
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error requeueing proposal jobs:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+export default ProposalJob;
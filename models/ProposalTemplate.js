@@ -0,0 +1,263 @@
+import { pool } from '../config/database.js';
+
+// Version columns for listings (the HTML is only returned for a single version)
+const VERSION_SUMMARY_COLUMNS = `
+  id, template_id, version, status, notes, created_by, published_at, created_at, updated_at,
+  octet_length(content) AS content_size
+`;
+
+class ProposalTemplate {
+  // Create a template together with its first (draft) version
+  static async create({ name, description, content, notes, createdBy }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const templateResult = await client.query(
+        `INSERT INTO proposal_templates (name, description, created_by)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [name, description || null, createdBy || null]
+      );
+      const template = templateResult.rows[0];
+
+      const versionResult = await client.query(
+        `INSERT INTO proposal_template_versions (template_id, version, content, notes, created_by)
+         VALUES ($1, 1, $2, $3, $4)
+         RETURNING ${VERSION_SUMMARY_COLUMNS}`,
+        [template.id, content, notes || null, createdBy || null]
+      );
+
+      await client.query('COMMIT');
+      return { template, version: versionResult.rows[0] };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error creating proposal template:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // The published version of the built-in template with this HTML, adding the template (on first
+  // use) and a new version (when the HTML changed). Proposals saved before the built-in template
+  // was stored, which have no version, are assigned this one.
+  static async syncBuiltinVersion({ name, description, content, notes }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      // Servers starting together must not add the same version twice
+      await client.query("SELECT pg_advisory_xact_lock(hashtext('proposal_templates_builtin'))");
+
+      let template = (await client.query('SELECT * FROM proposal_templates WHERE is_builtin')).rows[0];
+      if (!template) {
+        const templateResult = await client.query(
+          `INSERT INTO proposal_templates (name, description, is_builtin)
+           VALUES ($1, $2, true)
+           RETURNING *`,
+          [name, description]
+        );
+        template = templateResult.rows[0];
+      }
+
+      const existingResult = await client.query(
+        `SELECT ${VERSION_SUMMARY_COLUMNS}
+         FROM proposal_template_versions
+         WHERE template_id = $1 AND content = $2
+         ORDER BY version DESC
+         LIMIT 1`,
+        [template.id, content]
+      );
+      let version = existingResult.rows[0];
+      if (!version) {
+        const versionResult = await client.query(
+          `INSERT INTO proposal_template_versions (template_id, version, status, content, notes, published_at)
+           SELECT $1, COALESCE(MAX(version), 0) + 1, 'published', $2, $3, CURRENT_TIMESTAMP
+           FROM proposal_template_versions
+           WHERE template_id = $1
+           RETURNING ${VERSION_SUMMARY_COLUMNS}`,
+          [template.id, content, notes]
+        );
+        version = versionResult.rows[0];
+      }
+
+      await client.query('UPDATE proposals SET template_version_id = $1 WHERE template_version_id IS NULL', [version.id]);
+
+      await client.query('COMMIT');
+      return version;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error storing built-in proposal template:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const query = 'SELECT * FROM proposal_templates WHERE id = $1';
+      const result = await pool.query(query, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding proposal template by ID:', error);
+      throw error;
+    }
+  }
+
+  // Templates with their latest version and latest published version numbers
+  static async findAll() {
+    try {
+      const query = `
+        SELECT t.*,
+          (SELECT MAX(version) FROM proposal_template_versions v WHERE v.template_id = t.id) AS latest_version,
+          (SELECT MAX(version) FROM proposal_template_versions v
+            WHERE v.template_id = t.id AND v.status = 'published') AS published_version
+        FROM proposal_templates t
+        ORDER BY t.name
+      `;
+      const result = await pool.query(query);
+      return result.rows;
+    } catch (error) {
+      console.error('Error listing proposal templates:', error);
+      throw error;
+    }
+  }
+
+  static async update(id, { name, description }) {
+    try {
+      const query = `
+        UPDATE proposal_templates
+        SET name = $1, description = $2
+        WHERE id = $3
+        RETURNING *
+      `;
+      const result = await pool.query(query, [name, description || null, id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error updating proposal template:', error);
+      throw error;
+    }
+  }
+
+  // Fails with a foreign key violation (23503) while proposals reference one of its versions
+  static async delete(id) {
+    try {
+      const query = 'DELETE FROM proposal_templates WHERE id = $1 RETURNING id';
+      const result = await pool.query(query, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error deleting proposal template:', error);
+      throw error;
+    }
+  }
+
+  static async listVersions(templateId) {
+    try {
+      const query = `
+        SELECT ${VERSION_SUMMARY_COLUMNS}
+        FROM proposal_template_versions
+        WHERE template_id = $1
+        ORDER BY version DESC
+      `;
+      const result = await pool.query(query, [templateId]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error listing proposal template versions:', error);
+      throw error;
+    }
+  }
+
+  // Add the next version number as a draft
+  static async createVersion(templateId, { content, notes, createdBy }) {
+    try {
+      const query = `
+        INSERT INTO proposal_template_versions (template_id, version, content, notes, created_by)
+        SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4
+        FROM proposal_template_versions
+        WHERE template_id = $1
+        RETURNING ${VERSION_SUMMARY_COLUMNS}
+      `;
+      const result = await pool.query(query, [templateId, content, notes || null, createdBy || null]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error creating proposal template version:', error);
+      throw error;
+    }
+  }
+
+  static async findVersion(templateId, version) {
+    try {
+      const query = 'SELECT * FROM proposal_template_versions WHERE template_id = $1 AND version = $2';
+      const result = await pool.query(query, [templateId, version]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding proposal template version:', error);
+      throw error;
+    }
+  }
+
+  static async findVersionById(id) {
+    try {
+      const query = 'SELECT * FROM proposal_template_versions WHERE id = $1';
+      const result = await pool.query(query, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding proposal template version by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findLatestPublished(templateId) {
+    try {
+      const query = `
+        SELECT * FROM proposal_template_versions
+        WHERE template_id = $1 AND status = 'published'
+        ORDER BY version DESC
+        LIMIT 1
+      `;
+      const result = await pool.query(query, [templateId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding published proposal template version:', error);
+      throw error;
+    }
+  }
+
+  // Only drafts can be edited; null when the version does not exist or is published
+  static async updateDraft(templateId, version, { content, notes }) {
+    try {
+      const query = `
+        UPDATE proposal_template_versions
+        SET content = $1, notes = $2
+        WHERE template_id = $3 AND version = $4 AND status = 'draft'
+        RETURNING ${VERSION_SUMMARY_COLUMNS}
+      `;
+      const result = await pool.query(query, [content, notes || null, templateId, version]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error updating proposal template draft:', error);
+      throw error;
+    }
+  }
+
+  // Null when the version does not exist or is already published
+  static async publishVersion(templateId, version) {
+    try {
+      const query = `
+        UPDATE proposal_template_versions
+        SET status = 'published', published_at = CURRENT_TIMESTAMP
+        WHERE template_id = $1 AND version = $2 AND status = 'draft'
+        RETURNING ${VERSION_SUMMARY_COLUMNS}
+      `;
+      const result = await pool.query(query, [templateId, version]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error publishing proposal template version:', error);
+      throw error;
+    }
+  }
+}
+
+export default ProposalTemplate;
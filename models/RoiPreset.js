@@ -0,0 +1,74 @@
+import { pool } from '../config/database.js';
+
+class RoiPreset {
+  static async create({ name, description, assumptions, createdBy }) {
+    try {
+      const query = `
+        INSERT INTO roi_presets (name, description, assumptions, created_by)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `;
+      const result = await pool.query(query, [
+        name,
+        description || null,
+        JSON.stringify(assumptions),
+        createdBy || null
+      ]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error creating ROI preset:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const query = 'SELECT * FROM roi_presets WHERE id = $1';
+      const result = await pool.query(query, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding ROI preset by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findAll() {
+    try {
+      const query = 'SELECT * FROM roi_presets ORDER BY name';
+      const result = await pool.query(query);
+      return result.rows;
+    } catch (error) {
+      console.error('Error listing ROI presets:', error);
+      throw error;
+    }
+  }
+
+  static async update(id, { name, description, assumptions }) {
+    try {
+      const query = `
+        UPDATE roi_presets
+        SET name = $1, description = $2, assumptions = $3
+        WHERE id = $4
+        RETURNING *
+      `;
+      const result = await pool.query(query, [name, description || null, JSON.stringify(assumptions), id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error updating ROI preset:', error);
+      throw error;
+    }
+  }
+
+  static async delete(id) {
+    try {
+      const query = 'DELETE FROM roi_presets WHERE id = $1 RETURNING id';
+      const result = await pool.query(query, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error deleting ROI preset:', error);
+      throw error;
+    }
+  }
+}
+
+export default RoiPreset;
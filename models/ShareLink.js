@@ -0,0 +1,170 @@
+import { pool } from '../config/database.js';
+
+// Link columns with access totals, for listings
+const SUMMARY_COLUMNS = `
+  l.id, l.proposal_id, l.public_id, l.expires_at, l.max_downloads, l.download_count,
+  (l.pin_hash IS NOT NULL) AS pin_protected, l.pin_locked_until, l.revoked_at, l.created_by, l.created_at, l.updated_at,
+  (SELECT COUNT(*)::int FROM proposal_share_link_accesses a WHERE a.share_link_id = l.id) AS access_count,
+  (SELECT MAX(accessed_at) FROM proposal_share_link_accesses a
+    WHERE a.share_link_id = l.id AND a.outcome = 'downloaded') AS last_downloaded_at
+`;
+
+class ShareLink {
+  static async create({ proposalId, publicId, expiresAt, maxDownloads, pinHash, createdBy }) {
+    try {
+      const query = `
+        INSERT INTO proposal_share_links (proposal_id, public_id, expires_at, max_downloads, pin_hash, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id
+      `;
+      const result = await pool.query(query, [
+        proposalId,
+        publicId,
+        expiresAt,
+        maxDownloads || null,
+        pinHash || null,
+        createdBy || null
+      ]);
+      return ShareLink.findById(result.rows[0].id);
+    } catch (error) {
+      console.error('Error creating share link:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const query = `SELECT ${SUMMARY_COLUMNS} FROM proposal_share_links l WHERE l.id = $1`;
+      const result = await pool.query(query, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding share link by ID:', error);
+      throw error;
+    }
+  }
+
+  // A link by the public id in its URL, with the PIN hash for checking and its proposal's status
+  static async findByPublicId(publicId) {
+    try {
+      const query = `
+        SELECT l.*, p.status AS proposal_status
+        FROM proposal_share_links l
+        JOIN proposals p ON p.id = l.proposal_id
+        WHERE l.public_id = $1
+      `;
+      const result = await pool.query(query, [publicId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding share link by public ID:', error);
+      throw error;
+    }
+  }
+
+  static async findByProposal(proposalId) {
+    try {
+      const query = `
+        SELECT ${SUMMARY_COLUMNS}
+        FROM proposal_share_links l
+        WHERE l.proposal_id = $1
+        ORDER BY l.created_at DESC
+      `;
+      const result = await pool.query(query, [proposalId]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error listing share links:', error);
+      throw error;
+    }
+  }
+
+  // Count an incorrect PIN; the `maxAttempts`th in a row locks the link's PIN for
+  // `lockoutMinutes` and starts the count again
+  static async recordFailedPin(id, { maxAttempts, lockoutMinutes }) {
+    try {
+      const query = `
+        UPDATE proposal_share_links
+        SET failed_pin_attempts = CASE WHEN failed_pin_attempts + 1 >= $2 THEN 0 ELSE failed_pin_attempts + 1 END,
+            pin_locked_until = CASE
+              WHEN failed_pin_attempts + 1 >= $2 THEN CURRENT_TIMESTAMP + $3 * INTERVAL '1 minute'
+              ELSE pin_locked_until
+            END
+        WHERE id = $1
+        RETURNING failed_pin_attempts, pin_locked_until
+      `;
+      const result = await pool.query(query, [id, maxAttempts, lockoutMinutes]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error recording failed share link PIN:', error);
+      throw error;
+    }
+  }
+
+  // Count a download if the link is still usable (and clear its incorrect PIN count); null when it
+  // expired, was revoked or reached its download limit in the meantime
+  static async recordDownload(id) {
+    try {
+      const query = `
+        UPDATE proposal_share_links
+        SET download_count = download_count + 1, failed_pin_attempts = 0
+        WHERE id = $1
+          AND revoked_at IS NULL
+          AND expires_at > CURRENT_TIMESTAMP
+          AND (max_downloads IS NULL OR download_count < max_downloads)
+        RETURNING id, download_count
+      `;
+      const result = await pool.query(query, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error recording share link download:', error);
+      throw error;
+    }
+  }
+
+  static async revoke(id) {
+    try {
+      const query = `
+        UPDATE proposal_share_links
+        SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+        WHERE id = $1
+        RETURNING id
+      `;
+      const result = await pool.query(query, [id]);
+      return result.rows[0] ? ShareLink.findById(id) : null;
+    } catch (error) {
+      console.error('Error revoking share link:', error);
+      throw error;
+    }
+  }
+
+  static async logAccess(shareLinkId, { outcome, ipAddress, userAgent }) {
+    try {
+      const query = `
+        INSERT INTO proposal_share_link_accesses (share_link_id, outcome, ip_address, user_agent)
+        VALUES ($1, $2, $3, $4)
+      `;
+      await pool.query(query, [shareLinkId, outcome, ipAddress || null, userAgent || null]);
+    } catch (error) {
+      console.error('Error logging share link access:', error);
+      throw error;
+    }
+  }
+
+  // Access log for a link, newest first
+  static async findAccesses(shareLinkId, { limit = 100, offset = 0 } = {}) {
+    try {
+      const query = `
+        SELECT id, outcome, ip_address, user_agent, accessed_at
+        FROM proposal_share_link_accesses
+        WHERE share_link_id = $1
+        ORDER BY accessed_at DESC, id DESC
+        LIMIT $2 OFFSET $3
+      `;
+      const result = await pool.query(query, [shareLinkId, limit, offset]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error listing share link accesses:', error);
+      throw error;
+    }
+  }
+}
+
+export default ShareLink;
@@ -0,0 +1,81 @@
+import express from 'express';
+import { authenticateToken, requireExecutiveOrAdmin } from '../middleware/auth.js';
+import {
+  calculateMonthlyTrends,
+  calculatePaymentAging,
+  calculateStatusBreakdown,
+  calculatePackageAnalysis
+} from '../utils/dataProcessor.js';
+import { loadAnalyticsClaims, buildKpiSummary } from '../services/claimsAnalytics.js';
+
+const router = express.Router();
+
+// Every endpoint runs over a stored dataset (?datasetId=) and accepts the same filters:
+// ?hospital=, ?dateFrom= and ?dateTo= (YYYY-MM-DD, inclusive) on ?dateBasis=admission|discharge,
+// ?status= and ?package= (repeatable). The figures match the proposal metrics for the same claims.
+
+// Run an analytics handler over the filtered claims and send { dataset, filters, ...result }
+const analyticsRoute = (label, buildResult) => async (req, res) => {
+  try {
+    const claims = await loadAnalyticsClaims(req.query);
+
+    res.json({
+      success: true,
+      data: {
+        dataset: claims.dataset,
+        filters: claims.filters,
+        ...buildResult(claims, req)
+      }
+    });
+  } catch (error) {
+    // Bad filters (400), unknown (404) or expired (410) datasets
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error(`${label} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// GET /api/analytics/summary - Claim counts, amounts and KPIs (denial rate, query incidence,
+// collection efficiency, ...) as calculated for proposals
+router.get('/summary', authenticateToken, requireExecutiveOrAdmin, analyticsRoute(
+  'Analytics summary',
+  ({ rows, dateBasis }) => ({ summary: buildKpiSummary(rows, { dateBasis }) })
+));
+
+// GET /api/analytics/status-breakdown - Claims, value and amounts per claim status
+router.get('/status-breakdown', authenticateToken, requireExecutiveOrAdmin, analyticsRoute(
+  'Analytics status breakdown',
+  ({ groupedData }) => calculateStatusBreakdown(groupedData)
+));
+
+// GET /api/analytics/monthly-trends - Month-by-month claims, denials and collections, bucketed
+// by the dateBasis month
+router.get('/monthly-trends', authenticateToken, requireExecutiveOrAdmin, analyticsRoute(
+  'Analytics monthly trends',
+  ({ groupedData, dateBasis }) => calculateMonthlyTrends(groupedData, { basis: dateBasis })
+));
+
+// GET /api/analytics/packages - Packages ranked by claim value; ?limit= (default 10, 1 to 100)
+router.get('/packages', authenticateToken, requireExecutiveOrAdmin, analyticsRoute(
+  'Analytics packages',
+  ({ groupedData }, req) => calculatePackageAnalysis(groupedData, {
+    limit: Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100)
+  })
+));
+
+// GET /api/analytics/payment-aging - Paid claims by days from discharge to payment
+router.get('/payment-aging', authenticateToken, requireExecutiveOrAdmin, analyticsRoute(
+  'Analytics payment aging',
+  ({ groupedData }) => calculatePaymentAging(groupedData)
+));
+
+export default router;
@@ -0,0 +1,302 @@
+import express from 'express';
+import multer from 'multer';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { LOGO_MIME_TYPES, validateBrandingFields } from '../services/branding.js';
+import BrandingProfile from '../models/BrandingProfile.js';
+
+const router = express.Router();
+
+const MAX_LOGO_SIZE = 1024 * 1024; // 1MB
+
+// Logos are kept in memory and stored in the database, never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_LOGO_SIZE
+  },
+  fileFilter: function (req, file, cb) {
+    if (LOGO_MIME_TYPES.includes(file.mimetype)) {
+      return cb(null, true);
+    }
+    cb(new Error('Invalid file type. Only PNG, JPEG and SVG logos are allowed.'));
+  }
+});
+
+const logoUpload = upload.single('logoFile');
+
+// Shape a stored profile row for API responses (the logo is served separately)
+const formatProfile = (profile) => ({
+  id: profile.id,
+  name: profile.name,
+  companyName: profile.company_name,
+  primaryColor: profile.primary_color,
+  accentColor: profile.accent_color,
+  aboutText: profile.about_text,
+  footerContact: profile.footer_contact,
+  logo: profile.logo_mime_type ? {
+    mimeType: profile.logo_mime_type,
+    size: profile.logo_size ?? profile.logo_data?.length,
+    url: `/api/branding-profiles/${profile.id}/logo`
+  } : null,
+  createdBy: profile.created_by,
+  createdAt: profile.created_at,
+  updatedAt: profile.updated_at
+});
+
+// Trimmed text field from a JSON or multipart body; undefined when not sent
+const getText = (value) => (typeof value === 'string' ? value.trim() : undefined);
+
+// GET /api/branding-profiles - List branding profiles
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const profiles = await BrandingProfile.findAll();
+
+    res.json({
+      success: true,
+      data: {
+        profiles: profiles.map(formatProfile)
+      }
+    });
+  } catch (error) {
+    console.error('List branding profiles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/branding-profiles/:id
+router.get('/:id(\\d+)', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const profile = await BrandingProfile.findById(req.params.id);
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Branding profile not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        profile: formatProfile(profile)
+      }
+    });
+  } catch (error) {
+    console.error('Get branding profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/branding-profiles/:id/logo - The profile's logo image
+router.get('/:id(\\d+)/logo', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const profile = await BrandingProfile.findById(req.params.id);
+    if (!profile || !profile.logo_data) {
+      return res.status(404).json({
+        success: false,
+        message: 'Logo not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': profile.logo_mime_type,
+      'Content-Length': profile.logo_data.length
+    });
+    res.send(profile.logo_data);
+  } catch (error) {
+    console.error('Get branding profile logo error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/branding-profiles - Create a profile (multipart when a logoFile is uploaded)
+router.post('/', authenticateToken, requireAdmin, logoUpload, async (req, res) => {
+  try {
+    const name = getText(req.body.name);
+    const fields = {
+      companyName: getText(req.body.companyName),
+      primaryColor: getText(req.body.primaryColor),
+      accentColor: getText(req.body.accentColor),
+      aboutText: getText(req.body.aboutText),
+      footerContact: getText(req.body.footerContact)
+    };
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: name is required'
+      });
+    }
+
+    const errors = validateBrandingFields(fields);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid branding profile',
+        errors
+      });
+    }
+
+    const profile = await BrandingProfile.create({
+      name,
+      ...fields,
+      logo: req.file ? { data: req.file.buffer, mimeType: req.file.mimetype } : null,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Branding profile created successfully',
+      data: {
+        profile: formatProfile(profile)
+      }
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'A branding profile with this name already exists'
+      });
+    }
+
+    console.error('Create branding profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// PUT /api/branding-profiles/:id - Update a profile; omitted fields are kept. A new logoFile
+// replaces the logo and removeLogo=true removes it.
+router.put('/:id(\\d+)', authenticateToken, requireAdmin, logoUpload, async (req, res) => {
+  try {
+    const existing = await BrandingProfile.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Branding profile not found'
+      });
+    }
+
+    const name = getText(req.body.name);
+    const fields = {
+      companyName: getText(req.body.companyName),
+      primaryColor: getText(req.body.primaryColor),
+      accentColor: getText(req.body.accentColor),
+      aboutText: getText(req.body.aboutText),
+      footerContact: getText(req.body.footerContact)
+    };
+
+    if (name !== undefined && !name) {
+      return res.status(400).json({
+        success: false,
+        message: 'name cannot be empty'
+      });
+    }
+
+    const errors = validateBrandingFields(fields, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid branding profile',
+        errors
+      });
+    }
+
+    let logo;
+    if (req.file) {
+      logo = { data: req.file.buffer, mimeType: req.file.mimetype };
+    } else if (req.body.removeLogo === true || req.body.removeLogo === 'true') {
+      logo = null;
+    }
+
+    const profile = await BrandingProfile.update(existing.id, {
+      name: name ?? existing.name,
+      companyName: fields.companyName ?? existing.company_name,
+      primaryColor: fields.primaryColor ?? existing.primary_color,
+      accentColor: fields.accentColor ?? existing.accent_color,
+      aboutText: fields.aboutText ?? existing.about_text,
+      footerContact: fields.footerContact ?? existing.footer_contact,
+      logo
+    });
+
+    res.json({
+      success: true,
+      message: 'Branding profile updated successfully',
+      data: {
+        profile: formatProfile(profile)
+      }
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'A branding profile with this name already exists'
+      });
+    }
+
+    console.error('Update branding profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE /api/branding-profiles/:id - Only profiles no proposal was rendered with
+router.delete('/:id(\\d+)', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const deleted = await BrandingProfile.delete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Branding profile not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Branding profile deleted successfully'
+    });
+  } catch (error) {
+    if (error.code === '23503') {
+      return res.status(409).json({
+        success: false,
+        message: 'This branding profile has been used to generate proposals and cannot be deleted'
+      });
+    }
+
+    console.error('Delete branding profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Error handling middleware for logo uploads
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    return res.status(400).json({
+      success: false,
+      message: error.code === 'LIMIT_FILE_SIZE' ? 'Logo too large. Maximum size is 1MB.' : error.message
+    });
+  } else if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  next();
+});
+
+export default router;
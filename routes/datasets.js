@@ -0,0 +1,365 @@
+import express from 'express';
+import multer from 'multer';
+import { authenticateToken, requireExecutiveOrAdmin } from '../middleware/auth.js';
+import { claimsUpload, getUploadedFiles, removeUploads, getSheetSelection } from '../middleware/uploads.js';
+import { summarizeDataQuality, buildDataQualityWorkbook } from '../utils/dataQuality.js';
+import { createClaimsDataset, parseRetentionDays } from '../services/claimDatasets.js';
+import { resolveQualityThresholds } from '../services/proposalService.js';
+import ClaimDataset from '../models/ClaimDataset.js';
+import Hospital from '../models/Hospital.js';
+
+const router = express.Router();
+
+const ADMIN_ROLES = ['admin', 'super_admin'];
+
+// Shape a dataset row for API responses (claims are listed separately)
+const formatDataset = (dataset) => ({
+  id: dataset.id,
+  name: dataset.name,
+  hospital: dataset.hospital_id ? { id: dataset.hospital_id, name: dataset.hospital_name } : null,
+  scheme: dataset.scheme,
+  sourceFileName: dataset.source_file_name,
+  rowCount: dataset.row_count,
+  claimCount: dataset.claim_count,
+  skippedRows: dataset.skipped_rows,
+  dataQuality: summarizeDataQuality(dataset.data_quality),
+  merge: dataset.merge_report,
+  proposalCount: dataset.proposal_count,
+  retentionDays: dataset.retention_days,
+  expiresAt: dataset.expires_at,
+  createdBy: dataset.created_by,
+  createdAt: dataset.created_at,
+  updatedAt: dataset.updated_at
+});
+
+// Shape a stored claim with its components for API responses
+const formatClaim = (claim) => ({
+  id: claim.id,
+  tid: claim.tid,
+  patientName: claim.patient_name,
+  hospitalName: claim.hospital_name,
+  dateOfAdmission: claim.date_of_admission,
+  components: claim.components
+});
+
+// Respond 400 when a hospitalId is given but not registered; false when it is fine
+const rejectUnknownHospital = async (res, hospitalId) => {
+  if (hospitalId === undefined || hospitalId === null || hospitalId === '') return false;
+
+  if (!/^\d+$/.test(hospitalId.toString()) || !await Hospital.findById(hospitalId)) {
+    res.status(400).json({
+      success: false,
+      message: 'hospitalId does not match a registered hospital'
+    });
+    return true;
+  }
+  return false;
+};
+
+// Respond 404 when the dataset does not exist; the dataset otherwise
+const findDatasetOr404 = async (res, id) => {
+  const dataset = await ClaimDataset.findById(id);
+  if (!dataset) {
+    res.status(404).json({
+      success: false,
+      message: 'Claims dataset not found'
+    });
+  }
+  return dataset;
+};
+
+// GET /api/datasets - List stored datasets, newest first; ?search= matches names and file names
+router.get('/', authenticateToken, requireExecutiveOrAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const { datasets, total } = await ClaimDataset.findAll({
+      search: req.query.search?.trim(),
+      hospitalId: parseInt(req.query.hospitalId) || undefined,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      data: {
+        datasets: datasets.map(formatDataset),
+        pagination: { total, limit, offset }
+      }
+    });
+  } catch (error) {
+    console.error('List claims datasets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/datasets - Store uploaded claims files as a named dataset; body: { name, hospitalId,
+// scheme, sheets, retentionDays, maxInvalidRowPercentage, maxInvalidRows }
+router.post('/', authenticateToken, requireExecutiveOrAdmin, claimsUpload, async (req, res) => {
+  const uploadedFiles = getUploadedFiles(req);
+
+  try {
+    if (uploadedFiles.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No CSV file uploaded'
+      });
+    }
+
+    const name = req.body.name?.trim();
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: name is required'
+      });
+    }
+
+    if (await rejectUnknownHospital(res, req.body.hospitalId)) return;
+
+    const dataset = await createClaimsDataset(
+      uploadedFiles.map(file => ({ path: file.path, name: file.originalname })),
+      {
+        name,
+        hospitalId: req.body.hospitalId,
+        scheme: req.body.scheme,
+        sheets: getSheetSelection(req.body),
+        qualityThresholds: resolveQualityThresholds(req.body),
+        retentionDays: parseRetentionDays(req.body.retentionDays),
+        sourceFileName: uploadedFiles.map(file => file.originalname).join(', ').slice(0, 255),
+        createdBy: req.user.id
+      }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Claims dataset stored successfully',
+      data: {
+        dataset: formatDataset(dataset)
+      }
+    });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...(error.dataQuality && { data: { dataQuality: error.dataQuality } })
+      });
+    }
+
+    console.error('Create claims dataset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  } finally {
+    await removeUploads(uploadedFiles);
+  }
+});
+
+// GET /api/datasets/:id
+router.get('/:id(\\d+)', authenticateToken, requireExecutiveOrAdmin, async (req, res) => {
+  try {
+    const dataset = await findDatasetOr404(res, req.params.id);
+    if (!dataset) return;
+
+    res.json({
+      success: true,
+      data: {
+        dataset: formatDataset(dataset)
+      }
+    });
+  } catch (error) {
+    console.error('Get claims dataset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/datasets/:id/claims - A page of the stored claims with their components;
+// ?search= matches the TID and patient name
+router.get('/:id(\\d+)/claims', authenticateToken, requireExecutiveOrAdmin, async (req, res) => {
+  try {
+    const dataset = await findDatasetOr404(res, req.params.id);
+    if (!dataset) return;
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const { claims, total } = await ClaimDataset.findClaims(dataset.id, {
+      search: req.query.search?.trim(),
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      data: {
+        claims: claims.map(formatClaim),
+        pagination: { total, limit, offset }
+      }
+    });
+  } catch (error) {
+    console.error('List dataset claims error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/datasets/:id/data-quality - The data quality report from upload;
+// ?format=xlsx downloads it as a spreadsheet
+router.get('/:id(\\d+)/data-quality', authenticateToken, requireExecutiveOrAdmin, async (req, res) => {
+  try {
+    const dataset = await findDatasetOr404(res, req.params.id);
+    if (!dataset) return;
+
+    const report = dataset.data_quality;
+
+    if (req.query.format === 'xlsx') {
+      const workbook = buildDataQualityWorkbook(report);
+      res.set({
+        'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'Content-Disposition': `attachment; filename="dataset_${dataset.id}_data_quality.xlsx"`,
+        'Content-Length': workbook.length
+      });
+      return res.send(workbook);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        scheme: dataset.scheme,
+        summary: summarizeDataQuality(report),
+        issues: report.issues
+      }
+    });
+  } catch (error) {
+    console.error('Get dataset data quality error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// PUT /api/datasets/:id - Rename, link to a hospital or change the retention period; the expiry
+// is counted from the upload. Omitted fields are kept and hospitalId=null unlinks the hospital.
+router.put('/:id(\\d+)', authenticateToken, requireExecutiveOrAdmin, async (req, res) => {
+  try {
+    const existing = await findDatasetOr404(res, req.params.id);
+    if (!existing) return;
+
+    const name = req.body.name === undefined ? existing.name : req.body.name?.toString().trim();
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'name cannot be empty'
+      });
+    }
+
+    if (await rejectUnknownHospital(res, req.body.hospitalId)) return;
+
+    let retentionDays = existing.retention_days;
+    if (req.body.retentionDays !== undefined) {
+      try {
+        retentionDays = parseRetentionDays(req.body.retentionDays);
+      } catch (error) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+    }
+
+    const dataset = await ClaimDataset.update(existing.id, {
+      name,
+      hospitalId: req.body.hospitalId !== undefined ? req.body.hospitalId : existing.hospital_id,
+      retentionDays
+    });
+
+    res.json({
+      success: true,
+      message: 'Claims dataset updated successfully',
+      data: {
+        dataset: formatDataset(dataset)
+      }
+    });
+  } catch (error) {
+    console.error('Update claims dataset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE /api/datasets/:id - Remove the dataset with every claim and component stored from the
+// upload; proposals generated from it are kept without the link. Only its uploader or an admin may
+// delete it, and not while a queued or running proposal job uses it (409).
+router.delete('/:id(\\d+)', authenticateToken, requireExecutiveOrAdmin, async (req, res) => {
+  try {
+    const dataset = await findDatasetOr404(res, req.params.id);
+    if (!dataset) return;
+
+    if (dataset.created_by !== req.user.id && !ADMIN_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the user who stored the dataset or an admin can delete it'
+      });
+    }
+
+    const deleted = await ClaimDataset.delete(dataset.id);
+    if (!deleted) {
+      // Not deleted but still there: a queued or running job will load it
+      if (await ClaimDataset.findById(dataset.id)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Claims dataset is used by a queued or running proposal job; try again once it finishes'
+        });
+      }
+      return res.status(404).json({
+        success: false,
+        message: 'Claims dataset not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Claims dataset deleted successfully',
+      data: {
+        deletedClaims: deleted.claim_count,
+        deletedComponents: deleted.component_count
+      }
+    });
+  } catch (error) {
+    console.error('Delete claims dataset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Error handling middleware for multer
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    return res.status(400).json({
+      success: false,
+      message: error.code === 'LIMIT_FILE_SIZE' ? 'File size too large. Maximum size is 50MB.' : error.message
+    });
+  } else if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  next();
+});
+
+export default router;
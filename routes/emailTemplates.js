@@ -0,0 +1,169 @@
+import express from 'express';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import {
+  isEmailTemplateKey,
+  getEmailTemplate,
+  listEmailTemplates,
+  validateEmailTemplate,
+  renderProposalEmail
+} from '../services/proposalEmail.js';
+import EmailTemplate from '../models/EmailTemplate.js';
+import Proposal from '../models/Proposal.js';
+
+const router = express.Router();
+
+// Respond 404 for a key that is not a known email; true when a response was sent
+const rejectUnknownKey = (res, key) => {
+  if (isEmailTemplateKey(key)) return false;
+
+  res.status(404).json({
+    success: false,
+    message: 'Email template not found'
+  });
+  return true;
+};
+
+// GET /api/email-templates - Every email template as it is used now
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const templates = await listEmailTemplates();
+
+    res.json({
+      success: true,
+      data: {
+        templates
+      }
+    });
+  } catch (error) {
+    console.error('List email templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/email-templates/:key
+router.get('/:key', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    if (rejectUnknownKey(res, req.params.key)) return;
+
+    res.json({
+      success: true,
+      data: {
+        template: await getEmailTemplate(req.params.key)
+      }
+    });
+  } catch (error) {
+    console.error('Get email template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// PUT /api/email-templates/:key - Replace the subject and body; body: { subject, body }
+router.put('/:key', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    if (rejectUnknownKey(res, req.params.key)) return;
+
+    const { subject, body } = req.body;
+    const errors = validateEmailTemplate({ subject, body });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid email template',
+        errors
+      });
+    }
+
+    await EmailTemplate.upsert(req.params.key, { subject: subject.trim(), body, updatedBy: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Email template updated successfully',
+      data: {
+        template: await getEmailTemplate(req.params.key)
+      }
+    });
+  } catch (error) {
+    console.error('Update email template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE /api/email-templates/:key - Discard edits and go back to the built-in template
+router.delete('/:key', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    if (rejectUnknownKey(res, req.params.key)) return;
+
+    await EmailTemplate.delete(req.params.key);
+
+    res.json({
+      success: true,
+      message: 'Email template reset to the default',
+      data: {
+        template: await getEmailTemplate(req.params.key)
+      }
+    });
+  } catch (error) {
+    console.error('Reset email template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/email-templates/:key/preview - Render a template for a stored proposal without
+// sending it; body: { proposalId, subject, body } (subject and body default to the saved template)
+router.post('/:key/preview', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    if (rejectUnknownKey(res, req.params.key)) return;
+
+    const proposal = req.body.proposalId && /^\d+$/.test(req.body.proposalId.toString())
+      ? await Proposal.findById(req.body.proposalId)
+      : null;
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal not found'
+      });
+    }
+
+    const saved = await getEmailTemplate(req.params.key);
+    const template = {
+      subject: req.body.subject ?? saved.subject,
+      body: req.body.body ?? saved.body
+    };
+    const errors = validateEmailTemplate(template);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid email template',
+        errors
+      });
+    }
+
+    const email = await renderProposalEmail(proposal, { sender: req.user, template });
+
+    res.json({
+      success: true,
+      data: {
+        email
+      }
+    });
+  } catch (error) {
+    console.error('Preview email template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,418 @@
+import express from 'express';
+import { authenticateToken, requireAdmin, requireExecutiveOrAdmin } from '../middleware/auth.js';
+import {
+  parseSchemeList,
+  validateHospitalFields,
+  validateContactFields,
+  getOwnerName
+} from '../services/hospitals.js';
+import Hospital from '../models/Hospital.js';
+import Proposal from '../models/Proposal.js';
+
+const router = express.Router();
+
+// Shape a hospital row for API responses
+const formatHospital = (hospital) => ({
+  id: hospital.id,
+  name: hospital.name,
+  location: hospital.location,
+  empanelledSchemes: hospital.empanelled_schemes,
+  owner: hospital.owner_id ? {
+    id: hospital.owner_id,
+    email: hospital.owner_email,
+    name: getOwnerName(hospital)
+  } : null,
+  notes: hospital.notes,
+  contactCount: hospital.contact_count,
+  proposalCount: hospital.proposal_count,
+  lastProposalAt: hospital.last_proposal_at,
+  createdBy: hospital.created_by,
+  createdAt: hospital.created_at,
+  updatedAt: hospital.updated_at
+});
+
+// Shape a hospital contact row for API responses
+const formatContact = (contact) => ({
+  id: contact.id,
+  hospitalId: contact.hospital_id,
+  name: contact.name,
+  title: contact.title,
+  email: contact.email,
+  phone: contact.phone,
+  isPrimary: contact.is_primary,
+  createdAt: contact.created_at,
+  updatedAt: contact.updated_at
+});
+
+// Shape a proposal row for a hospital's proposal history
+const formatProposalSummary = (proposal) => ({
+  id: proposal.id,
+  hospitalName: proposal.hospital_name,
+  contactPerson: proposal.hospital_params?.contactPerson || null,
+  sourceFileName: proposal.source_file_name,
+  pdfFileName: proposal.pdf_file_name,
+  pdfSize: proposal.pdf_size,
+  downloadUrl: `/api/proposal/${proposal.id}/pdf`,
+  generatedBy: proposal.generated_by ? {
+    id: proposal.generated_by,
+    email: proposal.generated_by_email
+  } : null,
+  regeneratedAt: proposal.regenerated_at,
+  createdAt: proposal.created_at
+});
+
+// Trimmed text field from the body; undefined when not sent
+const getText = (value) => (typeof value === 'string' ? value.trim() : undefined);
+
+const getHospitalFields = (body) => ({
+  name: getText(body.name),
+  location: getText(body.location),
+  empanelledSchemes: parseSchemeList(body.empanelledSchemes),
+  ownerId: body.ownerId,
+  notes: getText(body.notes)
+});
+
+const getContactFields = (body) => ({
+  name: getText(body.name),
+  title: getText(body.title),
+  email: getText(body.email),
+  phone: getText(body.phone),
+  isPrimary: body.isPrimary === undefined ? undefined : body.isPrimary === true || body.isPrimary === 'true'
+});
+
+// Respond 404 when the hospital does not exist; the hospital otherwise
+const findHospitalOr404 = async (res, id) => {
+  const hospital = await Hospital.findById(id);
+  if (!hospital) {
+    res.status(404).json({
+      success: false,
+      message: 'Hospital not found'
+    });
+  }
+  return hospital;
+};
+
+// GET /api/hospitals - List and search hospitals; ?search= matches names, locations and contacts,
+// ?scheme= and ?ownerId= filter
+router.get('/', authenticateToken, requireExecutiveOrAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const { hospitals, total } = await Hospital.findAll({
+      search: req.query.search?.trim(),
+      scheme: req.query.scheme?.trim().toLowerCase(),
+      ownerId: parseInt(req.query.ownerId) || undefined,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      data: {
+        hospitals: hospitals.map(formatHospital),
+        pagination: { total, limit, offset }
+      }
+    });
+  } catch (error) {
+    console.error('List hospitals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/hospitals/:id - A hospital with its contacts
+router.get('/:id(\\d+)', authenticateToken, requireExecutiveOrAdmin, async (req, res) => {
+  try {
+    const hospital = await findHospitalOr404(res, req.params.id);
+    if (!hospital) return;
+
+    const contacts = await Hospital.findContacts(hospital.id);
+
+    res.json({
+      success: true,
+      data: {
+        hospital: {
+          ...formatHospital(hospital),
+          contacts: contacts.map(formatContact)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get hospital error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/hospitals - Register a hospital;
+// body: { name, location, empanelledSchemes, ownerId, notes }
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const fields = getHospitalFields(req.body);
+
+    const errors = await validateHospitalFields(fields);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid hospital',
+        errors
+      });
+    }
+
+    const hospital = await Hospital.create({ ...fields, createdBy: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Hospital created successfully',
+      data: {
+        hospital: {
+          ...formatHospital(hospital),
+          contacts: []
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Create hospital error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// PUT /api/hospitals/:id - Update a hospital; omitted fields are kept and ownerId=null clears the owner
+router.put('/:id(\\d+)', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const existing = await findHospitalOr404(res, req.params.id);
+    if (!existing) return;
+
+    const fields = getHospitalFields(req.body);
+
+    const errors = await validateHospitalFields(fields, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid hospital',
+        errors
+      });
+    }
+
+    const hospital = await Hospital.update(existing.id, {
+      name: fields.name ?? existing.name,
+      location: fields.location ?? existing.location,
+      empanelledSchemes: fields.empanelledSchemes ?? existing.empanelled_schemes,
+      ownerId: fields.ownerId !== undefined ? fields.ownerId : existing.owner_id,
+      notes: fields.notes ?? existing.notes
+    });
+
+    res.json({
+      success: true,
+      message: 'Hospital updated successfully',
+      data: {
+        hospital: formatHospital(hospital)
+      }
+    });
+  } catch (error) {
+    console.error('Update hospital error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE /api/hospitals/:id - Only hospitals without proposals; their contacts are removed too
+router.delete('/:id(\\d+)', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const deleted = await Hospital.delete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hospital not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Hospital deleted successfully'
+    });
+  } catch (error) {
+    if (error.code === '23503') {
+      return res.status(409).json({
+        success: false,
+        message: 'This hospital has proposals and cannot be deleted'
+      });
+    }
+
+    console.error('Delete hospital error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/hospitals/:id/proposals - The hospital's proposal history, newest first
+router.get('/:id(\\d+)/proposals', authenticateToken, requireExecutiveOrAdmin, async (req, res) => {
+  try {
+    const hospital = await findHospitalOr404(res, req.params.id);
+    if (!hospital) return;
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const { proposals, total } = await Proposal.findAll({ hospitalId: hospital.id, limit, offset });
+
+    res.json({
+      success: true,
+      data: {
+        proposals: proposals.map(formatProposalSummary),
+        pagination: { total, limit, offset }
+      }
+    });
+  } catch (error) {
+    console.error('List hospital proposals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/hospitals/:id/contacts - The hospital's contacts, primary contact first
+router.get('/:id(\\d+)/contacts', authenticateToken, requireExecutiveOrAdmin, async (req, res) => {
+  try {
+    const hospital = await findHospitalOr404(res, req.params.id);
+    if (!hospital) return;
+
+    const contacts = await Hospital.findContacts(hospital.id);
+
+    res.json({
+      success: true,
+      data: {
+        contacts: contacts.map(formatContact)
+      }
+    });
+  } catch (error) {
+    console.error('List hospital contacts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/hospitals/:id/contacts - Add a contact; body: { name, title, email, phone, isPrimary }.
+// The first contact of a hospital becomes its primary contact.
+router.post('/:id(\\d+)/contacts', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const hospital = await findHospitalOr404(res, req.params.id);
+    if (!hospital) return;
+
+    const fields = getContactFields(req.body);
+
+    const errors = validateContactFields(fields);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid contact',
+        errors
+      });
+    }
+
+    const contact = await Hospital.createContact(hospital.id, {
+      ...fields,
+      isPrimary: fields.isPrimary ?? hospital.contact_count === 0
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Contact added successfully',
+      data: {
+        contact: formatContact(contact)
+      }
+    });
+  } catch (error) {
+    console.error('Create hospital contact error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// PUT /api/hospitals/:id/contacts/:contactId - Update a contact; omitted fields are kept
+router.put('/:id(\\d+)/contacts/:contactId(\\d+)', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const existing = await Hospital.findContact(req.params.id, req.params.contactId);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found'
+      });
+    }
+
+    const fields = getContactFields(req.body);
+
+    const errors = validateContactFields(fields, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid contact',
+        errors
+      });
+    }
+
+    const contact = await Hospital.updateContact(existing.hospital_id, existing.id, {
+      name: fields.name ?? existing.name,
+      title: fields.title ?? existing.title,
+      email: fields.email ?? existing.email,
+      phone: fields.phone ?? existing.phone,
+      isPrimary: fields.isPrimary ?? existing.is_primary
+    });
+
+    res.json({
+      success: true,
+      message: 'Contact updated successfully',
+      data: {
+        contact: formatContact(contact)
+      }
+    });
+  } catch (error) {
+    console.error('Update hospital contact error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE /api/hospitals/:id/contacts/:contactId
+router.delete('/:id(\\d+)/contacts/:contactId(\\d+)', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const deleted = await Hospital.deleteContact(req.params.id, req.params.contactId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Contact deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete hospital contact error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+export default router;
@@ -2,166 +2,1188 @@ import express from 'express';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs/promises';
-import { fileURLToPath } from 'url';
-import { authenticateToken, requireAdmin } from '../middleware/auth.js';
-import { processCSVForProposal } from '../utils/dataProcessor.js';
-import { generateProposal } from '../services/pdfGenerator.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { authenticateToken, requireAdmin, requireExecutiveOrAdmin } from '../middleware/auth.js';
+import {
+  MAX_CLAIMS_FILES,
+  upload,
+  claimsUpload,
+  getUploadedFiles,
+  removeUploads,
+  getSheetSelection
+} from '../middleware/uploads.js';
+import { checkClaimsFileQuality } from '../utils/dataProcessor.js';
+import { summarizeDataQuality, buildDataQualityWorkbook } from '../utils/dataQuality.js';
+import { SCHEME_PROFILES } from '../config/schemeProfiles.js';
+import { renderProposalHTML } from '../services/pdfGenerator.js';
+import { renderProposalDocx, DOCX_CONTENT_TYPE } from '../services/docxGenerator.js';
+import {
+  createProposalFromFile,
+  processClaimsForProposal,
+  getProposalTemplateData,
+  getProposalBranding,
+  regenerateProposalPdf,
+  resolveRoiAssumptions,
+  resolveBuiltinTemplateVersion,
+  resolveTemplateVersion,
+  resolveLocale,
+  resolveTrendBasis,
+  resolveQualityThresholds,
+  resolveBrandingProfile,
+  loadTemplateHTML,
+  loadBrandingProfile
+} from '../services/proposalService.js';
+import { notifyProposalJobWorker } from '../services/proposalJobWorker.js';
+import { createShareLink, buildShareToken } from '../services/shareLinks.js';
+import { sendProposalEmail } from '../services/proposalEmail.js';
+import { prefillHospitalParams } from '../services/hospitals.js';
+import { checkClaimsInput, resolveClaimsInput } from '../services/claimDatasets.js';
+import {
+  PROPOSAL_STATUSES,
+  getProposalAuthors,
+  getAvailableActions,
+  transitionProposal,
+  assertDeliverable,
+  markProposalSent
+} from '../services/proposalWorkflow.js';
+import Proposal from '../models/Proposal.js';
+import ProposalJob from '../models/ProposalJob.js';
+import ShareLink from '../models/ShareLink.js';
+import ProposalEmail from '../models/ProposalEmail.js';
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, path.join(__dirname, '../uploads/'));
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'proposal-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
-
-const upload = multer({ 
-  storage: storage,
-  limits: {
-    fileSize: 50 * 1024 * 1024 // 50MB limit for CSV/Excel files
-  },
-  fileFilter: function (req, file, cb) {
-    // Accept CSV and Excel files
-    const allowedTypes = /csv|xlsx|xls/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = file.mimetype.includes('spreadsheet') || 
-                    file.mimetype.includes('csv') ||
-                    file.mimetype === 'text/csv' ||
-                    file.mimetype === 'application/vnd.ms-excel' ||
-                    file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
-    
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      cb(new Error('Invalid file type. Only CSV and Excel files are allowed.'));
-    }
+// Claims files plus an optional per-hospital `contactsFile` mapping sheet
+const batchUpload = upload.fields([
+  { name: 'csvFile', maxCount: 1 },
+  { name: 'csvFiles', maxCount: MAX_CLAIMS_FILES },
+  { name: 'contactsFile', maxCount: 1 }
+]);
+
+// Files in the shape the claims processor expects
+const toClaimFiles = (files) => files.map(file => ({ path: file.path, name: file.originalname }));
+
+// Stored source file name for one or more uploads
+const getSourceFileName = (files) => files.map(file => file.originalname).join(', ').slice(0, 255);
+
+// Source file name of the claims being processed: a stored dataset's own, or the uploads'
+const getClaimsSourceName = (claims, files) => (claims.datasetId ? claims.sourceFileName : getSourceFileName(files));
+
+// Source file name recorded for a queued job: a stored dataset's own (or its name), or the uploads'
+const getJobSourceName = (dataset, files) => (dataset
+  ? (dataset.source_file_name || dataset.name).slice(0, 255)
+  : getSourceFileName(files));
+
+// Uploads to keep with a queued job: the claims files in order, then a batch's contacts sheet
+const readJobFiles = async (files, contactsFile) => {
+  const jobFiles = [];
+  for (const file of files) {
+    jobFiles.push({ kind: 'claims', fileName: file.originalname, data: await fs.readFile(file.path) });
+  }
+  if (contactsFile) {
+    jobFiles.push({ kind: 'contacts', fileName: contactsFile.originalname, data: await fs.readFile(contactsFile.path) });
   }
+  return jobFiles;
+};
+
+// Hospital, Eyther contact and scheme fields accepted by the generation endpoints. With a
+// `hospitalId` (and optional `contactId`) the missing ones are filled from the hospital registry.
+const getHospitalParams = (body) => ({
+  hospitalName: body.hospitalName,
+  hospitalLocation: body.hospitalLocation,
+  contactPerson: body.contactPerson,
+  email: body.email,
+  title: body.title,
+  eytherContactEmail: body.eytherContactEmail,
+  eytherContactPhone: body.eytherContactPhone,
+  eytherTeamMember: body.eytherTeamMember,
+  scheme: body.scheme
+});
+
+// Options passed through to the claims processor, with the ROI preset and overrides and the
+// selected template version resolved
+const getProcessingOptions = async (body) => {
+  const { assumptions, presetId } = await resolveRoiAssumptions({
+    roiPresetId: body.roiPresetId,
+    roiAssumptions: body.roiAssumptions
+  });
+  const templateVersion = await resolveTemplateVersion({
+    templateId: body.templateId,
+    templateVersion: body.templateVersion
+  });
+
+  return {
+    qualityThresholds: resolveQualityThresholds(body),
+    sheets: getSheetSelection(body),
+    trendBasis: resolveTrendBasis(body.trendBasis),
+    includePackageInsights: body.includePackageInsights === true || body.includePackageInsights === 'true',
+    roiAssumptions: assumptions,
+    roiPresetId: presetId,
+    // Stored proposals always reference a version, the built-in template's when none is selected
+    templateVersionId: (templateVersion || await resolveBuiltinTemplateVersion()).id,
+    brandingProfileId: (await resolveBrandingProfile(body.brandingId))?.id || null,
+    locale: resolveLocale(body.locale)
+  };
+};
+
+// Respond to errors raised for bad input (they carry a 4xx status); false for anything else
+const sendClientError = (res, error) => {
+  if (!error.status || error.status >= 500) return false;
+
+  res.status(error.status).json({
+    success: false,
+    message: error.message,
+    ...(error.dataQuality && { data: { dataQuality: error.dataQuality } })
+  });
+  return true;
+};
+
+// Send a PDF buffer as a download
+const sendPdf = (res, pdfBuffer, pdfFileName, proposalId) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${pdfFileName}"`,
+    'Content-Length': pdfBuffer.length,
+    'X-Proposal-Id': proposalId
+  });
+
+  res.send(pdfBuffer);
+};
+
+const OUTPUT_FORMATS = ['pdf', 'docx'];
+
+// Fill the Word template with a proposal's template data and branding and send it as a download
+const sendDocx = async (res, templateData, pdfFileName, proposalId, branding) => {
+  const { buffer, unmatchedPlaceholders } = await renderProposalDocx(templateData, { branding });
+
+  res.set({
+    'Content-Type': DOCX_CONTENT_TYPE,
+    'Content-Disposition': `attachment; filename="${pdfFileName.replace(/\.pdf$/, '.docx')}"`,
+    'Content-Length': buffer.length,
+    'X-Proposal-Id': proposalId,
+    'X-Unmatched-Placeholders': unmatchedPlaceholders.join(',')
+  });
+
+  res.send(buffer);
+};
+
+// Shape a stored proposal row for API responses
+const formatProposal = (proposal, { includeData = false } = {}) => ({
+  id: proposal.id,
+  hospitalName: proposal.hospital_name,
+  hospitalParams: proposal.hospital_params,
+  sourceFileName: proposal.source_file_name,
+  pdfFileName: proposal.pdf_file_name,
+  pdfSize: proposal.pdf_size,
+  generatedBy: proposal.generated_by ? {
+    id: proposal.generated_by,
+    email: proposal.generated_by_email,
+    firstName: proposal.generated_by_first_name,
+    lastName: proposal.generated_by_last_name
+  } : null,
+  roiPresetId: proposal.roi_preset_id,
+  templateVersionId: proposal.template_version_id,
+  brandingProfileId: proposal.branding_profile_id,
+  hospitalId: proposal.hospital_id,
+  claimDatasetId: proposal.claim_dataset_id,
+  status: proposal.status,
+  regeneratedAt: proposal.regenerated_at,
+  createdAt: proposal.created_at,
+  updatedAt: proposal.updated_at,
+  ...(includeData && {
+    metrics: proposal.metrics,
+    roiProjections: proposal.roi_projections,
+    templateData: proposal.template_data,
+    roiAssumptions: proposal.roi_assumptions
+  })
+});
+
+// Shape a proposal job row for API responses
+// Where a finished job's output is downloaded: its proposal's PDF, or a batch job's ZIP
+const getJobDownloadUrl = (job) => {
+  if (job.status !== 'done') return null;
+  if (job.job_type === 'batch') return `/api/proposal/jobs/${job.id}/download`;
+  return job.proposal_id ? `/api/proposal/${job.proposal_id}/pdf` : null;
+};
+
+const formatJob = (job) => ({
+  id: job.id,
+  type: job.job_type,
+  status: job.status,
+  hospitalName: job.hospital_params?.hospitalName,
+  sourceFileName: job.source_file_name,
+  datasetId: job.claim_dataset_id,
+  error: job.status === 'failed' ? job.error_message : null,
+  proposalId: job.proposal_id,
+  // Batch jobs: { proposalIds, failedHospitals, unassignedRows, unmatchedContacts }
+  result: job.result,
+  downloadUrl: getJobDownloadUrl(job),
+  attempts: job.attempts,
+  startedAt: job.started_at,
+  completedAt: job.completed_at,
+  createdAt: job.created_at,
+  updatedAt: job.updated_at
 });
 
-// POST /api/proposal/generate - Generate proposal from CSV data
-router.post('/generate', authenticateToken, requireAdmin, upload.single('csvFile'), async (req, res) => {
-  let uploadedFilePath = null;
+// Base URL for public links. It must be configured: the request's Host header is client-controlled
+// and would let a caller get links pointing elsewhere.
+const getPublicBaseUrl = () => {
+  if (!process.env.PUBLIC_BASE_URL) {
+    throw new Error('PUBLIC_BASE_URL is not configured; it is required for share links');
+  }
+  return process.env.PUBLIC_BASE_URL.replace(/\/$/, '');
+};
+
+// Shape a share link row for API responses
+const formatShareLink = (link, baseUrl) => ({
+  id: link.id,
+  proposalId: link.proposal_id,
+  url: `${baseUrl}/api/share/${buildShareToken(link)}`,
+  expiresAt: link.expires_at,
+  maxDownloads: link.max_downloads,
+  downloadCount: link.download_count,
+  pinProtected: link.pin_protected,
+  pinLockedUntil: link.pin_locked_until,
+  revokedAt: link.revoked_at,
+  active: !link.revoked_at && new Date(link.expires_at) > new Date() &&
+    (!link.max_downloads || link.download_count < link.max_downloads),
+  accessCount: link.access_count,
+  lastDownloadedAt: link.last_downloaded_at,
+  createdBy: link.created_by,
+  createdAt: link.created_at
+});
+
+// Shape a proposal email log row for API responses
+const formatEmail = (email) => ({
+  id: email.id,
+  proposalId: email.proposal_id,
+  status: email.status,
+  transport: email.transport,
+  to: email.to_address,
+  cc: email.cc_addresses,
+  subject: email.subject,
+  messageId: email.message_id,
+  error: email.error_message,
+  sentBy: email.sent_by ? { id: email.sent_by, email: email.sent_by_email } : null,
+  createdAt: email.created_at
+});
+
+// POST /api/proposal/generate - Generate proposal from CSV data, or from a stored dataset with datasetId
+router.post('/generate', authenticateToken, requireExecutiveOrAdmin, claimsUpload, async (req, res) => {
+  const uploadedFiles = getUploadedFiles(req);
   
   try {
-    // Check if file was uploaded
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        message: 'No CSV file uploaded'
-      });
-    }
-
-    uploadedFilePath = req.file.path;
+    // Uploaded files, or a stored dataset selected with datasetId
+    const claims = await resolveClaimsInput(toClaimFiles(uploadedFiles), req.body.datasetId);
 
     // Get parameters from request body
-    const {
-      hospitalName,
-      contactPerson,
-      email,
-      title,
-      eytherContactEmail,
-      eytherContactPhone,
-      eytherTeamMember
-    } = req.body;
+    const hospitalParams = await prefillHospitalParams(getHospitalParams(req.body), req.body);
 
     // Validate required fields
-    if (!hospitalName) {
+    if (!hospitalParams.hospitalName) {
       return res.status(400).json({
         success: false,
         message: 'Missing required field: hospitalName is required'
       });
     }
 
+    // PDF by default; output=docx returns an editable Word document (the PDF is still stored)
+    const output = req.query.output || req.body.output || 'pdf';
+    if (!OUTPUT_FORMATS.includes(output)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid output: ${output}. Expected one of: ${OUTPUT_FORMATS.join(', ')}`
+      });
+    }
+
     // Log the request for debugging
     console.log('Proposal generation request:', {
       user: req.user.email,
-      file: req.file.filename,
-      hospitalName,
-      contactPerson,
-      email,
-      title
+      files: uploadedFiles.map(file => file.filename),
+      datasetId: claims.datasetId,
+      hospitalName: hospitalParams.hospitalName,
+      contactPerson: hospitalParams.contactPerson,
+      email: hospitalParams.email,
+      title: hospitalParams.title
+    });
+
+    // Process the claims files, generate the PDF and keep it with the proposal record
+    const processingOptions = await getProcessingOptions(req.body);
+    const { proposal, pdfBuffer, pdfFileName, templateData } = await createProposalFromFile(claims, hospitalParams, {
+      sourceFileName: getClaimsSourceName(claims, uploadedFiles),
+      generatedBy: req.user.id,
+      processingOptions
+    });
+
+    if (output === 'docx') {
+      return await sendDocx(res, templateData, pdfFileName, proposal.id, await loadBrandingProfile(processingOptions.brandingProfileId));
+    }
+
+    // Send PDF as response
+    sendPdf(res, pdfBuffer, pdfFileName, proposal.id);
+
+  } catch (error) {
+    console.error('Proposal generation error:', error);
+
+    // Bad upload or options, e.g. a failed data quality check or an unknown ROI preset
+    if (sendClientError(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Error generating proposal',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  } finally {
+    // Clean up uploaded claims files
+    await removeUploads(uploadedFiles);
+  }
+});
+
+// POST /api/proposal/batch - Queue one proposal per Hospital Name in the export (or stored
+// datasetId). The finished job lists the proposals and its ZIP of PDFs with a KPI summary CSV is
+// downloaded from /api/proposal/jobs/:id/download. hospitalName and hospitalId are ignored; hospital
+// contact details come from the optional contacts mapping sheet, Eyther contact fields apply to
+// every proposal.
+router.post('/batch', authenticateToken, requireAdmin, batchUpload, async (req, res) => {
+  const uploadedFiles = getUploadedFiles(req);
+  const contactsFile = req.files?.contactsFile?.[0];
+
+  try {
+    const dataset = await checkClaimsInput(uploadedFiles, req.body.datasetId);
+
+    const { hospitalName, hospitalLocation, contactPerson, email, title, ...baseParams } = getHospitalParams(req.body);
+
+    console.log('Batch proposal request:', {
+      user: req.user.email,
+      files: uploadedFiles.map(file => file.filename),
+      datasetId: dataset?.id,
+      contactsFile: contactsFile?.filename
     });
 
-    // Process CSV file
-    const processedData = await processCSVForProposal(uploadedFilePath, {
-      hospitalName,
-      contactPerson,
-      email,
-      title,
-      eytherContactEmail,
-      eytherContactPhone,
-      eytherTeamMember
+    const job = await ProposalJob.create({
+      jobType: 'batch',
+      hospitalParams: baseParams,
+      sourceFileName: getJobSourceName(dataset, uploadedFiles),
+      claimDatasetId: dataset?.id,
+      // Keep the uploads with the job so it can be resumed after a restart
+      files: await readJobFiles(uploadedFiles, contactsFile),
+      processingOptions: await getProcessingOptions(req.body),
+      createdBy: req.user.id
+    });
+
+    notifyProposalJobWorker();
+
+    res.status(202).json({
+      success: true,
+      message: 'Batch proposal generation queued',
+      data: {
+        job: formatJob(job),
+        statusUrl: `/api/proposal/jobs/${job.id}`
+      }
     });
+  } catch (error) {
+    console.error('Queue batch proposal error:', error);
+    if (sendClientError(res, error)) return;
+    res.status(500).json({
+      success: false,
+      message: 'Error queueing batch proposals'
+    });
+  } finally {
+    await removeUploads(contactsFile ? [...uploadedFiles, contactsFile] : uploadedFiles);
+  }
+});
+
+// GET /api/proposal/schemes - List supported claims export profiles
+router.get('/schemes', authenticateToken, requireExecutiveOrAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      schemes: Object.values(SCHEME_PROFILES).map(profile => ({
+        id: profile.id,
+        name: profile.name,
+        columns: profile.columns,
+        dateFormats: profile.dateFormats
+      }))
+    }
+  });
+});
+
+// POST /api/proposal/preview - Compute proposal metrics without rendering a PDF (from uploads or a datasetId)
+router.post('/preview', authenticateToken, requireExecutiveOrAdmin, claimsUpload, async (req, res) => {
+  const uploadedFiles = getUploadedFiles(req);
+
+  try {
+    const claims = await resolveClaimsInput(toClaimFiles(uploadedFiles), req.body.datasetId);
+
+    const hospitalParams = await prefillHospitalParams(getHospitalParams(req.body), req.body);
+
+    if (!hospitalParams.hospitalName) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: hospitalName is required'
+      });
+    }
+
+    const processingOptions = await getProcessingOptions(req.body);
+    const processedData = await processClaimsForProposal(claims, hospitalParams, processingOptions);
 
     if (!processedData.success) {
-      throw new Error(processedData.error || 'Failed to process CSV data');
+      return res.status(422).json({
+        success: false,
+        message: processedData.error || 'Failed to process CSV data',
+        ...(processedData.dataQuality && { data: { dataQuality: processedData.dataQuality } })
+      });
     }
 
-    // Generate PDF filename
-    const sanitizedHospitalName = hospitalName.replace(/[^a-z0-9]/gi, '_').toLowerCase();
-    const timestamp = Date.now();
-    const pdfFileName = `proposal_${sanitizedHospitalName}_${timestamp}.pdf`;
+    res.json({
+      success: true,
+      data: {
+        scheme: processedData.scheme,
+        merge: processedData.merge,
+        metrics: processedData.metrics,
+        roiProjections: processedData.roiProjections,
+        templateData: processedData.templateData,
+        defaultedFields: processedData.defaultedFields,
+        dataQuality: processedData.dataQuality
+      }
+    });
+  } catch (error) {
+    console.error('Proposal preview error:', error);
+    if (sendClientError(res, error)) return;
+    res.status(500).json({
+      success: false,
+      message: 'Error previewing proposal',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  } finally {
+    await removeUploads(uploadedFiles);
+  }
+});
+
+// POST /api/proposal/preview/html - Fill the proposal template and return the HTML, from uploads,
+// a stored datasetId or an existing proposalId
+router.post('/preview/html', authenticateToken, requireExecutiveOrAdmin, claimsUpload, async (req, res) => {
+  const uploadedFiles = getUploadedFiles(req);
+
+  try {
+    let templateData;
+    let templateVersionId;
+    let branding;
+
+    if (uploadedFiles.length > 0 || req.body.datasetId) {
+      const claims = await resolveClaimsInput(toClaimFiles(uploadedFiles), req.body.datasetId);
+      const hospitalParams = await prefillHospitalParams(getHospitalParams(req.body), req.body);
+
+      if (!hospitalParams.hospitalName) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required field: hospitalName is required'
+        });
+      }
+
+      const processingOptions = await getProcessingOptions(req.body);
+      const processedData = await processClaimsForProposal(claims, hospitalParams, processingOptions);
+
+      if (!processedData.success) {
+        return res.status(422).json({
+          success: false,
+          message: processedData.error || 'Failed to process CSV data',
+          ...(processedData.dataQuality && { data: { dataQuality: processedData.dataQuality } })
+        });
+      }
+
+      templateData = processedData.templateData;
+      templateVersionId = processingOptions.templateVersionId;
+      branding = await loadBrandingProfile(processingOptions.brandingProfileId);
+    } else if (req.body.proposalId) {
+      if (!/^\d+$/.test(req.body.proposalId.toString())) {
+        return res.status(400).json({
+          success: false,
+          message: 'proposalId must be a numeric id'
+        });
+      }
+
+      const proposal = await Proposal.findById(req.body.proposalId);
+      if (!proposal) {
+        return res.status(404).json({
+          success: false,
+          message: 'Proposal not found'
+        });
+      }
+
+      templateData = getProposalTemplateData(proposal);
 
-    // Generate PDF
-    const pdfResult = await generateProposal(processedData, pdfFileName);
+      // The proposal's own template version unless another template is selected
+      templateVersionId = req.body.templateId
+        ? (await resolveTemplateVersion({ templateId: req.body.templateId, templateVersion: req.body.templateVersion })).id
+        : proposal.template_version_id;
 
-    if (!pdfResult.success) {
-      throw new Error(pdfResult.error || 'Failed to generate PDF');
+      // Likewise the branding the proposal was rendered with unless a brandingId is given
+      branding = req.body.brandingId
+        ? await resolveBrandingProfile(req.body.brandingId)
+        : getProposalBranding(proposal);
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a CSV file, or provide a datasetId or proposalId'
+      });
     }
 
-    // Read the generated PDF
-    const pdfBuffer = await fs.readFile(pdfResult.path);
-    
-    // Clean up uploaded CSV file
-    await fs.unlink(uploadedFilePath);
-    uploadedFilePath = null;
+    const { html, unmatchedPlaceholders } = await renderProposalHTML(templateData, {
+      template: await loadTemplateHTML(templateVersionId),
+      branding
+    });
 
-    // Send PDF as response
-    res.set({
-      'Content-Type': 'application/pdf',
-      'Content-Disposition': `attachment; filename="${pdfFileName}"`,
-      'Content-Length': pdfBuffer.length
+    // Serve the page directly when requested, e.g. for an iframe src
+    if (req.query.format === 'html') {
+      res.set({
+        'Content-Type': 'text/html; charset=utf-8',
+        'X-Unmatched-Placeholders': unmatchedPlaceholders.join(',')
+      });
+      return res.send(html);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        html,
+        unmatchedPlaceholders
+      }
     });
+  } catch (error) {
+    console.error('Proposal HTML preview error:', error);
+    if (sendClientError(res, error)) return;
+    res.status(500).json({
+      success: false,
+      message: 'Error previewing proposal',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  } finally {
+    await removeUploads(uploadedFiles);
+  }
+});
+
+// POST /api/proposal/validate - Check a claims file row by row without generating a proposal
+router.post('/validate', authenticateToken, requireExecutiveOrAdmin, claimsUpload, async (req, res) => {
+  const uploadedFiles = getUploadedFiles(req);
 
-    res.send(pdfBuffer);
+  try {
+    if (uploadedFiles.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No CSV file uploaded'
+      });
+    }
 
-    // Clean up generated PDF after sending
-    setTimeout(async () => {
-      try {
-        await fs.unlink(pdfResult.path);
-      } catch (err) {
-        console.error('Error cleaning up PDF:', err);
+    const qualityThresholds = resolveQualityThresholds(req.body);
+
+    let result;
+    try {
+      result = await checkClaimsFileQuality(toClaimFiles(uploadedFiles), {
+        scheme: req.body.scheme,
+        sheets: getSheetSelection(req.body),
+        qualityThresholds
+      });
+    } catch (error) {
+      // Unknown scheme or sheet, or missing required columns
+      return res.status(422).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const { scheme, report } = result;
+
+    // Spreadsheet with one row per issue, for sending back to the hospital
+    if (req.query.format === 'xlsx') {
+      const workbook = buildDataQualityWorkbook(report);
+      const firstName = uploadedFiles[0].originalname;
+      const baseName = path.basename(firstName, path.extname(firstName));
+      // The name comes from the upload: attachment() quotes it and adds an RFC 5987 filename*
+      // for characters outside Latin-1
+      res.attachment(`${baseName}_data_quality.xlsx`);
+      res.set({
+        'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'Content-Length': workbook.length
+      });
+      return res.send(workbook);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        scheme,
+        summary: summarizeDataQuality(report),
+        issues: report.issues
       }
-    }, 5000);
+    });
+  } catch (error) {
+    if (sendClientError(res, error)) return;
 
+    console.error('Claims validation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error validating claims file',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  } finally {
+    await removeUploads(uploadedFiles);
+  }
+});
+
+// POST /api/proposal/jobs - Queue proposal generation from uploads or a stored datasetId and
+// return immediately
+router.post('/jobs', authenticateToken, requireExecutiveOrAdmin, claimsUpload, async (req, res) => {
+  const uploadedFiles = getUploadedFiles(req);
+
+  try {
+    const dataset = await checkClaimsInput(uploadedFiles, req.body.datasetId);
+    const hospitalParams = await prefillHospitalParams(getHospitalParams(req.body), req.body);
+
+    if (!hospitalParams.hospitalName) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: hospitalName is required'
+      });
+    }
+
+    const job = await ProposalJob.create({
+      hospitalParams,
+      sourceFileName: getJobSourceName(dataset, uploadedFiles),
+      claimDatasetId: dataset?.id,
+      // Keep the uploads with the job so it can be resumed after a restart
+      files: await readJobFiles(uploadedFiles),
+      processingOptions: await getProcessingOptions(req.body),
+      createdBy: req.user.id
+    });
+
+    notifyProposalJobWorker();
+
+    res.status(202).json({
+      success: true,
+      message: 'Proposal generation queued',
+      data: {
+        job: formatJob(job),
+        statusUrl: `/api/proposal/jobs/${job.id}`
+      }
+    });
   } catch (error) {
-    console.error('Proposal generation error:', error);
-    
-    // Clean up uploaded file if it exists
-    if (uploadedFilePath) {
-      try {
-        await fs.unlink(uploadedFilePath);
-      } catch (cleanupError) {
-        console.error('Error cleaning up uploaded file:', cleanupError);
+    console.error('Queue proposal job error:', error);
+    if (sendClientError(res, error)) return;
+    res.status(500).json({
+      success: false,
+      message: 'Error queueing proposal generation'
+    });
+  } finally {
+    await removeUploads(uploadedFiles);
+  }
+});
+
+// GET /api/proposal/jobs/:id - Poll the status of a generation job
+router.get('/jobs/:id(\\d+)', authenticateToken, requireExecutiveOrAdmin, async (req, res) => {
+  try {
+    const job = await ProposalJob.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        job: formatJob(job)
       }
+    });
+  } catch (error) {
+    console.error('Get proposal job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/proposal/jobs/:id/download - Download a finished batch job's ZIP of PDFs and summary CSV
+router.get('/jobs/:id(\\d+)/download', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const resultFile = await ProposalJob.findResultFile(req.params.id);
+    if (!resultFile) {
+      return res.status(404).json({
+        success: false,
+        message: 'No finished batch job with a download'
+      });
     }
 
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${resultFile.result_file_name}"`,
+      'Content-Length': resultFile.result_data.length
+    });
+    res.send(resultFile.result_data);
+  } catch (error) {
+    console.error('Download proposal job error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error generating proposal',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/proposal - List stored proposals; ?hospitalId= limits them to a registered hospital
+// and ?status= to a lifecycle status
+router.get('/', authenticateToken, requireExecutiveOrAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    if (req.query.status && !PROPOSAL_STATUSES.includes(req.query.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status: ${req.query.status}. Expected one of: ${PROPOSAL_STATUSES.join(', ')}`
+      });
+    }
+
+    const { proposals, total } = await Proposal.findAll({
+      search: req.query.search?.trim(),
+      hospitalId: parseInt(req.query.hospitalId) || undefined,
+      status: req.query.status || undefined,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      data: {
+        proposals: proposals.map(proposal => formatProposal(proposal)),
+        pagination: { total, limit, offset }
+      }
+    });
+  } catch (error) {
+    console.error('List proposals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/proposal/:id - Get a stored proposal with its metrics and template data
+router.get('/:id(\\d+)', authenticateToken, requireExecutiveOrAdmin, async (req, res) => {
+  try {
+    const proposal = await Proposal.findById(req.params.id);
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal not found'
+      });
+    }
+
+    const authors = getProposalAuthors(proposal, await Proposal.findTransitions(proposal.id));
+
+    res.json({
+      success: true,
+      data: {
+        proposal: {
+          ...formatProposal(proposal, { includeData: true }),
+          availableActions: getAvailableActions(proposal, req.user, authors)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get proposal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/proposal/:id/pdf - Download a stored proposal PDF
+router.get('/:id(\\d+)/pdf', authenticateToken, requireExecutiveOrAdmin, async (req, res) => {
+  try {
+    const proposal = await Proposal.getPdf(req.params.id);
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal not found'
+      });
+    }
+
+    sendPdf(res, proposal.pdf_data, proposal.pdf_file_name, proposal.id);
+  } catch (error) {
+    console.error('Download proposal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/proposal/:id/docx - Editable Word version of a stored proposal, filled from its saved data
+router.get('/:id(\\d+)/docx', authenticateToken, requireExecutiveOrAdmin, async (req, res) => {
+  try {
+    const proposal = await Proposal.findById(req.params.id);
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal not found'
+      });
+    }
+
+    await sendDocx(res, getProposalTemplateData(proposal), proposal.pdf_file_name, proposal.id, getProposalBranding(proposal));
+  } catch (error) {
+    console.error('Download proposal DOCX error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/proposal/:id/regenerate - Re-render a stored proposal from its saved data. A proposal
+// in review, approved or sent goes back to review; accepted and declined ones cannot be regenerated.
+router.post('/:id(\\d+)/regenerate', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const proposal = await Proposal.findById(req.params.id);
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal not found'
+      });
+    }
+
+    const { pdfBuffer, pdfFileName } = await regenerateProposalPdf(proposal, { user: req.user });
+
+    sendPdf(res, pdfBuffer, pdfFileName, proposal.id);
+  } catch (error) {
+    if (sendClientError(res, error)) return;
+    console.error('Proposal regeneration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error regenerating proposal',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
+// POST /api/proposal/:id/share-links - Create a public link to an approved proposal's PDF, which
+// marks it sent; body: { expiresInHours, maxDownloads, pin } (all optional)
+router.post('/:id(\\d+)/share-links', authenticateToken, requireExecutiveOrAdmin, async (req, res) => {
+  try {
+    const proposal = await Proposal.findById(req.params.id);
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal not found'
+      });
+    }
+
+    assertDeliverable(proposal);
+    // Before creating the link, so a missing base URL does not leave an unusable link
+    const baseUrl = getPublicBaseUrl();
+    const link = await createShareLink(proposal.id, req.body, { createdBy: req.user.id });
+    await markProposalSent(proposal, { user: req.user, comment: 'Share link created' });
+
+    res.status(201).json({
+      success: true,
+      message: 'Share link created successfully',
+      data: {
+        shareLink: formatShareLink(link, baseUrl)
+      }
+    });
+  } catch (error) {
+    if (sendClientError(res, error)) return;
+    console.error('Create share link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/proposal/:id/share-links - The proposal's share links with download and access totals
+router.get('/:id(\\d+)/share-links', authenticateToken, requireExecutiveOrAdmin, async (req, res) => {
+  try {
+    const proposal = await Proposal.findById(req.params.id);
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal not found'
+      });
+    }
+
+    const links = await ShareLink.findByProposal(proposal.id);
+    const baseUrl = getPublicBaseUrl();
+
+    res.json({
+      success: true,
+      data: {
+        shareLinks: links.map(link => formatShareLink(link, baseUrl))
+      }
+    });
+  } catch (error) {
+    console.error('List share links error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/proposal/:id/share-links/:linkId/accesses - When and from where a link was opened
+router.get('/:id(\\d+)/share-links/:linkId(\\d+)/accesses', authenticateToken, requireExecutiveOrAdmin, async (req, res) => {
+  try {
+    const link = await ShareLink.findById(req.params.linkId);
+    if (!link || link.proposal_id !== Number(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found'
+      });
+    }
+
+    const offset = req.query.offset === undefined || req.query.offset === '' ? 0 : Number(req.query.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'offset must be a non-negative whole number'
+      });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+    const accesses = await ShareLink.findAccesses(link.id, { limit, offset });
+
+    res.json({
+      success: true,
+      data: {
+        accesses: accesses.map(access => ({
+          id: access.id,
+          outcome: access.outcome,
+          ipAddress: access.ip_address,
+          userAgent: access.user_agent,
+          accessedAt: access.accessed_at
+        })),
+        pagination: {
+          total: link.access_count,
+          limit,
+          offset
+        }
+      }
+    });
+  } catch (error) {
+    console.error('List share link accesses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE /api/proposal/:id/share-links/:linkId - Revoke a link; its access log is kept
+router.delete('/:id(\\d+)/share-links/:linkId(\\d+)', authenticateToken, requireExecutiveOrAdmin, async (req, res) => {
+  try {
+    const link = await ShareLink.findById(req.params.linkId);
+    if (!link || link.proposal_id !== Number(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found'
+      });
+    }
+
+    const revoked = await ShareLink.revoke(link.id);
+
+    res.json({
+      success: true,
+      message: 'Share link revoked successfully',
+      data: {
+        shareLink: formatShareLink(revoked, getPublicBaseUrl())
+      }
+    });
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/proposal/:id/send - Email an approved proposal's PDF to the hospital contact, cc the
+// Eyther contact, and mark it sent; body: { to, cc } (optional, replace the addresses saved with
+// the proposal). Every attempt is logged.
+router.post('/:id(\\d+)/send', authenticateToken, requireExecutiveOrAdmin, async (req, res) => {
+  try {
+    const proposal = await Proposal.findById(req.params.id);
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal not found'
+      });
+    }
+
+    assertDeliverable(proposal);
+    const email = await sendProposalEmail(proposal, { to: req.body?.to, cc: req.body?.cc }, { sender: req.user });
+
+    if (email.status === 'failed') {
+      return res.status(502).json({
+        success: false,
+        message: 'Email delivery failed',
+        data: {
+          email: formatEmail(email)
+        }
+      });
+    }
+
+    await markProposalSent(proposal, { user: req.user, comment: `Emailed to ${email.to_address}` });
+
+    res.json({
+      success: true,
+      message: 'Proposal emailed successfully',
+      data: {
+        email: formatEmail(email)
+      }
+    });
+  } catch (error) {
+    if (sendClientError(res, error)) return;
+    console.error('Send proposal email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/proposal/:id/emails - Attempts to email the proposal and their outcomes, newest first
+router.get('/:id(\\d+)/emails', authenticateToken, requireExecutiveOrAdmin, async (req, res) => {
+  try {
+    const proposal = await Proposal.findById(req.params.id);
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal not found'
+      });
+    }
+
+    const offset = req.query.offset === undefined || req.query.offset === '' ? 0 : Number(req.query.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'offset must be a non-negative whole number'
+      });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const { emails, total } = await ProposalEmail.findByProposal(proposal.id, { limit, offset });
+
+    res.json({
+      success: true,
+      data: {
+        emails: emails.map(formatEmail),
+        pagination: {
+          total,
+          limit,
+          offset
+        }
+      }
+    });
+  } catch (error) {
+    console.error('List proposal emails error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Shape a status transition row for API responses
+const formatTransition = (transition) => ({
+  id: transition.id,
+  action: transition.action,
+  fromStatus: transition.from_status,
+  toStatus: transition.to_status,
+  comment: transition.comment,
+  user: transition.user_id ? {
+    id: transition.user_id,
+    email: transition.user_email,
+    firstName: transition.user_first_name,
+    lastName: transition.user_last_name
+  } : null,
+  createdAt: transition.created_at
+});
+
+// GET /api/proposal/:id/transitions - The proposal's status history and the actions open to the user
+router.get('/:id(\\d+)/transitions', authenticateToken, requireExecutiveOrAdmin, async (req, res) => {
+  try {
+    const proposal = await Proposal.findById(req.params.id);
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal not found'
+      });
+    }
+
+    const transitions = await Proposal.findTransitions(proposal.id);
+
+    res.json({
+      success: true,
+      data: {
+        status: proposal.status,
+        availableActions: getAvailableActions(proposal, req.user, getProposalAuthors(proposal, transitions)),
+        transitions: transitions.map(formatTransition)
+      }
+    });
+  } catch (error) {
+    console.error('List proposal transitions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/proposal/:id/transitions - Move the proposal through its lifecycle;
+// body: { action, comment }. Actions: submit, approve and reject (admins; reject needs a
+// comment, and a proposal is not approved by whoever generated or submitted it), send, accept and
+// decline.
+router.post('/:id(\\d+)/transitions', authenticateToken, requireExecutiveOrAdmin, async (req, res) => {
+  try {
+    const proposal = await Proposal.findById(req.params.id);
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal not found'
+      });
+    }
+
+    const transition = await transitionProposal(proposal, req.body?.action, {
+      user: req.user,
+      comment: req.body?.comment
+    });
+    const updated = { ...proposal, status: transition.to_status };
+    const authors = getProposalAuthors(updated, await Proposal.findTransitions(proposal.id));
+
+    res.json({
+      success: true,
+      message: `Proposal is now ${transition.to_status.replace('_', ' ')}`,
+      data: {
+        status: updated.status,
+        availableActions: getAvailableActions(updated, req.user, authors),
+        transition: formatTransition({
+          ...transition,
+          user_email: req.user.email,
+          user_first_name: req.user.first_name,
+          user_last_name: req.user.last_name
+        })
+      }
+    });
+  } catch (error) {
+    if (sendClientError(res, error)) return;
+    console.error('Proposal transition error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 // Error handling middleware for multer
 router.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
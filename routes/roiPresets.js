@@ -0,0 +1,199 @@
+import express from 'express';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { DEFAULT_ROI_ASSUMPTIONS, mergeRoiAssumptions } from '../config/roiAssumptions.js';
+import RoiPreset from '../models/RoiPreset.js';
+
+const router = express.Router();
+
+// Shape a stored preset row for API responses
+const formatPreset = (preset) => ({
+  id: preset.id,
+  name: preset.name,
+  description: preset.description,
+  assumptions: preset.assumptions,
+  createdBy: preset.created_by,
+  createdAt: preset.created_at,
+  updatedAt: preset.updated_at
+});
+
+// GET /api/roi-presets - List presets along with the built-in defaults
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const presets = await RoiPreset.findAll();
+
+    res.json({
+      success: true,
+      data: {
+        defaults: DEFAULT_ROI_ASSUMPTIONS,
+        presets: presets.map(formatPreset)
+      }
+    });
+  } catch (error) {
+    console.error('List ROI presets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/roi-presets/:id
+router.get('/:id(\\d+)', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const preset = await RoiPreset.findById(req.params.id);
+    if (!preset) {
+      return res.status(404).json({
+        success: false,
+        message: 'ROI preset not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        preset: formatPreset(preset)
+      }
+    });
+  } catch (error) {
+    console.error('Get ROI preset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/roi-presets - Create a preset; omitted assumptions take the built-in defaults
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { name, description, assumptions: overrides } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: name is required'
+      });
+    }
+
+    const { assumptions, errors } = mergeRoiAssumptions(DEFAULT_ROI_ASSUMPTIONS, overrides || {});
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ROI assumptions',
+        errors
+      });
+    }
+
+    const preset = await RoiPreset.create({
+      name: name.trim(),
+      description,
+      assumptions,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'ROI preset created successfully',
+      data: {
+        preset: formatPreset(preset)
+      }
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'An ROI preset with this name already exists'
+      });
+    }
+
+    console.error('Create ROI preset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// PUT /api/roi-presets/:id - Update a preset; assumptions are merged onto the stored ones
+router.put('/:id(\\d+)', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const existing = await RoiPreset.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'ROI preset not found'
+      });
+    }
+
+    const { name, description, assumptions: overrides } = req.body;
+
+    if (name !== undefined && !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'name cannot be empty'
+      });
+    }
+
+    const { assumptions, errors } = mergeRoiAssumptions(existing.assumptions, overrides || {});
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ROI assumptions',
+        errors
+      });
+    }
+
+    const preset = await RoiPreset.update(existing.id, {
+      name: name !== undefined ? name.trim() : existing.name,
+      description: description !== undefined ? description : existing.description,
+      assumptions
+    });
+
+    res.json({
+      success: true,
+      message: 'ROI preset updated successfully',
+      data: {
+        preset: formatPreset(preset)
+      }
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'An ROI preset with this name already exists'
+      });
+    }
+
+    console.error('Update ROI preset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE /api/roi-presets/:id - Proposals keep their saved assumptions
+router.delete('/:id(\\d+)', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const deleted = await RoiPreset.delete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'ROI preset not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'ROI preset deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete ROI preset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+export default router;
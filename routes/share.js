@@ -0,0 +1,62 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { openSharedProposal } from '../services/shareLinks.js';
+
+// Public routes for proposal share links; no JWT, the signed token is the credential
+const router = express.Router();
+
+// Limit requests per IP, which also slows down guessing a link's PIN
+const shareLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  limit: parseInt(process.env.SHARE_LINK_RATE_LIMIT) || 30,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      message: 'Too many requests. Please try again later.'
+    });
+  }
+});
+
+// Open a link and send the PDF for viewing in the browser
+const sendSharedProposal = async (req, res, pin) => {
+  try {
+    const proposal = await openSharedProposal(req.params.token, {
+      pin,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${proposal.pdf_file_name}"`,
+      'Content-Length': proposal.pdf_data.length,
+      'Cache-Control': 'no-store',
+      'X-Robots-Tag': 'noindex'
+    });
+    res.send(proposal.pdf_data);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...(error.pinRequired && { data: { pinRequired: true } })
+      });
+    }
+
+    console.error('Shared proposal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// GET /api/share/:token - Shared proposal PDF (PIN-protected links answer 401 with pinRequired)
+router.get('/:token', shareLimiter, (req, res) => sendSharedProposal(req, res, req.get('x-share-pin')));
+
+// POST /api/share/:token - Shared proposal PDF for a PIN-protected link; body: { pin }
+router.post('/:token', shareLimiter, (req, res) => sendSharedProposal(req, res, req.body?.pin));
+
+export default router;
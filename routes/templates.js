@@ -0,0 +1,537 @@
+import express from 'express';
+import multer from 'multer';
+import path from 'path';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { parseTemplate } from '../services/templateEngine.js';
+import { loadDefaultTemplate, renderProposalHTML } from '../services/pdfGenerator.js';
+import { getProposalBranding, getProposalTemplateData } from '../services/proposalService.js';
+import ProposalTemplate from '../models/ProposalTemplate.js';
+import Proposal from '../models/Proposal.js';
+
+const router = express.Router();
+
+// Template HTML is kept in memory and stored in the database, never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB limit for template HTML
+  },
+  fileFilter: function (req, file, cb) {
+    if (/^\.html?$/.test(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    cb(new Error('Invalid file type. Only HTML templates are allowed.'));
+  }
+});
+
+const templateUpload = upload.single('templateFile');
+
+// Shape a stored template row for API responses
+const formatTemplate = (template) => ({
+  id: template.id,
+  name: template.name,
+  description: template.description,
+  // The stored copy of templates/proposal_template.html, managed by the server
+  builtin: template.is_builtin,
+  // Version numbers are only loaded for listings
+  ...(template.latest_version !== undefined && {
+    latestVersion: template.latest_version,
+    publishedVersion: template.published_version
+  }),
+  createdBy: template.created_by,
+  createdAt: template.created_at,
+  updatedAt: template.updated_at
+});
+
+// Shape a template version row; the HTML is only included when the row has it
+const formatVersion = (version) => ({
+  id: version.id,
+  templateId: version.template_id,
+  version: version.version,
+  status: version.status,
+  notes: version.notes,
+  contentSize: version.content_size ?? (version.content !== undefined ? Buffer.byteLength(version.content) : undefined),
+  ...(version.content !== undefined && { content: version.content }),
+  createdBy: version.created_by,
+  publishedAt: version.published_at,
+  createdAt: version.created_at,
+  updatedAt: version.updated_at
+});
+
+// Template HTML from an uploaded `templateFile` or a `content` field
+const getTemplateContent = (req) => {
+  if (req.file) return req.file.buffer.toString('utf-8');
+  return typeof req.body.content === 'string' ? req.body.content : null;
+};
+
+// Syntax error message for template HTML, or null when it parses
+const checkTemplateSyntax = (content) => {
+  try {
+    parseTemplate(content);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// Respond 400 when the template HTML is missing or does not parse; true when a response was sent
+const rejectInvalidContent = (res, content) => {
+  if (!content || !content.trim()) {
+    res.status(400).json({
+      success: false,
+      message: 'Missing template: upload a templateFile or provide content'
+    });
+    return true;
+  }
+
+  const syntaxError = checkTemplateSyntax(content);
+  if (syntaxError) {
+    res.status(400).json({
+      success: false,
+      message: `Invalid template: ${syntaxError}`
+    });
+    return true;
+  }
+  return false;
+};
+
+// Respond 409 for changes to the built-in template, whose versions follow the template file;
+// true when a response was sent
+const rejectBuiltinChange = (res, template) => {
+  if (!template.is_builtin) return false;
+
+  res.status(409).json({
+    success: false,
+    message: 'The built-in template follows templates/proposal_template.html and cannot be changed; create a new template from GET /api/templates/default instead'
+  });
+  return true;
+};
+
+// GET /api/templates - List stored templates
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const templates = await ProposalTemplate.findAll();
+
+    res.json({
+      success: true,
+      data: {
+        templates: templates.map(formatTemplate)
+      }
+    });
+  } catch (error) {
+    console.error('List proposal templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/templates/default - The built-in template's HTML, a starting point for new templates
+router.get('/default', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const content = await loadDefaultTemplate();
+
+    if (req.query.format === 'html') {
+      res.set('Content-Type', 'text/html; charset=utf-8');
+      return res.send(content);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        content
+      }
+    });
+  } catch (error) {
+    console.error('Get default proposal template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/templates - Create a template; its HTML becomes draft version 1
+router.post('/', authenticateToken, requireAdmin, templateUpload, async (req, res) => {
+  try {
+    const { name, description, notes } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: name is required'
+      });
+    }
+
+    const content = getTemplateContent(req);
+    if (rejectInvalidContent(res, content)) return;
+
+    const { template, version } = await ProposalTemplate.create({
+      name: name.trim(),
+      description,
+      content,
+      notes,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Proposal template created successfully',
+      data: {
+        template: formatTemplate(template),
+        version: formatVersion(version)
+      }
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'A proposal template with this name already exists'
+      });
+    }
+    console.error('Create proposal template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/templates/:id - Template with its versions (without their HTML)
+router.get('/:id(\\d+)', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const template = await ProposalTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal template not found'
+      });
+    }
+
+    const versions = await ProposalTemplate.listVersions(template.id);
+
+    res.json({
+      success: true,
+      data: {
+        template: formatTemplate(template),
+        versions: versions.map(formatVersion)
+      }
+    });
+  } catch (error) {
+    console.error('Get proposal template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// PUT /api/templates/:id - Rename or describe a template (HTML changes go into a new version)
+router.put('/:id(\\d+)', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const existing = await ProposalTemplate.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal template not found'
+      });
+    }
+    if (rejectBuiltinChange(res, existing)) return;
+
+    const { name, description } = req.body;
+
+    if (name !== undefined && !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'name cannot be empty'
+      });
+    }
+
+    const template = await ProposalTemplate.update(existing.id, {
+      name: name !== undefined ? name.trim() : existing.name,
+      description: description !== undefined ? description : existing.description
+    });
+
+    res.json({
+      success: true,
+      message: 'Proposal template updated successfully',
+      data: {
+        template: formatTemplate(template)
+      }
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'A proposal template with this name already exists'
+      });
+    }
+    console.error('Update proposal template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE /api/templates/:id - Only templates no proposal was rendered with can be deleted
+router.delete('/:id(\\d+)', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const template = await ProposalTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal template not found'
+      });
+    }
+    if (rejectBuiltinChange(res, template)) return;
+
+    const deleted = await ProposalTemplate.delete(template.id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Proposal template deleted successfully'
+    });
+  } catch (error) {
+    if (error.code === '23503') {
+      return res.status(409).json({
+        success: false,
+        message: 'This template has been used to generate proposals and cannot be deleted'
+      });
+    }
+    console.error('Delete proposal template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/templates/:id/versions - Add a new draft version
+router.post('/:id(\\d+)/versions', authenticateToken, requireAdmin, templateUpload, async (req, res) => {
+  try {
+    const template = await ProposalTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal template not found'
+      });
+    }
+    if (rejectBuiltinChange(res, template)) return;
+
+    const content = getTemplateContent(req);
+    if (rejectInvalidContent(res, content)) return;
+
+    const version = await ProposalTemplate.createVersion(template.id, {
+      content,
+      notes: req.body.notes,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Draft version ${version.version} created successfully`,
+      data: {
+        version: formatVersion(version)
+      }
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'Another version was added at the same time; try again'
+      });
+    }
+    console.error('Create proposal template version error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/templates/:id/versions/:version - A version including its HTML
+router.get('/:id(\\d+)/versions/:version(\\d+)', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const version = await ProposalTemplate.findVersion(req.params.id, req.params.version);
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        version: formatVersion(version)
+      }
+    });
+  } catch (error) {
+    console.error('Get proposal template version error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// PUT /api/templates/:id/versions/:version - Replace a draft's HTML or notes
+router.put('/:id(\\d+)/versions/:version(\\d+)', authenticateToken, requireAdmin, templateUpload, async (req, res) => {
+  try {
+    const existing = await ProposalTemplate.findVersion(req.params.id, req.params.version);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template version not found'
+      });
+    }
+    if (existing.status !== 'draft') {
+      return res.status(409).json({
+        success: false,
+        message: 'Published versions cannot be changed; create a new version instead'
+      });
+    }
+
+    const content = getTemplateContent(req) ?? existing.content;
+    if (rejectInvalidContent(res, content)) return;
+
+    const version = await ProposalTemplate.updateDraft(existing.template_id, existing.version, {
+      content,
+      notes: req.body.notes !== undefined ? req.body.notes : existing.notes
+    });
+    if (!version) {
+      return res.status(409).json({
+        success: false,
+        message: 'The version was published while it was being edited'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Draft version updated successfully',
+      data: {
+        version: formatVersion(version)
+      }
+    });
+  } catch (error) {
+    console.error('Update proposal template version error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/templates/:id/versions/:version/publish - Publish a draft; generation without a
+// version uses the latest published one
+router.post('/:id(\\d+)/versions/:version(\\d+)/publish', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const existing = await ProposalTemplate.findVersion(req.params.id, req.params.version);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template version not found'
+      });
+    }
+    if (existing.status === 'published') {
+      return res.status(409).json({
+        success: false,
+        message: 'This version is already published'
+      });
+    }
+
+    const version = await ProposalTemplate.publishVersion(existing.template_id, existing.version);
+    if (!version) {
+      return res.status(409).json({
+        success: false,
+        message: 'This version is already published'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Version ${version.version} published successfully`,
+      data: {
+        version: formatVersion(version)
+      }
+    });
+  } catch (error) {
+    console.error('Publish proposal template version error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/templates/:id/versions/:version/preview - Render a version (drafts included) with a
+// stored proposal's data
+router.post('/:id(\\d+)/versions/:version(\\d+)/preview', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const version = await ProposalTemplate.findVersion(req.params.id, req.params.version);
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template version not found'
+      });
+    }
+
+    if (!req.body.proposalId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: proposalId is required'
+      });
+    }
+    if (!/^\d+$/.test(req.body.proposalId.toString())) {
+      return res.status(400).json({
+        success: false,
+        message: 'proposalId must be a numeric id'
+      });
+    }
+
+    const proposal = await Proposal.findById(req.body.proposalId);
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal not found'
+      });
+    }
+
+    const { html, unmatchedPlaceholders } = await renderProposalHTML(getProposalTemplateData(proposal), {
+      template: version.content,
+      branding: getProposalBranding(proposal)
+    });
+
+    if (req.query.format === 'html') {
+      res.set({
+        'Content-Type': 'text/html; charset=utf-8',
+        'X-Unmatched-Placeholders': unmatchedPlaceholders.join(',')
+      });
+      return res.send(html);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        html,
+        unmatchedPlaceholders
+      }
+    });
+  } catch (error) {
+    console.error('Preview proposal template version error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+export default router;
@@ -5,6 +5,17 @@ import dotenv from 'dotenv';
 import { testConnection } from './config/database.js';
 import authRoutes from './routes/auth.js';
 import proposalRoutes from './routes/proposal.js';
+import roiPresetRoutes from './routes/roiPresets.js';
+import templateRoutes from './routes/templates.js';
+import brandingProfileRoutes from './routes/brandingProfiles.js';
+import shareRoutes from './routes/share.js';
+import emailTemplateRoutes from './routes/emailTemplates.js';
+import hospitalRoutes from './routes/hospitals.js';
+import datasetRoutes from './routes/datasets.js';
+import analyticsRoutes from './routes/analytics.js';
+import { startProposalJobWorker, stopProposalJobWorker } from './services/proposalJobWorker.js';
+import { startDatasetPurge, stopDatasetPurge } from './services/claimDatasets.js';
+import { resolveBuiltinTemplateVersion } from './services/proposalService.js';
 
 // Load environment variables
 dotenv.config();
@@ -22,6 +33,9 @@ if (!process.env.JWT_SECRET) {
   console.error('❌ JWT_SECRET environment variable is required');
   process.exit(1);
 }
+if (!process.env.PUBLIC_BASE_URL) {
+  console.warn('⚠️  PUBLIC_BASE_URL is not set; share links cannot be created until it is');
+}
 
 // Security middleware
 app.use(helmet({
@@ -75,8 +89,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-  exposedHeaders: ['Set-Cookie'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Share-Pin'],
+  exposedHeaders: ['Set-Cookie', 'Content-Disposition', 'X-Proposal-Id', 'X-Unmatched-Placeholders'],
   maxAge: 86400, // 24 hours
   optionsSuccessStatus: 200
 };
@@ -114,7 +128,15 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/health',
       auth: '/api/auth/*',
-      proposal: '/api/proposal/*'
+      proposal: '/api/proposal/*',
+      roiPresets: '/api/roi-presets/*',
+      templates: '/api/templates/*',
+      brandingProfiles: '/api/branding-profiles/*',
+      emailTemplates: '/api/email-templates/*',
+      hospitals: '/api/hospitals/*',
+      datasets: '/api/datasets/*',
+      analytics: '/api/analytics/*',
+      share: '/api/share/:token'
     },
     environment: process.env.NODE_ENV || 'development'
   });
@@ -133,6 +155,14 @@ app.get('/health', (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/proposal', proposalRoutes);
+app.use('/api/roi-presets', roiPresetRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/branding-profiles', brandingProfileRoutes);
+app.use('/api/email-templates', emailTemplateRoutes);
+app.use('/api/hospitals', hospitalRoutes);
+app.use('/api/datasets', datasetRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/share', shareRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -203,6 +233,15 @@ const startServer = async () => {
     // Test database connection
     await initializeDatabase();
 
+    // Store the built-in template's current version (older proposals without one are assigned it)
+    await resolveBuiltinTemplateVersion();
+
+    // Resume and process queued proposal generation jobs
+    await startProposalJobWorker();
+
+    // Remove stored claims datasets past their retention period
+    startDatasetPurge();
+
     // Start the server
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
@@ -220,11 +259,15 @@ const startServer = async () => {
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully...');
+  stopProposalJobWorker();
+  stopDatasetPurge();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT received. Shutting down gracefully...');
+  stopProposalJobWorker();
+  stopDatasetPurge();
   process.exit(0);
 });
 
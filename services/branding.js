@@ -0,0 +1,125 @@
+// Branding for rendered proposals: the built-in Eyther.AI look, or a stored branding profile
+// (models/BrandingProfile.js) for partner-led proposals. Templates read the brand from `brand`
+// ({{brand.companyName}}, {{brand.logo}}, ...); the colors are applied as CSS variables.
+
+export const DEFAULT_COMPANY_NAME = 'Eyther.AI';
+
+// Logo images a profile may carry, by MIME type
+export const LOGO_MIME_TYPES = ['image/png', 'image/jpeg', 'image/svg+xml'];
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+export const isHexColor = (value) => typeof value === 'string' && HEX_COLOR.test(value);
+
+// Check branding profile fields from a create or update request; returns a list of problems
+export function validateBrandingFields({ companyName, primaryColor, accentColor }, { partial = false } = {}) {
+  const errors = [];
+
+  if (companyName !== undefined || !partial) {
+    if (typeof companyName !== 'string' || !companyName.trim()) {
+      errors.push('companyName is required');
+    } else if (companyName.trim().length > 100) {
+      errors.push('companyName must be at most 100 characters');
+    }
+  }
+
+  for (const [field, value] of [['primaryColor', primaryColor], ['accentColor', accentColor]]) {
+    if ((value !== undefined || !partial) && !isHexColor(value)) {
+      errors.push(`${field} must be a hex color such as #1d4ed8`);
+    }
+  }
+
+  return errors;
+}
+
+// Template values for a branding profile row; the built-in branding without one
+export function buildBrandContext(profile) {
+  if (!profile) {
+    return {
+      profileId: null,
+      companyName: DEFAULT_COMPANY_NAME,
+      logo: null,
+      aboutText: null,
+      footerContact: null
+    };
+  }
+
+  return {
+    profileId: profile.id,
+    companyName: profile.company_name,
+    // Inlined so the renderer needs no network or file access
+    logo: profile.logo_data
+      ? `data:${profile.logo_mime_type};base64,${Buffer.from(profile.logo_data).toString('base64')}`
+      : null,
+    aboutText: profile.about_text || null,
+    footerContact: profile.footer_contact || null
+  };
+}
+
+// CSS variables overriding the template's brand colors (the primary color also drives the
+// cover and table header gradients and the charts); empty for the built-in branding
+export function buildBrandCss(profile) {
+  if (!profile) return '';
+
+  const primary = profile.primary_color;
+  const accent = profile.accent_color;
+
+  return `:root {
+  --primary: ${primary};
+  --primary-dark: color-mix(in srgb, ${primary} 55%, black);
+  --secondary: color-mix(in srgb, ${primary} 8%, white);
+  --secondary-foreground: color-mix(in srgb, ${primary} 55%, black);
+  --accent: ${accent};
+  --accent-end: color-mix(in srgb, ${accent} 70%, white);
+  --chart-1: ${primary};
+  --chart-2: ${accent};
+}`;
+}
+
+// Add brand CSS to a rendered page, after the template's own styles so it takes precedence
+export function injectBrandCss(html, css) {
+  if (!css) return html;
+
+  const style = `<style data-branding>\n${css}\n</style>\n`;
+  const headEnd = html.search(/<\/head>/i);
+  return headEnd === -1 ? style + html : html.slice(0, headEnd) + style + html.slice(headEnd);
+}
+
+// Copy of a branding profile row to store with a proposal (the logo as base64, for JSON); null for
+// the built-in branding
+export function toBrandingSnapshot(profile) {
+  if (!profile) return null;
+
+  return {
+    id: profile.id,
+    company_name: profile.company_name,
+    primary_color: profile.primary_color,
+    accent_color: profile.accent_color,
+    about_text: profile.about_text || null,
+    footer_contact: profile.footer_contact || null,
+    logo_mime_type: profile.logo_data ? profile.logo_mime_type : null,
+    logo_data: profile.logo_data ? Buffer.from(profile.logo_data).toString('base64') : null
+  };
+}
+
+// Branding profile row from a stored snapshot, for rendering; undefined for the built-in branding
+export function fromBrandingSnapshot(snapshot) {
+  if (!snapshot) return undefined;
+
+  return {
+    ...snapshot,
+    logo_data: snapshot.logo_data ? Buffer.from(snapshot.logo_data, 'base64') : null
+  };
+}
+
+export default {
+  DEFAULT_COMPANY_NAME,
+  LOGO_MIME_TYPES,
+  isHexColor,
+  validateBrandingFields,
+  buildBrandContext,
+  buildBrandCss,
+  injectBrandCss,
+  toBrandingSnapshot,
+  fromBrandingSnapshot
+};
@@ -0,0 +1,285 @@
+// Inline SVG charts for the proposal template.
+//
+// Charts are plain SVG strings so they render identically in the HTML preview and in the PDF,
+// with no script or CDN for puppeteer's networkidle0 wait to block on. Colours use the
+// template's CSS variables (with the default palette as fallback), so they follow the theme.
+// Titles, labels and numbers follow the proposal's locale.
+
+import {
+  DEFAULT_LOCALE,
+  translate,
+  localizeDigits,
+  formatLocalNumber,
+  formatRupees,
+  formatMonthLabel
+} from '../utils/localization.js';
+
+const COLORS = {
+  primary: 'var(--chart-1, #3b82f6)',
+  accent: 'var(--chart-2, #9333ea)',
+  success: 'var(--chart-3, #10b981)',
+  warning: 'var(--chart-4, #f59e0b)',
+  danger: 'var(--chart-5, #ef4444)',
+  muted: 'var(--muted-foreground, #64748b)',
+  grid: 'var(--border, #e2e8f0)',
+  text: 'var(--foreground, #1e293b)'
+};
+
+const FONT = 'font-family: inherit';
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Round an axis maximum up to a 1/2/5 x 10^n step so gridlines land on readable values
+const niceMax = (value) => {
+  if (!value || value <= 0) return 1;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  const step = [1, 2, 5, 10].find(factor => factor * magnitude >= value);
+  return step * magnitude;
+};
+
+const text = (x, y, content, { size = 11, anchor = 'start', color = COLORS.text, weight = 400 } = {}) => (
+  `<text x="${round(x)}" y="${round(y)}" text-anchor="${anchor}" style="${FONT}; font-size: ${size}px; font-weight: ${weight}; fill: ${color}">${escapeXml(content)}</text>`
+);
+
+const rect = (x, y, width, height, color) => (
+  `<rect x="${round(x)}" y="${round(y)}" width="${round(Math.max(0, width))}" height="${round(Math.max(0, height))}" rx="2" style="fill: ${color}"/>`
+);
+
+const svg = (width, height, title, body) => (
+  `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="${escapeXml(title)}">` +
+  `<title>${escapeXml(title)}</title>${body}</svg>`
+);
+
+// Legend row of coloured swatches
+const legend = (items, x, y) => {
+  let offset = x;
+  return items.map(({ label, color }) => {
+    const item = rect(offset, y - 9, 10, 10, color) + text(offset + 14, y, label, { size: 10, color: COLORS.muted });
+    offset += 24 + label.length * 6;
+    return item;
+  }).join('');
+};
+
+// Message shown in place of a chart when there is nothing to plot
+const emptyChart = (width, height, title, message) => svg(width, height, title,
+  text(width / 2, height / 2, message, { size: 12, anchor: 'middle', color: COLORS.muted })
+);
+
+// Donut of claims by status with a legend
+export function renderStatusDistributionChart(metrics, locale = DEFAULT_LOCALE) {
+  const width = 320;
+  const height = 200;
+  const title = translate(locale, 'charts.status.title');
+  const label = (key) => translate(locale, `charts.status.${key}`);
+
+  const known = metrics.paidClaims + metrics.approvedClaims + metrics.rejectedClaims + metrics.pendingClaims;
+  const segments = [
+    { label: label('paid'), count: metrics.paidClaims, color: COLORS.success },
+    { label: label('approved'), count: metrics.approvedClaims, color: COLORS.primary },
+    { label: label('pending'), count: metrics.pendingClaims, color: COLORS.warning },
+    { label: label('rejected'), count: metrics.rejectedClaims, color: COLORS.danger },
+    { label: label('other'), count: Math.max(0, metrics.totalClaims - known), color: COLORS.accent }
+  ].filter(segment => segment.count > 0);
+
+  const total = segments.reduce((sum, segment) => sum + segment.count, 0);
+  if (total === 0) {
+    return emptyChart(width, height, title, label('empty'));
+  }
+
+  const cx = 95;
+  const cy = 100;
+  const radius = 80;
+  const thickness = 28;
+  const circumference = 2 * Math.PI * (radius - thickness / 2);
+
+  // Each segment is a dashed circle stroke starting where the previous one ended
+  let offset = 0;
+  const arcs = segments.map(segment => {
+    const length = (segment.count / total) * circumference;
+    const arc = `<circle cx="${cx}" cy="${cy}" r="${round(radius - thickness / 2)}" fill="none" ` +
+      `style="stroke: ${segment.color}; stroke-width: ${thickness}" ` +
+      `stroke-dasharray="${round(length)} ${round(circumference - length)}" stroke-dashoffset="${round(-offset)}" ` +
+      `transform="rotate(-90 ${cx} ${cy})"/>`;
+    offset += length;
+    return arc;
+  }).join('');
+
+  const centre = text(cx, cy - 2, formatLocalNumber(total, locale), { size: 20, anchor: 'middle', weight: 700 }) +
+    text(cx, cy + 16, label('claims'), { size: 10, anchor: 'middle', color: COLORS.muted });
+
+  const legendRows = segments.map((segment, index) => {
+    const y = 40 + index * 26;
+    const share = Math.round((segment.count / total) * 100);
+    return rect(200, y - 9, 10, 10, segment.color) +
+      text(216, y, segment.label, { size: 11 }) +
+      text(216, y + 13, `${formatLocalNumber(segment.count, locale)} (${localizeDigits(share, locale)}%)`, { size: 10, color: COLORS.muted });
+  }).join('');
+
+  return svg(width, height, title, arcs + centre + legendRows);
+}
+
+// Monthly claim value bars with the denial rate as a line on a second axis
+export function renderMonthlyTrendChart(monthlyTrends, { maxMonths = 12, locale = DEFAULT_LOCALE } = {}) {
+  const width = 640;
+  const height = 190;
+  const title = translate(locale, 'charts.trend.title');
+
+  const months = (monthlyTrends?.months || [])
+    .slice(-maxMonths)
+    .map(month => ({ ...month, label: formatMonthLabel(month.month, locale) }));
+  if (months.filter(month => month.claimCount > 0).length < 2) {
+    return emptyChart(width, height, title, translate(locale, 'charts.trend.empty'));
+  }
+
+  const plot = { left: 56, right: width - 44, top: 28, bottom: height - 36 };
+  const plotWidth = plot.right - plot.left;
+  const plotHeight = plot.bottom - plot.top;
+  const slot = plotWidth / months.length;
+  const barWidth = Math.min(36, slot * 0.6);
+
+  const valueMax = niceMax(Math.max(...months.map(month => month.claimValue)));
+  const rateMax = niceMax(Math.max(10, ...months.map(month => month.denialRate || 0)));
+
+  // Gridlines with value labels on the left and denial rate on the right
+  const grid = [0, 0.25, 0.5, 0.75, 1].map(fraction => {
+    const y = plot.bottom - fraction * plotHeight;
+    return `<line x1="${plot.left}" y1="${round(y)}" x2="${plot.right}" y2="${round(y)}" style="stroke: ${COLORS.grid}; stroke-width: 1"/>` +
+      text(plot.left - 6, y + 4, formatRupees(valueMax * fraction, locale, 'compact'), { size: 9, anchor: 'end', color: COLORS.muted }) +
+      text(plot.right + 6, y + 4, `${localizeDigits(round(rateMax * fraction), locale)}%`, { size: 9, color: COLORS.muted });
+  }).join('');
+
+  const bars = months.map((month, index) => {
+    const x = plot.left + slot * index + (slot - barWidth) / 2;
+    const barHeight = (month.claimValue / valueMax) * plotHeight;
+    return rect(x, plot.bottom - barHeight, barWidth, barHeight, COLORS.primary) +
+      text(plot.left + slot * (index + 0.5), plot.bottom + 14, month.label.split(' ')[0], { size: 9, anchor: 'middle', color: COLORS.muted });
+  }).join('');
+
+  // Denial rate line, broken across months without claims
+  const points = months.map((month, index) => (month.denialRate === null ? null : {
+    x: plot.left + slot * (index + 0.5),
+    y: plot.bottom - (month.denialRate / rateMax) * plotHeight
+  }));
+  let path = '';
+  let drawing = false;
+  for (const point of points) {
+    if (!point) {
+      drawing = false;
+      continue;
+    }
+    path += `${drawing ? 'L' : 'M'}${round(point.x)} ${round(point.y)} `;
+    drawing = true;
+  }
+  const line = `<path d="${path.trim()}" fill="none" style="stroke: ${COLORS.danger}; stroke-width: 2"/>` +
+    points.filter(Boolean).map(point => `<circle cx="${round(point.x)}" cy="${round(point.y)}" r="3" style="fill: ${COLORS.danger}"/>`).join('');
+
+  const yearLabel = `${months[0].label} – ${months[months.length - 1].label}`;
+  const header = legend([
+    { label: translate(locale, 'charts.trend.claimValue'), color: COLORS.primary },
+    { label: translate(locale, 'charts.trend.denialRate'), color: COLORS.danger }
+  ], plot.left, 14) + text(plot.right, 14, yearLabel, { size: 10, anchor: 'end', color: COLORS.muted });
+
+  return svg(width, height, title, grid + bars + line + header);
+}
+
+// Stacked bars of the three ROI scenarios, split by benefit source
+export function renderRoiScenarioChart(roiProjections, locale = DEFAULT_LOCALE) {
+  const width = 640;
+  const height = 200;
+  const title = translate(locale, 'charts.roi.title');
+  const label = (key) => translate(locale, `charts.roi.${key}`);
+
+  const scenarios = [
+    { label: label('conservative'), key: 'Conservative' },
+    { label: label('expected'), key: 'Expected' },
+    { label: label('optimistic'), key: 'Optimistic' }
+  ];
+  const parts = [
+    { label: label('denialPrevention'), prefix: 'denialPrevention', color: COLORS.primary },
+    { label: label('collections'), prefix: 'collections', color: COLORS.success },
+    { label: label('efficiency'), prefix: 'efficiency', color: COLORS.accent }
+  ];
+
+  const totals = scenarios.map(scenario => roiProjections[`totalBenefit${scenario.key}`] || 0);
+  const max = niceMax(Math.max(...totals));
+
+  const plot = { left: 96, right: width - 80, top: 30, bottom: height - 10 };
+  const rowHeight = (plot.bottom - plot.top) / scenarios.length;
+  const barHeight = Math.min(34, rowHeight * 0.6);
+  const scale = (plot.right - plot.left) / max;
+
+  const rows = scenarios.map((scenario, index) => {
+    const y = plot.top + rowHeight * index + (rowHeight - barHeight) / 2;
+    let x = plot.left;
+    const segments = parts.map(part => {
+      const value = roiProjections[`${part.prefix}${scenario.key}`] || 0;
+      const segment = rect(x, y, value * scale, barHeight, part.color);
+      x += value * scale;
+      return segment;
+    }).join('');
+    return text(plot.left - 8, y + barHeight / 2 + 4, scenario.label, { size: 11, anchor: 'end', weight: 600 }) +
+      segments +
+      text(x + 6, y + barHeight / 2 + 4, formatRupees(totals[index], locale, 'compact'), { size: 11, weight: 600 });
+  }).join('');
+
+  return svg(width, height, title, legend(parts, plot.left, 14) + rows);
+}
+
+// Bars of paid claims by days from discharge to payment
+export function renderPaymentAgingChart(paymentAging, locale = DEFAULT_LOCALE) {
+  const width = 320;
+  const height = 200;
+  const title = translate(locale, 'charts.aging.title');
+
+  const buckets = paymentAging?.buckets || [];
+  const total = buckets.reduce((sum, bucket) => sum + bucket.count, 0);
+  if (total === 0) {
+    return emptyChart(width, height, title, translate(locale, 'charts.aging.empty'));
+  }
+
+  // Later buckets shade from green to red
+  const bucketColors = [COLORS.success, COLORS.primary, COLORS.warning, COLORS.danger];
+  const plot = { left: 16, right: width - 16, top: 24, bottom: height - 34 };
+  const slot = (plot.right - plot.left) / buckets.length;
+  const barWidth = slot * 0.6;
+  const max = Math.max(...buckets.map(bucket => bucket.count));
+
+  const bars = buckets.map((bucket, index) => {
+    const x = plot.left + slot * index + (slot - barWidth) / 2;
+    const barHeight = (bucket.count / max) * (plot.bottom - plot.top);
+    const share = Math.round((bucket.count / total) * 100);
+    const color = bucketColors[Math.min(index, bucketColors.length - 1)];
+    return rect(x, plot.bottom - barHeight, barWidth, barHeight, color) +
+      text(x + barWidth / 2, plot.bottom - barHeight - 5, `${localizeDigits(bucket.count, locale)} (${localizeDigits(share, locale)}%)`, { size: 10, anchor: 'middle', weight: 600 }) +
+      text(x + barWidth / 2, plot.bottom + 14, localizeDigits(bucket.label, locale), { size: 10, anchor: 'middle', color: COLORS.muted });
+  }).join('');
+
+  const axis = `<line x1="${plot.left}" y1="${plot.bottom}" x2="${plot.right}" y2="${plot.bottom}" style="stroke: ${COLORS.grid}; stroke-width: 1"/>`;
+  const caption = text(width / 2, height - 4, translate(locale, 'charts.aging.caption'), { size: 9, anchor: 'middle', color: COLORS.muted });
+
+  return svg(width, height, title, axis + bars + caption);
+}
+
+// Every proposal chart, keyed by its template placeholder
+export function renderProposalCharts(metrics, roiProjections, locale = DEFAULT_LOCALE) {
+  return {
+    statusChart: renderStatusDistributionChart(metrics, locale),
+    monthlyTrendChart: renderMonthlyTrendChart(metrics.monthlyTrends, { locale }),
+    roiScenarioChart: renderRoiScenarioChart(roiProjections, locale),
+    paymentAgingChart: renderPaymentAgingChart(metrics.paymentAging, locale)
+  };
+}
+
+export default {
+  renderStatusDistributionChart,
+  renderMonthlyTrendChart,
+  renderRoiScenarioChart,
+  renderPaymentAgingChart,
+  renderProposalCharts
+};
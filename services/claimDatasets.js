@@ -0,0 +1,314 @@
+import { loadClaimsDataset } from '../utils/dataProcessor.js';
+import { summarizeDataQuality } from '../utils/dataQuality.js';
+import { parseNumber, parseDate } from '../utils/valueParsers.js';
+import { clientError } from '../utils/errors.js';
+import ClaimDataset from '../models/ClaimDataset.js';
+
+// Days a stored dataset is kept when the upload does not choose, and the longest allowed
+export const DEFAULT_RETENTION_DAYS = parseInt(process.env.CLAIM_DATASET_RETENTION_DAYS) || 90;
+export const MAX_RETENTION_DAYS = parseInt(process.env.CLAIM_DATASET_MAX_RETENTION_DAYS) || 3650;
+
+const PURGE_INTERVAL = parseInt(process.env.CLAIM_DATASET_PURGE_INTERVAL) || 60 * 60 * 1000;
+
+let purgeTimer = null;
+
+// Claim-level columns, stored once per TID
+const CLAIM_COLUMNS = {
+  'TID': 'tid',
+  'Patient Name': 'patientName',
+  'Hospital Name': 'hospitalName',
+  'Date of Admission': 'dateOfAdmission'
+};
+
+// Canonical columns stored per component row, by how they are parsed
+const COMPONENT_TEXT_COLUMNS = {
+  'Pkg Code': 'pkgCode',
+  'Pkg Name': 'pkgName',
+  'Status': 'status',
+  'Original Status': 'originalStatus',
+  'Remarks': 'remarks'
+};
+const COMPONENT_NUMBER_COLUMNS = {
+  'Pkg Rate': 'pkgRate',
+  'Approved Amount': 'approvedAmount',
+  'Query Raised': 'queryRaised',
+  'Days to Payment': 'daysToPayment'
+};
+const COMPONENT_DATE_COLUMNS = {
+  'Date of Discharge': 'dateOfDischarge',
+  'Payment Date': 'paymentDate'
+};
+
+const STORED_COLUMNS = new Set([
+  ...Object.keys(CLAIM_COLUMNS),
+  ...Object.keys(COMPONENT_TEXT_COLUMNS),
+  ...Object.keys(COMPONENT_NUMBER_COLUMNS),
+  ...Object.keys(COMPONENT_DATE_COLUMNS)
+]);
+
+// Longest values the claims tables hold for their bounded text columns
+const COLUMN_MAX_LENGTHS = {
+  'TID': 100,
+  'Patient Name': 255,
+  'Hospital Name': 255,
+  'Pkg Code': 100,
+  'Status': 255,
+  'Original Status': 255
+};
+
+// Most overlong values listed in the error for an upload
+const MAX_REPORTED_OVERLONG_VALUES = 5;
+
+const isBlank = (value) => value === undefined || value === null || value.toString().trim() === '';
+
+const toText = (value) => (isBlank(value) ? null : value.toString().trim());
+
+// Blank amounts are stored as NULL so they stay distinguishable from an explicit 0
+const toNumber = (value) => (isBlank(value) ? null : parseNumber(value));
+
+// Parse the retention period from a request; the default when not sent
+export const parseRetentionDays = (value) => {
+  if (value === undefined || value === null || value === '') return DEFAULT_RETENTION_DAYS;
+
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_RETENTION_DAYS) {
+    throw clientError(400, `retentionDays must be a whole number between 1 and ${MAX_RETENTION_DAYS}`);
+  }
+  return days;
+};
+
+// Group merged claims rows by TID into claims with their component rows. Rows without a TID
+// cannot be keyed and are counted in skippedRows instead.
+export const toStoredClaims = (rows) => {
+  const claims = new Map();
+  let skippedRows = 0;
+
+  rows.forEach((row, index) => {
+    const tid = toText(row['TID']);
+    if (!tid) {
+      skippedRows++;
+      return;
+    }
+
+    if (!claims.has(tid)) {
+      claims.set(tid, {
+        tid,
+        patientName: toText(row['Patient Name']),
+        hospitalName: toText(row['Hospital Name']),
+        dateOfAdmission: parseDate(row['Date of Admission']),
+        components: []
+      });
+    }
+
+    const component = { rowNumber: index + 1 };
+    for (const [column, key] of Object.entries(COMPONENT_TEXT_COLUMNS)) {
+      component[key] = toText(row[column]);
+    }
+    for (const [column, key] of Object.entries(COMPONENT_NUMBER_COLUMNS)) {
+      component[key] = toNumber(row[column]);
+    }
+    for (const [column, key] of Object.entries(COMPONENT_DATE_COLUMNS)) {
+      component[key] = parseDate(row[column]);
+    }
+
+    // Columns outside the canonical set (e.g. a scheme's own reference numbers) are kept as-is
+    const extraFields = Object.fromEntries(Object.entries(row).filter(([column]) => !STORED_COLUMNS.has(column)));
+    component.extraFields = Object.keys(extraFields).length > 0 ? extraFields : null;
+
+    claims.get(tid).components.push(component);
+  });
+
+  return { claims: Array.from(claims.values()), skippedRows };
+};
+
+// Values in merged claims rows too long for their columns, as "row N: Column" (rows numbered as in
+// toStoredClaims)
+export const findOverlongValues = (rows) => {
+  const overlong = [];
+  rows.forEach((row, index) => {
+    for (const [column, maxLength] of Object.entries(COLUMN_MAX_LENGTHS)) {
+      const value = toText(row[column]);
+      if (value && value.length > maxLength) {
+        overlong.push(`row ${index + 1}: ${column} (over ${maxLength} characters)`);
+      }
+    }
+  });
+  return overlong;
+};
+
+// Rebuild canonical claims rows from stored claim component rows
+export const toClaimRows = (storedRows) => storedRows.map(row => {
+  const claimRow = {
+    ...row.extra_fields,
+    'TID': row.tid,
+    'Patient Name': row.patient_name ?? undefined,
+    'Hospital Name': row.hospital_name ?? undefined,
+    'Status': row.status ?? undefined,
+    'Pkg Code': row.pkg_code ?? undefined,
+    'Pkg Name': row.pkg_name ?? undefined,
+    'Pkg Rate': row.pkg_rate === null ? undefined : Number(row.pkg_rate),
+    'Approved Amount': row.approved_amount === null ? undefined : Number(row.approved_amount),
+    'Query Raised': row.query_raised === null ? undefined : Number(row.query_raised),
+    'Date of Admission': row.date_of_admission ?? undefined,
+    'Date of Discharge': row.date_of_discharge ?? undefined,
+    'Payment Date': row.payment_date ?? undefined,
+    // Kept as text so an explicit 0 is not recalculated from the dates
+    'Days to Payment': row.days_to_payment === null ? undefined : String(Number(row.days_to_payment)),
+    'Remarks': row.remarks ?? undefined
+  };
+
+  if (row.original_status !== null) {
+    claimRow['Original Status'] = row.original_status;
+  }
+  return claimRow;
+});
+
+// Parse, check and merge uploaded claims files and store them as a named dataset. Uploads that
+// fail the data quality check are rejected with 422 and the report.
+export async function createClaimsDataset(files, {
+  name, hospitalId, scheme, sheets, qualityThresholds, retentionDays, sourceFileName, createdBy
+}) {
+  let loaded;
+  try {
+    loaded = await loadClaimsDataset(files, { scheme, sheets, qualityThresholds });
+  } catch (error) {
+    // Unknown scheme or sheet, or missing required columns
+    throw clientError(422, error.message);
+  }
+
+  if (loaded.dataQuality.blocked) {
+    const error = clientError(422, `Data quality check failed: ${loaded.dataQuality.blockReason}`);
+    error.dataQuality = summarizeDataQuality(loaded.dataQuality);
+    throw error;
+  }
+
+  const overlong = findOverlongValues(loaded.rows);
+  if (overlong.length > 0) {
+    const more = overlong.length > MAX_REPORTED_OVERLONG_VALUES
+      ? ` and ${overlong.length - MAX_REPORTED_OVERLONG_VALUES} more`
+      : '';
+    throw clientError(422, `Values too long to store: ${overlong.slice(0, MAX_REPORTED_OVERLONG_VALUES).join('; ')}${more}`);
+  }
+
+  const { claims, skippedRows } = toStoredClaims(loaded.rows);
+  if (claims.length === 0) {
+    throw clientError(422, 'No rows have a TID to store the claims by');
+  }
+
+  return ClaimDataset.create({
+    name,
+    hospitalId,
+    scheme: loaded.scheme,
+    sourceFileName,
+    dataQuality: loaded.dataQuality,
+    mergeReport: loaded.merge,
+    rowCount: loaded.rows.length,
+    skippedRows,
+    retentionDays,
+    createdBy,
+    claims
+  });
+}
+
+// A stored dataset that can still be used. Throws 400 for a non-numeric id, 404 when it does not
+// exist and 410 once it has expired.
+export async function findAvailableDataset(datasetId) {
+  if (!/^\d+$/.test(datasetId.toString())) {
+    throw clientError(400, 'datasetId must be a numeric id');
+  }
+
+  const dataset = await ClaimDataset.findById(datasetId);
+  if (!dataset) {
+    throw clientError(404, 'Claims dataset not found');
+  }
+  if (new Date(dataset.expires_at) <= new Date()) {
+    throw clientError(410, 'Claims dataset has expired');
+  }
+  return dataset;
+}
+
+// Load a stored dataset in the shape the claims processor accepts in place of uploaded files:
+// { datasetId, name, sourceFileName, scheme, dataQuality, merge, rows }
+export async function loadDatasetClaims(datasetId) {
+  const dataset = await findAvailableDataset(datasetId);
+
+  return {
+    datasetId: dataset.id,
+    name: dataset.name,
+    sourceFileName: dataset.source_file_name,
+    scheme: dataset.scheme,
+    dataQuality: summarizeDataQuality(dataset.data_quality),
+    merge: dataset.merge_report,
+    rows: toClaimRows(await ClaimDataset.findRows(dataset.id))
+  };
+}
+
+// Check that a request sends either claims `files` or a usable `datasetId` (not both); returns
+// the dataset, or null for uploaded files. Queued jobs check this up front and load rows later.
+export async function checkClaimsInput(files, datasetId) {
+  if (datasetId && files.length > 0) {
+    throw clientError(400, 'Upload claims files or select a datasetId, not both');
+  }
+  if (datasetId) {
+    return findAvailableDataset(datasetId);
+  }
+  if (files.length === 0) {
+    throw clientError(400, 'No CSV file uploaded');
+  }
+  return null;
+}
+
+// Claims for the generation endpoints: the uploaded `files`, or the stored dataset selected by
+// `datasetId` (not both)
+export async function resolveClaimsInput(files, datasetId) {
+  const dataset = await checkClaimsInput(files, datasetId);
+  return dataset ? loadDatasetClaims(dataset.id) : files;
+}
+
+// Delete datasets past their retention period with all their claims
+export async function purgeExpiredDatasets() {
+  const purged = await ClaimDataset.deleteExpired();
+  if (purged.length > 0) {
+    console.log(`Purged ${purged.length} expired claims dataset(s): ${purged.join(', ')}`);
+  }
+  return purged;
+}
+
+const runPurge = async () => {
+  try {
+    await purgeExpiredDatasets();
+  } catch (error) {
+    console.error('Claims dataset purge error:', error);
+  }
+};
+
+// Purge expired datasets now and then periodically
+export function startDatasetPurge() {
+  if (purgeTimer) return;
+  purgeTimer = setInterval(runPurge, PURGE_INTERVAL);
+  runPurge();
+}
+
+export function stopDatasetPurge() {
+  if (purgeTimer) {
+    clearInterval(purgeTimer);
+    purgeTimer = null;
+  }
+}
+
+export default {
+  DEFAULT_RETENTION_DAYS,
+  MAX_RETENTION_DAYS,
+  parseRetentionDays,
+  toStoredClaims,
+  findOverlongValues,
+  toClaimRows,
+  createClaimsDataset,
+  findAvailableDataset,
+  loadDatasetClaims,
+  checkClaimsInput,
+  resolveClaimsInput,
+  purgeExpiredDatasets,
+  startDatasetPurge,
+  stopDatasetPurge
+};
@@ -0,0 +1,150 @@
+import {
+  TREND_BASIS_COLUMNS,
+  preprocessMAAClaims,
+  groupDataByTID,
+  calculateProposalMetrics,
+  normalizeHospitalName
+} from '../utils/dataProcessor.js';
+import { clientError } from '../utils/errors.js';
+import { loadDatasetClaims } from './claimDatasets.js';
+
+// Analytics over a stored claims dataset. Every figure comes from the same calculations the
+// proposal uses (calculateProposalMetrics and its parts), run over the claims left after the
+// filters, so the dashboard and the PDF agree for the same claims.
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Values from a repeated query parameter or a comma-separated one
+const toList = (value, { split = true } = {}) => {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(entry => (split ? String(entry).split(',') : [String(entry)]))
+    .map(entry => entry.trim())
+    .filter(Boolean);
+};
+
+// Local midnight of a YYYY-MM-DD date, like the month buckets of the trends
+const parseDay = (value, field) => {
+  const match = DATE_PATTERN.exec(value);
+  const day = match && new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  if (!day || day.getMonth() !== Number(match[2]) - 1) {
+    throw clientError(400, `${field} must be a date in YYYY-MM-DD format`);
+  }
+  return day;
+};
+
+// Parse and check analytics query parameters: datasetId, hospital, dateFrom, dateTo (inclusive),
+// dateBasis (admission or discharge), status and package. Status and package accept several
+// values; package names may contain commas, so packages are only split by repeating the parameter.
+export const parseAnalyticsFilters = (query) => {
+  if (!query.datasetId) {
+    throw clientError(400, 'datasetId is required');
+  }
+
+  const dateBasis = query.dateBasis || 'admission';
+  if (!TREND_BASIS_COLUMNS[dateBasis]) {
+    throw clientError(400, `Invalid dateBasis: ${dateBasis}. Expected one of: ${Object.keys(TREND_BASIS_COLUMNS).join(', ')}`);
+  }
+
+  const dateFrom = query.dateFrom ? parseDay(query.dateFrom, 'dateFrom') : null;
+  const dateTo = query.dateTo ? parseDay(query.dateTo, 'dateTo') : null;
+  if (dateFrom && dateTo && dateFrom > dateTo) {
+    throw clientError(400, 'dateFrom must not be after dateTo');
+  }
+
+  // One hospital at a time; a repeated parameter is not a list
+  if (query.hospital !== undefined && typeof query.hospital !== 'string') {
+    throw clientError(400, 'hospital must be a single hospital name');
+  }
+
+  return {
+    datasetId: query.datasetId,
+    hospital: typeof query.hospital === 'string' ? query.hospital.trim() || null : null,
+    dateBasis,
+    dateFrom,
+    dateTo,
+    statuses: toList(query.status),
+    packages: toList(query.package, { split: false })
+  };
+};
+
+// Keep whole claims (all rows of a TID) that pass the filters. Hospital, status and dates are
+// taken from a claim's first row, as the metrics do; a claim matches a package when any of its
+// rows has that package code or name. Claims without the selected date are left out of a range.
+export const filterClaimRows = (rows, { hospital, dateBasis = 'admission', dateFrom, dateTo, statuses = [], packages = [] }) => {
+  const hospitalKey = hospital ? normalizeHospitalName(hospital) : null;
+  const statusKeys = new Set(statuses.map(status => status.toLowerCase()));
+  const packageKeys = new Set(packages.map(pkg => pkg.toLowerCase()));
+  const dateColumn = TREND_BASIS_COLUMNS[dateBasis];
+  const dateLimit = dateTo ? new Date(dateTo.getFullYear(), dateTo.getMonth(), dateTo.getDate() + 1) : null;
+
+  const claims = new Map();
+  for (const row of rows) {
+    const tid = row['TID'];
+    if (!claims.has(tid)) claims.set(tid, []);
+    claims.get(tid).push(row);
+  }
+
+  const matches = (claimRows) => {
+    const [first] = claimRows;
+
+    if (hospitalKey && normalizeHospitalName(first['Hospital Name']) !== hospitalKey) return false;
+    if (statusKeys.size > 0 && !statusKeys.has((first['Status'] ?? '').toString().trim().toLowerCase())) return false;
+
+    if (dateFrom || dateLimit) {
+      const date = first[dateColumn];
+      if (!(date instanceof Date) || isNaN(date)) return false;
+      if (dateFrom && date < dateFrom) return false;
+      if (dateLimit && date >= dateLimit) return false;
+    }
+
+    if (packageKeys.size > 0) {
+      return claimRows.some(row => [row['Pkg Code'], row['Pkg Name']]
+        .some(value => value !== undefined && packageKeys.has(value.toString().trim().toLowerCase())));
+    }
+    return true;
+  };
+
+  return Array.from(claims.values()).filter(matches).flat();
+};
+
+// Filters as echoed back in responses
+const describeFilters = ({ hospital, dateBasis, dateFrom, dateTo, statuses, packages }) => {
+  const formatDay = (date) => (date
+    ? `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+    : null);
+
+  return { hospital, dateBasis, dateFrom: formatDay(dateFrom), dateTo: formatDay(dateTo), statuses, packages };
+};
+
+// Load a stored dataset and apply the request's filters: { dataset, filters, dateBasis, rows,
+// groupedData }, with the filtered rows also preprocessed and grouped by TID as the metrics do
+export async function loadAnalyticsClaims(query) {
+  const filters = parseAnalyticsFilters(query);
+  const claims = await loadDatasetClaims(filters.datasetId);
+  const rows = filterClaimRows(claims.rows, filters);
+
+  return {
+    dataset: { id: claims.datasetId, name: claims.name, scheme: claims.scheme },
+    filters: describeFilters(filters),
+    dateBasis: filters.dateBasis,
+    rows,
+    groupedData: groupDataByTID(preprocessMAAClaims(rows))
+  };
+}
+
+// KPI summary: calculateProposalMetrics without the sections served by their own endpoints
+export const buildKpiSummary = (rows, { dateBasis } = {}) => {
+  const { monthlyTrends, paymentAging, packageAnalysis, ...summary } = calculateProposalMetrics(rows, {
+    trendBasis: dateBasis
+  });
+  return summary;
+};
+
+export default {
+  parseAnalyticsFilters,
+  filterClaimRows,
+  loadAnalyticsClaims,
+  buildKpiSummary
+};
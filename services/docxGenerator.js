@@ -0,0 +1,76 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import PizZip from 'pizzip';
+import Docxtemplater from 'docxtemplater';
+import { evaluateExpression, createHelpers } from './templateEngine.js';
+import { withLegacyFields } from './pdfGenerator.js';
+import { buildBrandContext } from './branding.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DOCX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// The Word template mirrors the HTML proposal template section for section. It uses
+// docxtemplater sections rather than if/each blocks:
+//   {{hospitalName}}, {{formatINR claimValue "short"}}  values and helpers, as in the HTML template
+//   {{#flag}}..{{/flag}}, {{^flag}}..{{/flag}}           shown when flag is truthy / falsy
+//   {{#list}}..{{/list}}                                 repeated per item (table rows when the
+//                                                        tags sit in a row's first and last cell)
+// Truthiness matches the HTML engine: false, '', 0, null and empty lists hide a section; use
+// {{#length list}} to show a block once when a list has items. {{@index}} and other @-names are
+// not available, since docxtemplater reads a leading @ as raw XML.
+// Charts are SVG and are left out of the Word document, as are a branding profile's logo and
+// colors; its company name and texts are filled in as `brand`, as in the HTML template.
+const DEFAULT_DOCX_TEMPLATE_PATH = path.join(__dirname, '../templates/proposal_template.docx');
+
+// Scopes in the shape the template engine expects; sections over booleans or strings reuse the
+// enclosing scope, so only list items and objects start a new one
+const toEngineScopes = (context) => context.scopeList
+  .slice(0, context.num + 1)
+  .filter((scope, depth) => depth === 0 || ['array', 'object'].includes(context.scopeTypes[depth - 1]))
+  .map(scope => ({ context: scope, frame: undefined }));
+
+// Fill the Word template with the same template data as the HTML template, using the helpers
+// for the proposal's locale and brand unless others are given.
+// Returns { buffer, unmatchedPlaceholders }.
+export async function renderProposalDocx(templateData, { template, helpers, branding } = {}) {
+  const templateBuffer = template ?? await fs.readFile(DEFAULT_DOCX_TEMPLATE_PATH);
+  const brand = buildBrandContext(branding);
+  const data = { ...withLegacyFields(templateData), brand: { ...brand, logo: null } };
+  const templateHelpers = helpers ?? createHelpers(data.locale, { companyName: brand.companyName });
+
+  const matched = new Set();
+  const unmatched = new Set();
+
+  const doc = new Docxtemplater(new PizZip(templateBuffer), {
+    delimiters: { start: '{{', end: '}}' },
+    paragraphLoop: true,
+    linebreaks: true,
+    parser: (tag) => ({
+      get(scope, context) {
+        const { found, value } = evaluateExpression(tag, toEngineScopes(context), { helpers: templateHelpers, unmatched });
+        if (found) matched.add(tag);
+        return value;
+      }
+    }),
+    // Values that are missing everywhere render empty; plain placeholders among them are reported
+    nullGetter(part) {
+      if (!part.module && !matched.has(part.value)) {
+        unmatched.add(part.value);
+      }
+      return '';
+    }
+  });
+
+  doc.render(data);
+
+  const buffer = doc.getZip().generate({ type: 'nodebuffer', compression: 'DEFLATE' });
+  return { buffer, unmatchedPlaceholders: Array.from(unmatched) };
+}
+
+export default {
+  DOCX_CONTENT_TYPE,
+  renderProposalDocx
+};
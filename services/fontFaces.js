@@ -0,0 +1,63 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createRequire } from 'module';
+import { DEFAULT_LOCALE, getLocale } from '../utils/localization.js';
+
+const require = createRequire(import.meta.url);
+
+// Fonts are bundled from @fontsource packages and inlined into the proposal HTML as data URIs,
+// so puppeteer renders Latin and Indic text the same way with no network access.
+const FONT_PACKAGES = {
+  'Inter': { packageName: '@fontsource/inter', subsets: ['latin', 'latin-ext'] },
+  'Noto Sans Devanagari': { packageName: '@fontsource/noto-sans-devanagari', subsets: ['devanagari'] },
+  'Noto Sans Gujarati': { packageName: '@fontsource/noto-sans-gujarati', subsets: ['gujarati'] }
+};
+
+// Weights used by the proposal template (normal, medium, semibold, bold)
+const FONT_WEIGHTS = [400, 500, 600, 700];
+
+// Inter is always included; locales add the families for their script
+const BASE_FAMILIES = ['Inter'];
+
+// The @font-face rules for one family and weight, limited to the given subsets, with each
+// subset's woff2 file inlined. @fontsource marks every rule with a /* <file name> */ comment.
+const readFontFaces = async ({ packageName, subsets }, weight) => {
+  const cssPath = require.resolve(`${packageName}/${weight}.css`);
+  const css = await fs.readFile(cssPath, 'utf-8');
+
+  const rules = css.split(/(?=\/\* )/).filter(rule => (
+    subsets.some(subset => rule.startsWith(`/* ${path.basename(packageName)}-${subset}-${weight}-normal */`))
+  ));
+
+  return Promise.all(rules.map(async (rule) => {
+    const fileName = rule.match(/url\(\.\/files\/([^)]+\.woff2)\)/)[1];
+    const font = await fs.readFile(path.join(path.dirname(cssPath), 'files', fileName));
+    return rule
+      .replace(/src: [^;]+;/, `src: url(data:font/woff2;base64,${font.toString('base64')}) format('woff2');`)
+      .trim();
+  }));
+};
+
+const cache = new Map();
+
+// @font-face CSS for a proposal locale: Inter plus the locale's script fonts
+export function buildFontFaceCss(locale = DEFAULT_LOCALE) {
+  const { code, fonts } = getLocale(locale);
+
+  if (!cache.has(code)) {
+    const families = [...BASE_FAMILIES, ...fonts];
+    const css = Promise.all(families.flatMap(family => (
+      FONT_WEIGHTS.map(weight => readFontFaces(FONT_PACKAGES[family], weight))
+    ))).then(faces => faces.flat().join('\n'));
+
+    // A failed read is retried on the next render rather than cached
+    css.catch(() => cache.delete(code));
+    cache.set(code, css);
+  }
+
+  return cache.get(code);
+}
+
+export default {
+  buildFontFaceCss
+};
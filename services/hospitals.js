@@ -0,0 +1,100 @@
+import { SCHEME_PROFILES } from '../config/schemeProfiles.js';
+import Hospital from '../models/Hospital.js';
+import User from '../models/User.js';
+import { isEmailAddress } from './mailer.js';
+import { clientError } from '../utils/errors.js';
+
+// Scheme ids from an array or a comma-separated string; undefined when not sent
+export const parseSchemeList = (value) => {
+  if (value === undefined || value === null) return undefined;
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(list.map(scheme => String(scheme).trim().toLowerCase()).filter(Boolean))];
+};
+
+// Problems with hospital fields; with `partial`, omitted fields are not required
+export async function validateHospitalFields({ name, empanelledSchemes, ownerId }, { partial = false } = {}) {
+  const errors = [];
+
+  if (!partial || name !== undefined) {
+    if (!name) errors.push('name is required');
+  }
+
+  const unknownSchemes = (empanelledSchemes || []).filter(scheme => !SCHEME_PROFILES[scheme]);
+  if (unknownSchemes.length > 0) {
+    errors.push(`Unknown scheme(s): ${unknownSchemes.join(', ')}; use: ${Object.keys(SCHEME_PROFILES).join(', ')}`);
+  }
+
+  if (ownerId !== undefined && ownerId !== null && ownerId !== '') {
+    if (!/^\d+$/.test(ownerId.toString())) {
+      errors.push('ownerId must be a numeric user id');
+    } else if (!await User.findById(ownerId)) {
+      errors.push('ownerId does not match an active user');
+    }
+  }
+
+  return errors;
+}
+
+// Problems with contact fields; with `partial`, omitted fields are not required
+export function validateContactFields({ name, email }, { partial = false } = {}) {
+  const errors = [];
+
+  if (!partial || name !== undefined) {
+    if (!name) errors.push('name is required');
+  }
+  if (email && !isEmailAddress(email)) {
+    errors.push('email must be a valid email address');
+  }
+
+  return errors;
+}
+
+// Owner's display name from a hospital row
+export const getOwnerName = (hospital) => (
+  [hospital.owner_first_name, hospital.owner_last_name].filter(Boolean).join(' ') || null
+);
+
+// Fill hospital fields from a registered hospital when the request selects a `hospitalId`: its
+// name and location, its primary contact (or the one given by `contactId`) and its owner as the
+// Eyther contact. Fields given in the request are kept.
+export async function prefillHospitalParams(hospitalParams, { hospitalId, contactId } = {}) {
+  if (!hospitalId) return hospitalParams;
+
+  if (!/^\d+$/.test(hospitalId.toString())) {
+    throw clientError(400, 'hospitalId must be a numeric id');
+  }
+  const hospital = await Hospital.findById(hospitalId);
+  if (!hospital) {
+    throw clientError(404, 'Hospital not found');
+  }
+
+  const contacts = await Hospital.findContacts(hospital.id);
+  const contact = contactId ? contacts.find(entry => String(entry.id) === String(contactId)) : contacts[0];
+  if (contactId && !contact) {
+    throw clientError(404, 'Hospital contact not found');
+  }
+
+  const registered = {
+    hospitalName: hospital.name,
+    hospitalLocation: hospital.location,
+    contactPerson: contact?.name,
+    email: contact?.email,
+    title: contact?.title,
+    eytherTeamMember: getOwnerName(hospital),
+    eytherContactEmail: hospital.owner_email
+  };
+
+  const params = { ...hospitalParams, hospitalId: hospital.id };
+  for (const [key, value] of Object.entries(registered)) {
+    if (!params[key] && value) params[key] = value;
+  }
+  return params;
+}
+
+export default {
+  parseSchemeList,
+  validateHospitalFields,
+  validateContactFields,
+  getOwnerName,
+  prefillHospitalParams
+};
@@ -0,0 +1,93 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import nodemailer from 'nodemailer';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Outgoing email behind one interface: `sendMail(message)` resolves to
+// { transport, messageId, location } whichever transport is configured.
+//
+// MAIL_TRANSPORT selects the transport:
+//   smtp  SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS (the default in production)
+//   file  writes each message as an .eml file to MAIL_FILE_DIR, for local development
+
+const DEFAULT_FROM = 'Eyther.AI <no-reply@eyther.ai>';
+
+const EMAIL_ADDRESS = /^[^\s@<>,;]+@[^\s@<>,;]+\.[^\s@<>,;]+$/;
+
+// A single bare address (no display name or list)
+export const isEmailAddress = (value) => typeof value === 'string' && EMAIL_ADDRESS.test(value);
+
+const createSmtpTransport = () => {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is required for the smtp mail transport');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    ...(process.env.SMTP_USER && {
+      auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+    })
+  });
+
+  return async (message) => {
+    const info = await transporter.sendMail(message);
+    return { messageId: info.messageId, location: null };
+  };
+};
+
+const createFileTransport = () => {
+  const outputDir = process.env.MAIL_FILE_DIR || path.join(__dirname, '../generated/mail');
+  // Builds the full message without delivering it
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return async (message) => {
+    const info = await transporter.sendMail(message);
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const location = path.join(outputDir, `${Date.now()}-${Math.round(Math.random() * 1E9)}.eml`);
+    await fs.writeFile(location, info.message);
+    return { messageId: info.messageId, location };
+  };
+};
+
+// Transports by name; each factory returns a send function
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport
+};
+
+export const getTransportName = () => (
+  process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'file')
+);
+
+let activeTransport = null;
+
+const getTransport = () => {
+  const name = getTransportName();
+  if (activeTransport?.name !== name) {
+    const createTransport = TRANSPORTS[name];
+    if (!createTransport) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"; use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+    activeTransport = { name, send: createTransport() };
+  }
+  return activeTransport;
+};
+
+// Send a message: { to, cc, subject, text, html, attachments } in nodemailer's format
+export async function sendMail(message) {
+  const { name, send } = getTransport();
+  const { messageId, location } = await send({ from: process.env.MAIL_FROM || DEFAULT_FROM, ...message });
+  return { transport: name, messageId, location };
+}
+
+export default {
+  isEmailAddress,
+  getTransportName,
+  sendMail
+};
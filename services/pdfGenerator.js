@@ -2,6 +2,11 @@ import puppeteer from 'puppeteer';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { renderTemplate, createHelpers } from './templateEngine.js';
+import { buildFontFaceCss } from './fontFaces.js';
+import { buildBrandContext, buildBrandCss, injectBrandCss } from './branding.js';
+import { DEFAULT_LOCALE } from '../utils/localization.js';
+import { formatMonthlyTrendFields, formatPackageInsightFields } from '../utils/dataProcessor.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -35,41 +40,60 @@ export async function closeBrowser() {
   }
 }
 
-// Replace placeholders in template
-function replacePlaceholders(template, data) {
-  let result = template;
-  
-  // Handle conditional sections first (more complex)
-  result = result.replace(/{{#if\s+(\w+)}}([\s\S]*?){{\/if}}/g, (match, condition, content) => {
-    // Check boolean conditions or non-empty values
-    const shouldShow = typeof data[condition] === 'boolean' 
-      ? data[condition] 
-      : (data[condition] && data[condition] !== '');
-    return shouldShow ? content : '';
-  });
-  
-  // Handle negative conditions {{#unless condition}}
-  result = result.replace(/{{#unless\s+(\w+)}}([\s\S]*?){{\/unless}}/g, (match, condition, content) => {
-    const shouldHide = typeof data[condition] === 'boolean' 
-      ? data[condition] 
-      : (data[condition] && data[condition] !== '');
-    return !shouldHide ? content : '';
-  });
-  
-  // Replace simple placeholders
-  for (const [key, value] of Object.entries(data)) {
-    const placeholder = new RegExp(`{{${key}}}`, 'g');
-    result = result.replace(placeholder, value || '');
+// Template data saved before the template had loops listed the top denial reasons as
+// numbered fields (denialReason1..5); turn those into the list the template iterates. Its trend
+// and package tables were pre-rendered rows with hide flags (hideMonthlyTrends/monthlyTrendRows,
+// hidePackageInsights/packageInsightRows); the tables are rebuilt from the proposal's saved
+// `metrics`, so pass them for stored proposals. Data saved before proposals had a locale is English.
+export function withLegacyFields(savedData, metrics) {
+  const templateData = savedData.locale ? { ...savedData } : { ...savedData, locale: DEFAULT_LOCALE };
+
+  if (!Array.isArray(templateData.denialReasons) && templateData.denialReason1 !== undefined) {
+    templateData.denialReasons = [];
+    for (let i = 1; i <= 5 && templateData[`denialReason${i}`]; i++) {
+      templateData.denialReasons.push({
+        reason: templateData[`denialReason${i}`],
+        percentage: templateData[`denialPercentage${i}`],
+        amountPercentage: templateData[`denialAmountPercentage${i}`]
+      });
+    }
   }
-  
-  // Clean up any remaining template syntax
-  result = result.replace(/{{[^}]*}}/g, '');
-  
-  return result;
+
+  if (templateData.monthlyTrendTable === undefined && templateData.hideMonthlyTrends === false && metrics?.monthlyTrends) {
+    templateData.monthlyTrendTable = formatMonthlyTrendFields(metrics.monthlyTrends, templateData.locale).monthlyTrendTable;
+  }
+  if (templateData.packageInsights === undefined && templateData.hidePackageInsights === false && metrics?.packageAnalysis) {
+    templateData.packageInsights = formatPackageInsightFields(metrics.packageAnalysis, true, templateData.locale).packageInsights;
+  }
+
+  return templateData;
+}
+
+// The built-in proposal template, used when no stored template is selected
+export async function loadDefaultTemplate() {
+  const templatePath = path.join(__dirname, '../templates/proposal_template.html');
+  return fs.readFile(templatePath, 'utf-8');
+}
+
+// Fill the proposal HTML template (a stored template's HTML, or the built-in one) with data.
+// Text and number helpers follow the proposal's locale; `fontFaces` holds the bundled fonts.
+// `branding` is a branding profile row: its logo and texts are available as `brand` and its
+// colors are injected as CSS variables. The built-in Eyther.AI branding is used without one.
+export async function renderProposalHTML(templateData, { template, branding } = {}) {
+  const templateHTML = template ?? await loadDefaultTemplate();
+  const data = withLegacyFields(templateData);
+  const fontFaces = await buildFontFaceCss(data.locale);
+  const brand = buildBrandContext(branding);
+
+  const { html, unmatchedPlaceholders } = renderTemplate(templateHTML, { ...data, fontFaces, brand }, {
+    helpers: createHelpers(data.locale, { companyName: brand.companyName })
+  });
+
+  return { html: injectBrandCss(html, buildBrandCss(branding)), unmatchedPlaceholders };
 }
 
 // Generate PDF from HTML template and data
-export async function generateProposalPDF(templateData, outputPath) {
+export async function generateProposalPDF(templateData, outputPath, { template, branding } = {}) {
   let browser = null;
   let page = null;
   
@@ -78,12 +102,8 @@ export async function generateProposalPDF(templateData, outputPath) {
     browser = await getBrowser();
     page = await browser.newPage();
     
-    // Read HTML template
-    const templatePath = path.join(__dirname, '../templates/proposal_template.html');
-    const template = await fs.readFile(templatePath, 'utf-8');
-    
-    // Replace placeholders with actual data
-    const filledHTML = replacePlaceholders(template, templateData);
+    // Read HTML template and replace placeholders with actual data
+    const { html: filledHTML } = await renderProposalHTML(templateData, { template, branding });
     
     // Set viewport for consistent rendering
     await page.setViewport({ width: 1920, height: 1080 });
@@ -149,7 +169,7 @@ export async function generateProposalPDF(templateData, outputPath) {
 }
 
 // Generate proposal with complete flow
-export async function generateProposal(processedData, outputFileName) {
+export async function generateProposal(processedData, outputFileName, { template, branding } = {}) {
   try {
     // Ensure output directory exists
     const outputDir = path.join(__dirname, '../generated');
@@ -159,7 +179,7 @@ export async function generateProposal(processedData, outputFileName) {
     const outputPath = path.join(outputDir, outputFileName);
     
     // Generate PDF
-    const result = await generateProposalPDF(processedData.templateData, outputPath);
+    const result = await generateProposalPDF(processedData.templateData, outputPath, { template, branding });
     
     return {
       success: true,
@@ -192,6 +212,8 @@ process.on('SIGTERM', async () => {
 });
 
 export default {
+  loadDefaultTemplate,
+  renderProposalHTML,
   generateProposalPDF,
   generateProposal,
   closeBrowser,
@@ -0,0 +1,178 @@
+import { DEFAULT_EMAIL_TEMPLATES, EMAIL_TEMPLATE_KEYS } from '../config/emailTemplates.js';
+import { buildBrandContext } from './branding.js';
+import { createHelpers, escapeHtml, parseTemplate, renderTemplate } from './templateEngine.js';
+import { getTransportName, isEmailAddress, sendMail } from './mailer.js';
+import { getProposalBranding } from './proposalService.js';
+import EmailTemplate from '../models/EmailTemplate.js';
+import ProposalEmail from '../models/ProposalEmail.js';
+import Proposal from '../models/Proposal.js';
+import { clientError } from '../utils/errors.js';
+
+const PROPOSAL_DELIVERY = 'proposal_delivery';
+
+export const isEmailTemplateKey = (key) => EMAIL_TEMPLATE_KEYS.includes(key);
+
+// A template as it is used for sending: the edited copy when there is one, else the built-in one
+export async function getEmailTemplate(key) {
+  const stored = await EmailTemplate.findByKey(key);
+  const { description, subject, body } = DEFAULT_EMAIL_TEMPLATES[key];
+
+  return {
+    key,
+    description,
+    subject: stored ? stored.subject : subject,
+    body: stored ? stored.body : body,
+    isDefault: !stored,
+    updatedBy: stored?.updated_by ?? null,
+    updatedAt: stored?.updated_at ?? null
+  };
+}
+
+export async function listEmailTemplates() {
+  return Promise.all(EMAIL_TEMPLATE_KEYS.map(getEmailTemplate));
+}
+
+// Problems with an edited subject and body; empty when they can be saved
+export function validateEmailTemplate({ subject, body }) {
+  const errors = [];
+
+  for (const [field, value] of [['subject', subject], ['body', body]]) {
+    if (typeof value !== 'string' || !value.trim()) {
+      errors.push(`${field} is required`);
+      continue;
+    }
+    try {
+      parseTemplate(value);
+    } catch (error) {
+      errors.push(`${field}: ${error.message}`);
+    }
+  }
+
+  if (typeof subject === 'string' && /[\r\n]/.test(subject)) {
+    errors.push('subject must be a single line');
+  }
+  return errors;
+}
+
+// Values available to email templates: the proposal's template data, the company name of its
+// branding and the sender's name
+async function buildEmailContext(proposal, sender) {
+  const brand = buildBrandContext(getProposalBranding(proposal));
+  const senderName = [sender?.first_name, sender?.last_name].filter(Boolean).join(' ');
+
+  return {
+    ...proposal.template_data,
+    companyName: brand.companyName,
+    sender: senderName
+  };
+}
+
+// Render a template to a subject, a plain text body and the same body as simple HTML.
+// Placeholders are not HTML-escaped in the text; the HTML version escapes the rendered text.
+export function renderEmail({ subject, body }, context) {
+  const options = {
+    helpers: createHelpers(context.locale, { companyName: context.companyName }),
+    escape: value => value
+  };
+  const renderedSubject = renderTemplate(subject, context, options);
+  const renderedBody = renderTemplate(body, context, options);
+
+  const html = renderedBody.html
+    .trim()
+    .split(/\n{2,}/)
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+
+  return {
+    subject: renderedSubject.html.replace(/\s+/g, ' ').trim(),
+    text: renderedBody.html.trim(),
+    html,
+    unmatchedPlaceholders: [...new Set([
+      ...renderedSubject.unmatchedPlaceholders,
+      ...renderedBody.unmatchedPlaceholders
+    ])]
+  };
+}
+
+// The delivery email for a proposal, rendered with the current template
+export async function renderProposalEmail(proposal, { sender, template } = {}) {
+  return renderEmail(
+    template || await getEmailTemplate(PROPOSAL_DELIVERY),
+    await buildEmailContext(proposal, sender)
+  );
+}
+
+// A list of addresses from an array or a comma-separated string
+const toAddressList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(address => String(address).trim()).filter(Boolean);
+};
+
+// Recipients for a proposal: the hospital email, cc the Eyther contact. `to` and `cc` in the
+// request replace them.
+export function resolveRecipients(proposal, { to, cc } = {}) {
+  const params = proposal.hospital_params || {};
+  const toList = toAddressList(to ?? params.email);
+  const ccList = toAddressList(cc ?? params.eytherContactEmail);
+
+  if (toList.length !== 1) {
+    throw clientError(400, toList.length
+      ? 'Only one recipient can be given in to'
+      : 'The proposal has no hospital email; provide a to address');
+  }
+
+  const invalid = [...toList, ...ccList].filter(address => !isEmailAddress(address));
+  if (invalid.length > 0) {
+    throw clientError(400, `Invalid email address: ${invalid.join(', ')}`);
+  }
+
+  return {
+    to: toList[0],
+    cc: [...new Set(ccList.filter(address => address.toLowerCase() !== toList[0].toLowerCase()))]
+  };
+}
+
+// Email a stored proposal's PDF and log the attempt. Resolves to the log row; a transport
+// failure is logged with status 'failed' rather than thrown.
+export async function sendProposalEmail(proposal, recipients, { sender } = {}) {
+  const { to, cc } = resolveRecipients(proposal, recipients);
+  const email = await renderProposalEmail(proposal, { sender });
+  const { pdf_file_name: pdfFileName, pdf_data: pdfData } = await Proposal.getPdf(proposal.id);
+
+  let outcome;
+  try {
+    const info = await sendMail({
+      to,
+      cc,
+      subject: email.subject,
+      text: email.text,
+      html: email.html,
+      attachments: [{ filename: pdfFileName, content: pdfData, contentType: 'application/pdf' }]
+    });
+    outcome = { status: 'sent', transport: info.transport, messageId: info.messageId };
+  } catch (error) {
+    console.error('Proposal email delivery error:', error);
+    outcome = { status: 'failed', transport: getTransportName(), errorMessage: error.message };
+  }
+
+  return ProposalEmail.create({
+    proposalId: proposal.id,
+    ...outcome,
+    to,
+    cc,
+    subject: email.subject,
+    sentBy: sender?.id
+  });
+}
+
+export default {
+  isEmailTemplateKey,
+  getEmailTemplate,
+  listEmailTemplates,
+  validateEmailTemplate,
+  renderEmail,
+  renderProposalEmail,
+  resolveRecipients,
+  sendProposalEmail
+};
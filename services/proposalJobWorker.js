@@ -0,0 +1,160 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ProposalJob from '../models/ProposalJob.js';
+import { createProposalFromFile, createProposalBatch } from './proposalService.js';
+import { loadDatasetClaims } from './claimDatasets.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const POLL_INTERVAL = parseInt(process.env.PROPOSAL_JOB_POLL_INTERVAL) || 5000;
+
+// Times a job may be started before an interrupted run is no longer retried
+const MAX_ATTEMPTS = parseInt(process.env.PROPOSAL_JOB_MAX_ATTEMPTS) || 3;
+
+let pollTimer = null;
+let isRunning = false;
+let isDraining = false;
+
+// Generate a claimed job's proposal (or, for a batch job, one proposal per hospital) and return
+// what markDone records
+async function runJob(job, claims, contactsFile) {
+  const options = {
+    sourceFileName: job.source_file_name,
+    generatedBy: job.created_by,
+    processingOptions: job.processing_options,
+    onStage: (stage) => ProposalJob.updateStatus(job.id, stage)
+  };
+
+  if (job.job_type === 'batch') {
+    const { zipBuffer, zipFileName, proposals, failedHospitals, unassignedRows, unmatchedContacts } =
+      await createProposalBatch(claims, job.hospital_params, { ...options, contactsFile });
+    return {
+      result: {
+        proposalIds: proposals.map(proposal => proposal.id),
+        failedHospitals,
+        unassignedRows,
+        unmatchedContacts
+      },
+      resultFileName: zipFileName,
+      resultData: zipBuffer
+    };
+  }
+
+  const { proposal } = await createProposalFromFile(claims, job.hospital_params, options);
+  return { proposalId: proposal.id };
+}
+
+// Run a single claimed job through parsing and rendering
+async function processJob(job) {
+  const uploadDir = path.join(__dirname, '../uploads');
+  await fs.mkdir(uploadDir, { recursive: true });
+
+  // Uploads live in Postgres so they survive restarts; the parser needs them on disk
+  const writtenFiles = [];
+
+  try {
+    let claims;
+    let contactsFile;
+
+    if (job.claim_dataset_id) {
+      claims = await loadDatasetClaims(job.claim_dataset_id);
+    } else {
+      const files = await ProposalJob.findFiles(job.id);
+      if (!files.some(file => file.kind === 'claims')) {
+        throw new Error('Uploaded file is no longer available');
+      }
+
+      claims = [];
+      for (const [index, file] of files.entries()) {
+        const filePath = path.join(uploadDir, `job-${job.id}-${index}${path.extname(file.file_name)}`);
+        await fs.writeFile(filePath, file.data);
+        writtenFiles.push(filePath);
+
+        if (file.kind === 'contacts') {
+          contactsFile = filePath;
+        } else {
+          claims.push({ path: filePath, name: file.file_name });
+        }
+      }
+    }
+
+    const outcome = await runJob(job, claims, contactsFile);
+
+    await ProposalJob.markDone(job.id, outcome);
+    console.log(`Proposal job ${job.id} completed (${outcome.proposalId ? `proposal ${outcome.proposalId}` : `proposals ${outcome.result.proposalIds.join(', ')}`})`);
+  } catch (error) {
+    console.error(`Proposal job ${job.id} failed:`, error);
+    await ProposalJob.markFailed(job.id, error.message);
+  } finally {
+    for (const filePath of writtenFiles) {
+      try {
+        await fs.unlink(filePath);
+      } catch (cleanupError) {
+        console.error('Error cleaning up job upload:', cleanupError);
+      }
+    }
+  }
+}
+
+// Process queued jobs one at a time until the queue is empty
+async function drainQueue() {
+  if (isDraining) return;
+  isDraining = true;
+
+  try {
+    let job = await ProposalJob.claimNext();
+    while (job && isRunning) {
+      await processJob(job);
+      job = await ProposalJob.claimNext();
+    }
+  } catch (error) {
+    console.error('Proposal job worker error:', error);
+  } finally {
+    isDraining = false;
+  }
+}
+
+// Wake the worker immediately (e.g. right after a job is queued)
+export function notifyProposalJobWorker() {
+  if (isRunning) {
+    drainQueue();
+  }
+}
+
+// Start polling for queued jobs, resuming any interrupted by a restart
+export async function startProposalJobWorker() {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    const { requeued, failed } = await ProposalJob.requeueInterrupted(MAX_ATTEMPTS);
+    if (requeued.length > 0) {
+      console.log(`Requeued ${requeued.length} interrupted proposal job(s): ${requeued.join(', ')}`);
+    }
+    if (failed.length > 0) {
+      console.log(`Failed ${failed.length} proposal job(s) interrupted ${MAX_ATTEMPTS} times: ${failed.join(', ')}`);
+    }
+  } catch (error) {
+    console.error('Error requeueing interrupted proposal jobs:', error);
+  }
+
+  pollTimer = setInterval(drainQueue, POLL_INTERVAL);
+  drainQueue();
+}
+
+// Stop polling (the job in progress, if any, is requeued on next start)
+export function stopProposalJobWorker() {
+  isRunning = false;
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+export default {
+  startProposalJobWorker,
+  stopProposalJobWorker,
+  notifyProposalJobWorker
+};
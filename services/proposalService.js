@@ -0,0 +1,479 @@
+import fs from 'fs/promises';
+import archiver from 'archiver';
+import xlsx from 'xlsx';
+import { generateProposal, loadDefaultTemplate, withLegacyFields } from './pdfGenerator.js';
+import { renderProposalCharts } from './chartRenderer.js';
+import Proposal from '../models/Proposal.js';
+import RoiPreset from '../models/RoiPreset.js';
+import ProposalTemplate from '../models/ProposalTemplate.js';
+import BrandingProfile from '../models/BrandingProfile.js';
+import { toBrandingSnapshot, fromBrandingSnapshot } from './branding.js';
+import { TREND_BASIS_COLUMNS, processCSVForProposal, processCSVForBatch } from '../utils/dataProcessor.js';
+import { loadHospitalContacts } from '../utils/hospitalContacts.js';
+import { validateQualityThresholds } from '../utils/dataQuality.js';
+import { DEFAULT_ROI_ASSUMPTIONS, mergeRoiAssumptions } from '../config/roiAssumptions.js';
+import { DEFAULT_LOCALE, SUPPORTED_LOCALES, isSupportedLocale } from '../utils/localization.js';
+import { clientError } from '../utils/errors.js';
+import { assertRegeneratable, getRegenerationTransition } from './proposalWorkflow.js';
+
+// Name of the stored copy of the built-in template
+const BUILTIN_TEMPLATE_NAME = 'Built-in proposal template';
+
+// Build a filesystem-safe PDF filename for a hospital
+export function buildPdfFileName(hospitalName) {
+  const sanitizedHospitalName = (hospitalName || 'hospital').replace(/[^a-z0-9]/gi, '_').toLowerCase();
+  return `proposal_${sanitizedHospitalName}_${Date.now()}.pdf`;
+}
+
+// Render template data to a PDF and return its contents (the file in generated/ is removed).
+// `template` is a stored template's HTML and `branding` a branding profile; the built-in
+// template and branding are used without them.
+export async function renderProposalPdf(templateData, pdfFileName, { template, branding } = {}) {
+  const pdfResult = await generateProposal({ templateData }, pdfFileName, { template, branding });
+
+  if (!pdfResult.success) {
+    throw new Error(pdfResult.error || 'Failed to generate PDF');
+  }
+
+  try {
+    return await fs.readFile(pdfResult.path);
+  } finally {
+    try {
+      await fs.unlink(pdfResult.path);
+    } catch (err) {
+      console.error('Error cleaning up PDF:', err);
+    }
+  }
+}
+
+// Add the inline SVG charts to processed claims data's template data; the claims processor only
+// calculates, rendering happens here
+const withProposalCharts = (processedData, locale) => ({
+  ...processedData,
+  templateData: {
+    ...processedData.templateData,
+    ...renderProposalCharts(processedData.metrics, processedData.roiProjections, locale)
+  }
+});
+
+// Process claims files (or a stored dataset) into one proposal's data, charts included
+export async function processClaimsForProposal(files, hospitalParams, processingOptions = {}) {
+  const processedData = await processCSVForProposal(files, hospitalParams, processingOptions);
+  return processedData.success ? withProposalCharts(processedData, processingOptions.locale) : processedData;
+}
+
+// A stored proposal's template data in the current shape, whichever version saved it
+export const getProposalTemplateData = (proposal) => withLegacyFields(proposal.template_data, proposal.metrics);
+
+// Resolve the ROI assumptions for a request: an optional stored preset, then inline overrides
+// (an object or a JSON string from a multipart form), on top of the built-in defaults
+export async function resolveRoiAssumptions({ roiPresetId, roiAssumptions } = {}) {
+  let base = DEFAULT_ROI_ASSUMPTIONS;
+  let presetId = null;
+
+  if (roiPresetId) {
+    if (!/^\d+$/.test(roiPresetId.toString())) {
+      throw clientError(400, 'roiPresetId must be a numeric id');
+    }
+    const preset = await RoiPreset.findById(roiPresetId);
+    if (!preset) {
+      throw clientError(404, 'ROI preset not found');
+    }
+    // Presets saved before an assumption existed fall back to its default
+    base = { ...DEFAULT_ROI_ASSUMPTIONS, ...preset.assumptions };
+    presetId = preset.id;
+  }
+
+  let overrides = roiAssumptions || {};
+  if (typeof overrides === 'string') {
+    try {
+      overrides = JSON.parse(overrides);
+    } catch (error) {
+      throw clientError(400, 'roiAssumptions must be valid JSON');
+    }
+  }
+
+  const { assumptions, errors } = mergeRoiAssumptions(base, overrides);
+  if (errors.length > 0) {
+    throw clientError(400, `Invalid ROI assumptions: ${errors.join('; ')}`);
+  }
+
+  return { assumptions, presetId };
+}
+
+// Built-in template version last stored by this server, with its HTML
+let builtinTemplateVersion = null;
+
+// The stored version of the built-in template as the file is now; a new version is published the
+// first time a changed file is used, so proposals always reference the HTML they were rendered with
+export async function resolveBuiltinTemplateVersion() {
+  const content = await loadDefaultTemplate();
+
+  if (builtinTemplateVersion?.content !== content) {
+    const version = await ProposalTemplate.syncBuiltinVersion({
+      name: BUILTIN_TEMPLATE_NAME,
+      description: 'templates/proposal_template.html as shipped with the server',
+      content,
+      notes: 'Built-in template file changed'
+    });
+    builtinTemplateVersion = { ...version, content };
+  }
+  return builtinTemplateVersion;
+}
+
+// Resolve the stored template version a request selects: a template's latest published version,
+// or a specific published version. Returns null when no template is selected (built-in template).
+export async function resolveTemplateVersion({ templateId, templateVersion } = {}) {
+  if (!templateId) {
+    if (templateVersion) {
+      throw clientError(400, 'templateVersion requires a templateId');
+    }
+    return null;
+  }
+
+  if (!/^\d+$/.test(templateId.toString())) {
+    throw clientError(400, 'templateId must be a numeric id');
+  }
+  if (templateVersion && !/^\d+$/.test(templateVersion.toString())) {
+    throw clientError(400, 'templateVersion must be a version number');
+  }
+
+  const template = await ProposalTemplate.findById(templateId);
+  if (!template) {
+    throw clientError(404, 'Proposal template not found');
+  }
+
+  if (!templateVersion) {
+    const published = await ProposalTemplate.findLatestPublished(template.id);
+    if (!published) {
+      throw clientError(409, `Template "${template.name}" has no published version`);
+    }
+    return published;
+  }
+
+  const version = await ProposalTemplate.findVersion(template.id, templateVersion);
+  if (!version) {
+    throw clientError(404, `Template "${template.name}" has no version ${templateVersion}`);
+  }
+  if (version.status !== 'published') {
+    throw clientError(409, `Version ${version.version} of template "${template.name}" is a draft; publish it first`);
+  }
+  return version;
+}
+
+// Resolve the branding profile a request selects by `brandingId`; null for the built-in branding
+export async function resolveBrandingProfile(brandingId) {
+  if (!brandingId) return null;
+
+  if (!/^\d+$/.test(brandingId.toString())) {
+    throw clientError(400, 'brandingId must be a numeric id');
+  }
+
+  const profile = await BrandingProfile.findById(brandingId);
+  if (!profile) {
+    throw clientError(404, 'Branding profile not found');
+  }
+  return profile;
+}
+
+// Proposal locale a request selects (config/locales); English when none is given
+export function resolveLocale(locale) {
+  if (!locale) return DEFAULT_LOCALE;
+
+  if (!isSupportedLocale(locale)) {
+    throw clientError(400, `Unsupported locale "${locale}"; use one of: ${SUPPORTED_LOCALES.join(', ')}`);
+  }
+  return locale;
+}
+
+// Month the proposal's trend table buckets claims by; admission when none is given
+export function resolveTrendBasis(trendBasis) {
+  if (!trendBasis) return undefined;
+
+  if (!TREND_BASIS_COLUMNS[trendBasis]) {
+    throw clientError(400, `Invalid trendBasis: ${trendBasis}. Expected one of: ${Object.keys(TREND_BASIS_COLUMNS).join(', ')}`);
+  }
+  return trendBasis;
+}
+
+// Data quality threshold overrides a request sends (maxInvalidRowPercentage, maxInvalidRows);
+// 400 when one is not a valid limit
+export function resolveQualityThresholds({ maxInvalidRowPercentage, maxInvalidRows } = {}) {
+  const errors = validateQualityThresholds({ maxInvalidRowPercentage, maxInvalidRows });
+  if (errors.length > 0) {
+    throw clientError(400, `Invalid data quality thresholds: ${errors.join('; ')}`);
+  }
+  return { maxInvalidRowPercentage, maxInvalidRows };
+}
+
+// HTML of a stored template version, or undefined (the built-in template file) for template data
+// that is not from a stored proposal and has no version
+export async function loadTemplateHTML(templateVersionId) {
+  if (!templateVersionId) return undefined;
+
+  const version = await ProposalTemplate.findVersionById(templateVersionId);
+  if (!version) {
+    throw new Error(`Template version ${templateVersionId} no longer exists`);
+  }
+  return version.content;
+}
+
+// Branding profile row for rendering, or undefined for the built-in branding
+export async function loadBrandingProfile(brandingProfileId) {
+  if (!brandingProfileId) return undefined;
+
+  const profile = await BrandingProfile.findById(brandingProfileId);
+  if (!profile) {
+    throw new Error(`Branding profile ${brandingProfileId} no longer exists`);
+  }
+  return profile;
+}
+
+// Branding a stored proposal was rendered with, from its snapshot (so later edits to the profile do
+// not change it), or undefined for the built-in branding
+export function getProposalBranding(proposal) {
+  return fromBrandingSnapshot(proposal.branding);
+}
+
+// Render and persist a proposal from processed claims data
+export async function saveGeneratedProposal(processedData, {
+  hospitalParams, sourceFileName, claimDatasetId, generatedBy, roiPresetId, templateVersionId, brandingProfileId
+}) {
+  const pdfFileName = buildPdfFileName(hospitalParams.hospitalName);
+  const branding = await loadBrandingProfile(brandingProfileId);
+  const pdfBuffer = await renderProposalPdf(processedData.templateData, pdfFileName, {
+    template: await loadTemplateHTML(templateVersionId),
+    branding
+  });
+
+  const proposal = await Proposal.create({
+    hospitalName: hospitalParams.hospitalName,
+    hospitalParams,
+    metrics: processedData.metrics,
+    roiProjections: processedData.roiProjections,
+    templateData: processedData.templateData,
+    roiAssumptions: processedData.roiProjections.assumptions,
+    roiPresetId,
+    templateVersionId,
+    brandingProfileId,
+    branding: toBrandingSnapshot(branding),
+    hospitalId: hospitalParams.hospitalId,
+    claimDatasetId,
+    sourceFileName,
+    pdfFileName,
+    pdfData: pdfBuffer,
+    generatedBy
+  });
+
+  return { proposal, pdfBuffer, pdfFileName, templateData: processedData.templateData };
+}
+
+// Parse one or more claims files (or load a stored dataset), render the proposal and persist it
+export async function createProposalFromFile(files, hospitalParams, { sourceFileName, generatedBy, onStage, processingOptions } = {}) {
+  if (onStage) await onStage('parsing');
+
+  const processedData = await processClaimsForProposal(files, hospitalParams, processingOptions);
+
+  if (!processedData.success) {
+    // Files rejected by the data quality check are a client problem, not a server error
+    if (processedData.dataQuality) {
+      const error = clientError(422, processedData.error);
+      error.dataQuality = processedData.dataQuality;
+      throw error;
+    }
+    throw new Error(processedData.error || 'Failed to process CSV data');
+  }
+
+  if (onStage) await onStage('rendering');
+
+  return saveGeneratedProposal(processedData, {
+    hospitalParams,
+    sourceFileName,
+    claimDatasetId: files.datasetId,
+    generatedBy,
+    roiPresetId: processingOptions?.roiPresetId,
+    templateVersionId: processingOptions?.templateVersionId,
+    brandingProfileId: processingOptions?.brandingProfileId
+  });
+}
+
+// Most hospitals rendered in one batch request (each one is a PDF render)
+const BATCH_MAX_HOSPITALS = parseInt(process.env.BATCH_MAX_HOSPITALS) || 25;
+
+const BATCH_SUMMARY_FILE_NAME = 'batch_summary.csv';
+
+const round1 = (value) => (typeof value === 'number' && Number.isFinite(value) ? Math.round(value * 10) / 10 : '');
+
+// One KPI comparison row per hospital, including those whose PDF failed
+function buildBatchSummaryCsv(results) {
+  const header = [
+    'Hospital', 'Location', 'Contact Person', 'Email', 'Rows', 'Claims', 'Claim Value (INR)',
+    'Approved Amount (INR)', 'Rejected Amount (INR)', 'Denial Rate (%)', 'Query Incidence (%)',
+    'First Pass Rate (%)', 'Collection Efficiency (%)', 'Avg Days to Payment', 'Avg Length of Stay',
+    'Expected Annual Benefit (INR)', 'ROI Multiple', 'Proposal ID', 'PDF File', 'Status', 'Error'
+  ];
+
+  const rows = results.map(({ hospital, proposal, pdfFileName, error }) => {
+    const { metrics, roiProjections, hospitalParams } = hospital;
+    return [
+      hospital.hospitalName,
+      hospitalParams.hospitalLocation || '',
+      hospitalParams.contactPerson || '',
+      hospitalParams.email || '',
+      hospital.rows,
+      metrics.totalClaims,
+      Math.round(metrics.totalClaimValue),
+      Math.round(metrics.totalApprovedAmount),
+      Math.round(metrics.rejectedClaimsAmount),
+      round1(metrics.denialRate),
+      round1(metrics.queryIncidence),
+      round1(metrics.firstPassRate),
+      round1(metrics.collectionEfficiency),
+      round1(metrics.avgDaysToPayment),
+      round1(metrics.avgLengthOfStay),
+      Math.round(roiProjections.totalBenefitExpected),
+      roiProjections.roiMultiple,
+      proposal ? proposal.id : '',
+      pdfFileName || '',
+      error ? 'failed' : 'generated',
+      error ? error.message : ''
+    ];
+  });
+
+  // Byte order mark so Excel reads hospital names as UTF-8
+  return '\ufeff' + xlsx.utils.sheet_to_csv(xlsx.utils.aoa_to_sheet([header, ...rows]));
+}
+
+// Zip named buffers into a single buffer
+function zipFiles(entries) {
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const chunks = [];
+
+    archive.on('data', chunk => chunks.push(chunk));
+    archive.on('end', () => resolve(Buffer.concat(chunks)));
+    archive.on('warning', reject);
+    archive.on('error', reject);
+
+    for (const { name, data } of entries) {
+      archive.append(data, { name });
+    }
+    archive.finalize();
+  });
+}
+
+// Split a multi-hospital export by Hospital Name, render and persist one proposal per hospital,
+// and zip the PDFs with a KPI summary CSV. A hospital whose PDF fails is reported in the summary;
+// the batch only fails when none render.
+export async function createProposalBatch(files, baseParams, { contactsFile, sourceFileName, generatedBy, onStage, processingOptions } = {}) {
+  if (onStage) await onStage('parsing');
+
+  let contacts;
+  if (contactsFile) {
+    try {
+      contacts = await loadHospitalContacts(contactsFile);
+    } catch (error) {
+      throw clientError(422, error.message);
+    }
+  }
+
+  const processedData = await processCSVForBatch(files, baseParams, { ...processingOptions, contacts });
+
+  if (!processedData.success) {
+    if (processedData.dataQuality) {
+      const error = clientError(422, processedData.error);
+      error.dataQuality = processedData.dataQuality;
+      throw error;
+    }
+    throw clientError(422, processedData.error || 'Failed to process CSV data');
+  }
+
+  if (processedData.hospitals.length > BATCH_MAX_HOSPITALS) {
+    throw clientError(422, `The export covers ${processedData.hospitals.length} hospitals; at most ${BATCH_MAX_HOSPITALS} can be generated in one batch`);
+  }
+
+  if (onStage) await onStage('rendering');
+
+  // Render one at a time; the PDF renderer shares a single browser
+  const results = [];
+  for (const hospital of processedData.hospitals.map(data => withProposalCharts(data, processingOptions?.locale))) {
+    try {
+      const { proposal, pdfBuffer, pdfFileName } = await saveGeneratedProposal(hospital, {
+        hospitalParams: hospital.hospitalParams,
+        sourceFileName,
+        claimDatasetId: files.datasetId,
+        generatedBy,
+        roiPresetId: processingOptions?.roiPresetId,
+        templateVersionId: processingOptions?.templateVersionId,
+        brandingProfileId: processingOptions?.brandingProfileId
+      });
+      results.push({ hospital, proposal, pdfBuffer, pdfFileName });
+    } catch (error) {
+      console.error(`Batch proposal for ${hospital.hospitalName} failed:`, error);
+      results.push({ hospital, error });
+    }
+  }
+
+  const generated = results.filter(result => !result.error);
+  if (generated.length === 0) {
+    throw new Error(`Failed to generate any proposals: ${results[0].error.message}`);
+  }
+
+  const zipBuffer = await zipFiles([
+    ...generated.map(result => ({ name: result.pdfFileName, data: result.pdfBuffer })),
+    { name: BATCH_SUMMARY_FILE_NAME, data: buildBatchSummaryCsv(results) }
+  ]);
+
+  return {
+    zipBuffer,
+    zipFileName: `proposals_batch_${Date.now()}.zip`,
+    proposals: generated.map(result => result.proposal),
+    failedHospitals: results.filter(result => result.error).map(result => result.hospital.hospitalName),
+    unassignedRows: processedData.unassignedRows,
+    unmatchedContacts: processedData.unmatchedContacts
+  };
+}
+
+// Re-render a stored proposal's PDF from its saved template data, template version and branding.
+// A reviewed proposal goes back to review with the new PDF; nothing changes when rendering fails.
+// Throws 409 for accepted or declined proposals and when the status changed while rendering.
+export async function regenerateProposalPdf(proposal, { user } = {}) {
+  assertRegeneratable(proposal);
+
+  const pdfFileName = buildPdfFileName(proposal.hospital_name);
+  const pdfBuffer = await renderProposalPdf(getProposalTemplateData(proposal), pdfFileName, {
+    template: await loadTemplateHTML(proposal.template_version_id),
+    branding: getProposalBranding(proposal)
+  });
+  const updated = await Proposal.updatePdf(proposal.id, {
+    pdfFileName,
+    pdfData: pdfBuffer,
+    transition: getRegenerationTransition(proposal, { user })
+  });
+  if (!updated) {
+    throw clientError(409, 'The proposal status changed while regenerating; try again');
+  }
+
+  return { proposal: updated, pdfBuffer, pdfFileName };
+}
+
+export default {
+  buildPdfFileName,
+  renderProposalPdf,
+  processClaimsForProposal,
+  getProposalTemplateData,
+  getProposalBranding,
+  resolveRoiAssumptions,
+  resolveBuiltinTemplateVersion,
+  resolveTemplateVersion,
+  resolveLocale,
+  resolveTrendBasis,
+  resolveQualityThresholds,
+  resolveBrandingProfile,
+  loadTemplateHTML,
+  loadBrandingProfile,
+  saveGeneratedProposal,
+  createProposalFromFile,
+  createProposalBatch,
+  regenerateProposalPdf
+};
@@ -0,0 +1,136 @@
+import Proposal from '../models/Proposal.js';
+import { clientError } from '../utils/errors.js';
+
+// Proposal lifecycle: draft -> in_review -> approved -> sent -> accepted / declined.
+// Executives prepare and submit drafts; admins approve them or reject them back to draft with a
+// comment. Only approved proposals are emailed or shared, which marks them sent. A proposal is
+// approved by someone other than who generated or submitted it, and regenerating it after review
+// sends it back to review.
+
+export const PROPOSAL_STATUSES = ['draft', 'in_review', 'approved', 'sent', 'accepted', 'declined'];
+
+const ADMIN_ROLES = ['admin', 'super_admin'];
+
+// Actions by name: the statuses they apply to, the status they lead to and who may take them
+// (anyone who can prepare proposals when `roles` is not set; not the proposal's authors when
+// `independent`)
+export const PROPOSAL_TRANSITIONS = {
+  submit: { from: ['draft'], to: 'in_review' },
+  approve: { from: ['in_review'], to: 'approved', roles: ADMIN_ROLES, independent: true },
+  reject: { from: ['in_review'], to: 'draft', roles: ADMIN_ROLES, commentRequired: true },
+  send: { from: ['approved'], to: 'sent' },
+  accept: { from: ['sent'], to: 'accepted' },
+  decline: { from: ['sent'], to: 'declined' }
+};
+
+// Statuses in which a proposal may be emailed or shared (again)
+export const DELIVERABLE_STATUSES = ['approved', 'sent'];
+
+// Statuses in which regenerating a proposal puts it (back) in review, and those that are final
+const REVIEWED_STATUSES = ['in_review', 'approved', 'sent'];
+const CLOSED_STATUSES = ['accepted', 'declined'];
+
+// Users who may not approve the version of a proposal under review: whoever generated it and
+// whoever last put it in review (by submitting or regenerating it). `transitions` is its status
+// history, oldest first.
+export const getProposalAuthors = (proposal, transitions) => {
+  const review = transitions.filter(transition => transition.to_status === 'in_review').pop();
+  return [proposal.generated_by, review?.user_id].filter(Boolean);
+};
+
+// Actions `user` may take on a proposal in its current status
+export const getAvailableActions = (proposal, user, authors = []) => Object.entries(PROPOSAL_TRANSITIONS)
+  .filter(([, transition]) => transition.from.includes(proposal.status) &&
+    (!transition.roles || transition.roles.includes(user?.role)) &&
+    !(transition.independent && authors.includes(user?.id)))
+  .map(([action]) => action);
+
+// Apply an action to a proposal on behalf of `user`. Returns the recorded transition; throws
+// 400 for an unknown action or missing comment, 403 when the user's role may not take it or they
+// authored the proposal, and 409 when the proposal is not in a status the action applies to.
+export async function transitionProposal(proposal, action, { user, comment } = {}) {
+  const transition = PROPOSAL_TRANSITIONS[action];
+  if (!transition) {
+    throw clientError(400, `Unknown action "${action}"; use one of: ${Object.keys(PROPOSAL_TRANSITIONS).join(', ')}`);
+  }
+  if (transition.roles && !transition.roles.includes(user?.role)) {
+    throw clientError(403, `Only admins can ${action} proposals`);
+  }
+  if (transition.independent) {
+    const authors = getProposalAuthors(proposal, await Proposal.findTransitions(proposal.id));
+    if (authors.includes(user?.id)) {
+      throw clientError(403, `You cannot ${action} a proposal you generated or submitted`);
+    }
+  }
+
+  const trimmedComment = typeof comment === 'string' ? comment.trim() : '';
+  if (transition.commentRequired && !trimmedComment) {
+    throw clientError(400, `A comment is required to ${action} a proposal`);
+  }
+
+  const recorded = await Proposal.transitionStatus(proposal.id, {
+    action,
+    fromStatuses: transition.from,
+    toStatus: transition.to,
+    comment: trimmedComment,
+    userId: user?.id
+  });
+  if (!recorded) {
+    throw clientError(409, `Cannot ${action} a proposal that is ${proposal.status.replace('_', ' ')}`);
+  }
+  return recorded;
+}
+
+// Refuse to email or share a proposal that has not been approved
+export function assertDeliverable(proposal) {
+  if (!DELIVERABLE_STATUSES.includes(proposal.status)) {
+    throw clientError(409, 'Only approved proposals can be emailed or shared');
+  }
+}
+
+// Record that an approved proposal went out; proposals already sent are left as they are
+export async function markProposalSent(proposal, { user, comment } = {}) {
+  if (proposal.status !== 'approved') return null;
+
+  return Proposal.transitionStatus(proposal.id, {
+    action: 'send',
+    fromStatuses: ['approved'],
+    toStatus: 'sent',
+    comment,
+    userId: user?.id
+  });
+}
+
+// Refuse to regenerate a proposal whose outcome is final: accepted and declined proposals (409)
+export function assertRegeneratable(proposal) {
+  if (CLOSED_STATUSES.includes(proposal.status)) {
+    throw clientError(409, `Cannot regenerate a proposal that is ${proposal.status}`);
+  }
+}
+
+// The status change stored with a regenerated PDF: the new PDF has not been reviewed, so a
+// proposal in review, approved or sent goes (back) to review. Null for drafts, which stay drafts.
+export function getRegenerationTransition(proposal, { user } = {}) {
+  if (!REVIEWED_STATUSES.includes(proposal.status)) return null;
+
+  return {
+    action: 'regenerate',
+    fromStatuses: REVIEWED_STATUSES,
+    toStatus: 'in_review',
+    comment: 'PDF regenerated',
+    userId: user?.id
+  };
+}
+
+export default {
+  PROPOSAL_STATUSES,
+  PROPOSAL_TRANSITIONS,
+  DELIVERABLE_STATUSES,
+  getProposalAuthors,
+  getAvailableActions,
+  transitionProposal,
+  assertDeliverable,
+  markProposalSent,
+  assertRegeneratable,
+  getRegenerationTransition
+};
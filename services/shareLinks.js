@@ -0,0 +1,142 @@
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import ShareLink from '../models/ShareLink.js';
+import Proposal from '../models/Proposal.js';
+import { DELIVERABLE_STATUSES } from './proposalWorkflow.js';
+import { clientError } from '../utils/errors.js';
+
+// Share links give hospital contacts a proposal PDF without an account. A link's token is
+// `<public id>.<signature>`: the public id is random and the signature is an HMAC over it and the
+// expiry, so tokens cannot be guessed or have their expiry extended.
+
+// Link lifetime in hours when none is requested, and the longest allowed
+const DEFAULT_EXPIRY_HOURS = parseInt(process.env.SHARE_LINK_DEFAULT_HOURS) || 7 * 24;
+const MAX_EXPIRY_HOURS = parseInt(process.env.SHARE_LINK_MAX_HOURS) || 30 * 24;
+
+const PIN_PATTERN = /^\d{4,8}$/;
+
+// Incorrect PINs in a row that lock a link's PIN, and for how many minutes
+const MAX_PIN_ATTEMPTS = parseInt(process.env.SHARE_LINK_MAX_PIN_ATTEMPTS) || 5;
+const PIN_LOCKOUT_MINUTES = parseInt(process.env.SHARE_LINK_PIN_LOCKOUT_MINUTES) || 15;
+
+const getSigningSecret = () => process.env.SHARE_LINK_SECRET || process.env.JWT_SECRET;
+
+const sign = (publicId, expiresAt) => crypto
+  .createHmac('sha256', getSigningSecret())
+  .update(`${publicId}.${new Date(expiresAt).getTime()}`)
+  .digest('base64url');
+
+// The token in a link's public URL
+export const buildShareToken = (link) => `${link.public_id}.${sign(link.public_id, link.expires_at)}`;
+
+const hasValidSignature = (link, signature) => {
+  const expected = Buffer.from(sign(link.public_id, link.expires_at));
+  const given = Buffer.from(signature);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// Parse and check share link options from a request: { expiresInHours, maxDownloads, pin }
+const parseShareOptions = ({ expiresInHours, maxDownloads, pin } = {}) => {
+  const hours = expiresInHours === undefined || expiresInHours === '' ? DEFAULT_EXPIRY_HOURS : Number(expiresInHours);
+  if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_EXPIRY_HOURS) {
+    throw clientError(400, `expiresInHours must be between 0 and ${MAX_EXPIRY_HOURS}`);
+  }
+
+  let limit = null;
+  if (maxDownloads !== undefined && maxDownloads !== null && maxDownloads !== '') {
+    limit = Number(maxDownloads);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw clientError(400, 'maxDownloads must be a positive whole number');
+    }
+  }
+
+  if (pin !== undefined && pin !== null && pin !== '' && !PIN_PATTERN.test(String(pin))) {
+    throw clientError(400, 'pin must be 4 to 8 digits');
+  }
+
+  return {
+    expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+    maxDownloads: limit,
+    pin: pin ? String(pin) : null
+  };
+};
+
+// Create a share link for a stored proposal
+export async function createShareLink(proposalId, options, { createdBy } = {}) {
+  const { expiresAt, maxDownloads, pin } = parseShareOptions(options);
+
+  return ShareLink.create({
+    proposalId,
+    publicId: crypto.randomBytes(16).toString('base64url'),
+    expiresAt,
+    maxDownloads,
+    pinHash: pin ? await bcrypt.hash(pin, 10) : null,
+    createdBy
+  });
+}
+
+// Open a share link and return the proposal PDF row. Every request for a known link is logged
+// with its outcome; refusals throw errors carrying the HTTP status (and `pinRequired` when the
+// link needs a PIN that was not given).
+export async function openSharedProposal(token, { pin, ipAddress, userAgent } = {}) {
+  const [publicId, signature] = typeof token === 'string' ? token.split('.') : [];
+  const link = publicId && signature ? await ShareLink.findByPublicId(publicId) : null;
+
+  if (!link || !hasValidSignature(link, signature)) {
+    throw clientError(404, 'Share link not found');
+  }
+
+  const refuse = async (outcome, status, message) => {
+    await ShareLink.logAccess(link.id, { outcome, ipAddress, userAgent });
+    return clientError(status, message);
+  };
+
+  if (link.revoked_at) {
+    throw await refuse('revoked', 410, 'This share link has been revoked');
+  }
+  if (new Date(link.expires_at) <= new Date()) {
+    throw await refuse('expired', 410, 'This share link has expired');
+  }
+  if (link.max_downloads && link.download_count >= link.max_downloads) {
+    throw await refuse('limit_reached', 410, 'This share link has reached its download limit');
+  }
+
+  if (link.pin_hash) {
+    if (!pin) {
+      const error = await refuse('pin_required', 401, 'This share link requires a PIN');
+      error.pinRequired = true;
+      throw error;
+    }
+    // Checked before the PIN, so a locked link refuses the correct one as well
+    if (link.pin_locked_until && new Date(link.pin_locked_until) > new Date()) {
+      throw await refuse('pin_locked', 429, 'Too many incorrect PINs. Please try again later.');
+    }
+    if (!await bcrypt.compare(String(pin), link.pin_hash)) {
+      await ShareLink.recordFailedPin(link.id, {
+        maxAttempts: MAX_PIN_ATTEMPTS,
+        lockoutMinutes: PIN_LOCKOUT_MINUTES
+      });
+      throw await refuse('invalid_pin', 403, 'Incorrect PIN');
+    }
+  }
+
+  // A proposal back in review (e.g. regenerated after approval) has a PDF nobody approved yet
+  if (!DELIVERABLE_STATUSES.includes(link.proposal_status)) {
+    throw await refuse('unavailable', 409, 'This proposal is being revised and is not available right now');
+  }
+
+  // Counted atomically, so concurrent requests cannot exceed the download limit
+  if (!await ShareLink.recordDownload(link.id)) {
+    throw await refuse('limit_reached', 410, 'This share link has reached its download limit');
+  }
+
+  const proposal = await Proposal.getPdf(link.proposal_id);
+  await ShareLink.logAccess(link.id, { outcome: 'downloaded', ipAddress, userAgent });
+  return proposal;
+}
+
+export default {
+  buildShareToken,
+  createShareLink,
+  openSharedProposal
+};
@@ -0,0 +1,307 @@
+// Logic-light HTML template engine for proposal templates.
+//
+// Syntax (a Handlebars subset):
+//   {{path}}                       value, HTML-escaped
+//   {{{path}}}                     value, unescaped (pre-rendered markup such as SVG charts)
+//   {{helper arg "literal" 2}}     helper call; arguments are paths or string/number literals
+//   {{#if path}}..{{else}}..{{/if}}, {{#unless path}}..{{/unless}}
+//   {{#each path}}..{{else}}..{{/each}} over arrays, with {{this}}, {{@index}}, {{@first}}, {{@last}}
+//   {{! comment }}
+//
+// Paths may be dotted (`roi.expected.total`). A name is looked up in the current loop item first,
+// then in each enclosing context out to the template data; `../name` skips the current item.
+// Placeholders whose path is not found render as empty and are reported as unmatched.
+
+import {
+  DEFAULT_LOCALE,
+  formatLocalDate,
+  formatLocalNumber,
+  formatRupees,
+  translate
+} from '../utils/localization.js';
+import { formatIndianNumber } from '../utils/dataProcessor.js';
+import { DEFAULT_COMPANY_NAME } from './branding.js';
+
+// Shown by the formatting helpers for missing or non-numeric values
+const EMPTY_VALUE = '–';
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+export const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Formatting and text helpers for one proposal locale (config/locales) and brand name
+export const createHelpers = (locale = DEFAULT_LOCALE, { companyName = DEFAULT_COMPANY_NAME } = {}) => {
+  const formatGrouped = (value, decimals = 0) => formatLocalNumber(value, locale, {
+    minimumFractionDigits: 0,
+    maximumFractionDigits: decimals
+  });
+
+  return {
+    // ₹ amounts: "full" (₹12,34,567), "short" (₹12.35 L, ₹1.23 Cr) or "words" (₹12.3 Lakhs, ₹1.23 Crores)
+    formatINR(value, style = 'full') {
+      const amount = toNumber(value);
+      return amount === null ? EMPTY_VALUE : formatRupees(amount, locale, style);
+    },
+
+    // Table amounts without the ₹ sign: lakh/crore with two decimals, full digits below a lakh
+    formatIndianNumber(value) {
+      const amount = toNumber(value);
+      return amount === null ? EMPTY_VALUE : formatIndianNumber(amount, 12, locale);
+    },
+
+    // Indian digit grouping with up to `decimals` fraction digits
+    formatNumber(value, decimals = 0) {
+      const number = toNumber(value);
+      return number === null ? EMPTY_VALUE : formatGrouped(number, decimals);
+    },
+
+    // A value already in percent (25.4 -> "25.4%")
+    percent(value, decimals = 1) {
+      const number = toNumber(value);
+      return number === null ? EMPTY_VALUE : `${formatGrouped(number, decimals)}%`;
+    },
+
+    // Dates, Date objects or ISO strings: "short" (19/10/2026) or "long" (19 October 2026)
+    date(value, style = 'short') {
+      return formatLocalDate(value, locale, style) ?? EMPTY_VALUE;
+    },
+
+    // Number of items in a list (0 when missing); Word sections use it to show a block once per list
+    length(value) {
+      return Array.isArray(value) ? value.length : 0;
+    },
+
+    // Translated text by key, e.g. {{t "financial.basedOn" hospitalName analysisPeriodMonths}};
+    // number arguments are shown in the locale's digits and {company} is the brand name
+    t(key, ...params) {
+      return translate(locale, key, ...params.map(param => (
+        typeof param === 'number' ? formatLocalNumber(param, locale) : param
+      ))).replaceAll('{company}', companyName);
+    }
+  };
+};
+
+// Helpers available to every template, in English
+export const DEFAULT_HELPERS = createHelpers(DEFAULT_LOCALE);
+
+const BLOCK_NAMES = ['if', 'unless', 'each'];
+
+const TAG_PATTERN = /{{{\s*([\s\S]*?)\s*}}}|{{\s*([\s\S]*?)\s*}}/g;
+
+const lineAt = (template, index) => template.slice(0, index).split('\n').length;
+
+// Split a tag expression into words, keeping quoted strings together
+const splitExpression = (expression) => Array.from(
+  expression.matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g),
+  match => (match[3] !== undefined ? { path: match[3] } : { literal: match[1] ?? match[2] })
+);
+
+// Parse a template into a tree of text, output and block nodes
+export function parseTemplate(template) {
+  const root = { children: [] };
+  const stack = [{ node: root, target: root.children }];
+
+  let lastIndex = 0;
+  for (const match of template.matchAll(TAG_PATTERN)) {
+    const current = stack[stack.length - 1];
+    if (match.index > lastIndex) {
+      current.target.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + match[0].length;
+
+    const raw = match[1] !== undefined;
+    const expression = raw ? match[1] : match[2];
+    const line = lineAt(template, match.index);
+
+    if (!raw && expression.startsWith('!')) continue;
+
+    if (!raw && expression.startsWith('#')) {
+      const [name, ...rest] = expression.slice(1).split(/\s+/);
+      if (!BLOCK_NAMES.includes(name)) {
+        throw new Error(`Unknown block {{#${name}}} on line ${line}`);
+      }
+      if (rest.length === 0) {
+        throw new Error(`{{#${name}}} needs a value on line ${line}`);
+      }
+      const block = { type: 'block', name, expression: rest.join(' '), words: splitExpression(rest.join(' ')), line, children: [], inverse: null };
+      current.target.push(block);
+      stack.push({ node: block, target: block.children });
+    } else if (!raw && expression.startsWith('/')) {
+      const name = expression.slice(1).trim();
+      if (stack.length === 1 || current.node.name !== name) {
+        const open = stack.length > 1 ? `{{#${current.node.name}}} from line ${current.node.line}` : 'no open block';
+        throw new Error(`Unexpected {{/${name}}} on line ${line} (${open})`);
+      }
+      stack.pop();
+    } else if (!raw && expression === 'else') {
+      if (stack.length === 1 || current.node.inverse) {
+        throw new Error(`Unexpected {{else}} on line ${line}`);
+      }
+      current.node.inverse = [];
+      current.target = current.node.inverse;
+    } else {
+      current.target.push({ type: 'output', raw, expression, words: splitExpression(expression) });
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1].node;
+    throw new Error(`Unclosed {{#${open.name}}} from line ${open.line}`);
+  }
+  if (lastIndex < template.length) {
+    root.children.push({ type: 'text', value: template.slice(lastIndex) });
+  }
+
+  return root.children;
+}
+
+// Own properties only: inherited names (constructor, toString, __proto__) are not template values
+const hasKey = (context, key) => context !== null && typeof context === 'object' && Object.hasOwn(context, key);
+
+// Resolve a path against the context stack; { found, value }
+const lookup = (path, scopes) => {
+  const scope = scopes[scopes.length - 1];
+
+  if (path === 'this' || path === '.') return { found: true, value: scope.context };
+  if (path.startsWith('@')) {
+    const key = path.slice(1);
+    return { found: hasKey(scope.frame, key), value: scope.frame?.[key] };
+  }
+
+  let depth = scopes.length - 1;
+  let rest = path;
+  let explicitParent = false;
+  while (rest.startsWith('../')) {
+    depth--;
+    rest = rest.slice(3);
+    explicitParent = true;
+  }
+  if (depth < 0) return { found: false };
+
+  const segments = (rest.startsWith('this.') ? rest.slice(5) : rest).split('.');
+  const searchDepths = explicitParent || rest.startsWith('this.')
+    ? [depth]
+    : Array.from({ length: depth + 1 }, (_, i) => depth - i);
+
+  for (const searchDepth of searchDepths) {
+    let value = scopes[searchDepth].context;
+    if (!hasKey(value, segments[0])) continue;
+
+    for (const segment of segments) {
+      if (!hasKey(value, segment)) return { found: false };
+      value = value[segment];
+    }
+    return { found: true, value };
+  }
+
+  return { found: false };
+};
+
+// Same rules as before the rewrite: booleans as-is, empty arrays and empty strings are false
+const isTruthy = (value) => {
+  if (Array.isArray(value)) return value.length > 0;
+  return Boolean(value) && value !== '';
+};
+
+// Evaluate a tag's words: a helper call when arguments follow a helper name, else a path.
+// Returns { found, value, name }; helper arguments that are not found are added to `unmatched`.
+const evaluateWords = ({ expression, words }, scopes, helpers, unmatched) => {
+  const [first, ...args] = words;
+
+  if (args.length > 0 && first.path && Object.hasOwn(helpers, first.path)) {
+    const values = args.map(arg => {
+      if (arg.literal !== undefined) return arg.literal;
+      if (/^-?\d+(\.\d+)?$/.test(arg.path)) return Number(arg.path);
+      if (arg.path === 'true' || arg.path === 'false') return arg.path === 'true';
+      const { found, value } = lookup(arg.path, scopes);
+      if (!found) unmatched.add(arg.path);
+      return value;
+    });
+    return { found: true, value: helpers[first.path](...values) };
+  }
+
+  if (args.length > 0 || first.literal !== undefined) {
+    return { found: false, name: expression };
+  }
+  return { ...lookup(first.path, scopes), name: first.path };
+};
+
+// Evaluate a single tag expression (e.g. `hospitalName` or `formatINR claimValue "short"`) for
+// other template formats. `scopes` runs outermost first: [{ context, frame }], where frame holds
+// the loop's index, first and last.
+export function evaluateExpression(expression, scopes, { helpers = DEFAULT_HELPERS, unmatched = new Set() } = {}) {
+  return evaluateWords({ expression, words: splitExpression(expression) }, scopes, helpers, unmatched);
+}
+
+const toText = (value) => (value === null || value === undefined || value === false ? '' : String(value));
+
+// Render a template with data. Returns { html, unmatchedPlaceholders }.
+// Syntax errors (unclosed or mismatched blocks) throw. `escape` applies to {{path}} output;
+// plain text templates (e.g. email bodies) pass one that leaves values as they are.
+export function renderTemplate(template, data = {}, { helpers = DEFAULT_HELPERS, escape = escapeHtml } = {}) {
+  const nodes = parseTemplate(template);
+  const unmatched = new Set();
+
+  const renderNodes = (list, scopes) => {
+    let out = '';
+
+    for (const node of list) {
+      if (node.type === 'text') {
+        out += node.value;
+      } else if (node.type === 'output') {
+        const { found, value, name } = evaluateWords(node, scopes, helpers, unmatched);
+        if (!found) {
+          unmatched.add(name);
+          continue;
+        }
+        out += node.raw ? toText(value) : escape(toText(value));
+      } else if (node.name === 'each') {
+        const { found, value, name } = evaluateWords(node, scopes, helpers, unmatched);
+        if (!found) unmatched.add(name);
+
+        if (Array.isArray(value) && value.length > 0) {
+          value.forEach((item, index) => {
+            const frame = { index, first: index === 0, last: index === value.length - 1 };
+            out += renderNodes(node.children, [...scopes, { context: item, frame }]);
+          });
+        } else if (node.inverse) {
+          out += renderNodes(node.inverse, scopes);
+        }
+      } else {
+        const { value } = evaluateWords(node, scopes, helpers, unmatched);
+        const show = node.name === 'if' ? isTruthy(value) : !isTruthy(value);
+        if (show) {
+          out += renderNodes(node.children, scopes);
+        } else if (node.inverse) {
+          out += renderNodes(node.inverse, scopes);
+        }
+      }
+    }
+
+    return out;
+  };
+
+  const html = renderNodes(nodes, [{ context: data, frame: undefined }]);
+  return { html, unmatchedPlaceholders: Array.from(unmatched) };
+}
+
+export default {
+  renderTemplate,
+  parseTemplate,
+  evaluateExpression,
+  escapeHtml,
+  createHelpers,
+  DEFAULT_HELPERS
+};
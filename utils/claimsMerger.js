@@ -0,0 +1,92 @@
+// Merge normalized claims from several exports (files or workbook sheets) into one data set.
+//
+// A claim (TID) can appear in more than one export, e.g. as "Pending" in the April file and
+// "Claim Paid" in the June file. Each TID keeps the rows from a single source: the one whose
+// rows carry the latest activity date (payment, then discharge, then admission), with ties going
+// to the source listed later. Rows without a TID are kept as-is.
+
+const ACTIVITY_DATE_COLUMNS = ['Payment Date', 'Date of Discharge', 'Date of Admission'];
+
+const normalizeTID = (tid) => (tid === undefined || tid === null ? '' : tid.toString().trim());
+
+// Latest date recorded on any of a claim's rows, or -Infinity when none are dated
+const latestActivity = (rows) => {
+  let latest = -Infinity;
+  for (const row of rows) {
+    for (const column of ACTIVITY_DATE_COLUMNS) {
+      const value = row[column];
+      if (value instanceof Date && !isNaN(value) && value.getTime() > latest) {
+        latest = value.getTime();
+      }
+    }
+  }
+  return latest;
+};
+
+const groupRowsByTID = (rows) => {
+  const groups = new Map();
+  for (const row of rows) {
+    const tid = normalizeTID(row['TID']);
+    if (tid === '') continue;
+    if (!groups.has(tid)) groups.set(tid, []);
+    groups.get(tid).push(row);
+  }
+  return groups;
+};
+
+// sources: [{ name, scheme, rows }] in upload order
+export const mergeClaimSources = (sources) => {
+  const grouped = sources.map(source => groupRowsByTID(source.rows));
+
+  // Pick the winning source for every TID
+  const winners = new Map();
+  const seenIn = new Map();
+  grouped.forEach((groups, sourceIndex) => {
+    for (const [tid, rows] of groups) {
+      seenIn.set(tid, (seenIn.get(tid) || 0) + 1);
+      const activity = latestActivity(rows);
+      const current = winners.get(tid);
+      if (!current || activity >= current.activity) {
+        winners.set(tid, { sourceIndex, activity });
+      }
+    }
+  });
+
+  const rows = [];
+  const sourceReports = sources.map((source, sourceIndex) => {
+    const kept = source.rows.filter(row => {
+      const tid = normalizeTID(row['TID']);
+      return tid === '' || winners.get(tid).sourceIndex === sourceIndex;
+    });
+    rows.push(...kept);
+
+    const claims = grouped[sourceIndex].size;
+    const keptClaims = Array.from(grouped[sourceIndex].keys())
+      .filter(tid => winners.get(tid).sourceIndex === sourceIndex).length;
+
+    return {
+      source: source.name,
+      ...(source.scheme && { scheme: source.scheme }),
+      rows: source.rows.length,
+      claims,
+      keptRows: kept.length,
+      keptClaims,
+      supersededClaims: claims - keptClaims
+    };
+  });
+
+  return {
+    rows,
+    report: {
+      sources: sourceReports,
+      totalRows: sources.reduce((sum, source) => sum + source.rows.length, 0),
+      mergedRows: rows.length,
+      totalClaims: winners.size,
+      duplicateClaims: Array.from(seenIn.values()).filter(count => count > 1).length
+    }
+  };
+};
+
+export default {
+  mergeClaimSources
+};
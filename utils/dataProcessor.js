@@ -1,66 +1,89 @@
 import xlsx from 'xlsx';
 import fs from 'fs/promises';
 import path from 'path';
+import { normalizeClaimsData } from './schemeNormalizer.js';
+import { analyzeDenialReasons } from './denialCategorizer.js';
+import { parseNumber, parseDate } from './valueParsers.js';
+import { checkClaimSourcesQuality, resolveQualityThresholds, summarizeDataQuality } from './dataQuality.js';
+import { mergeClaimSources } from './claimsMerger.js';
+import { DEFAULT_ROI_ASSUMPTIONS } from '../config/roiAssumptions.js';
+import {
+  DEFAULT_LOCALE,
+  getLocale,
+  localizeDigits,
+  lookupMessage,
+  translate,
+  formatLocalNumber,
+  formatRupees,
+  formatLocalDate,
+  formatMonthLabel
+} from './localization.js';
 
-// Parse numeric values (same as frontend)
-const parseNumber = (value) => {
-  if (!value || value === '') return 0;
-  const cleaned = value.toString().replace(/[^0-9.-]/g, '');
-  return parseFloat(cleaned) || 0;
-};
-
-// Parse date strings from various formats
-const parseDate = (dateString) => {
-  if (!dateString) return null;
-  if (dateString instanceof Date) return dateString;
-  if (typeof dateString !== 'string') return null;
-  const trimmed = dateString.trim();
-  if (trimmed === '') return null;
-
-  // Handle custom format: ' 17,February , 2025 12:00 AM'
-  const customMatch = trimmed.match(/^(\d{1,2}),([A-Za-z]+)\s*,\s*(\d{4})\s*(.*)$/);
-  if (customMatch) {
-    const day = customMatch[1];
-    const month = customMatch[2];
-    const year = customMatch[3];
-    const time = customMatch[4] || '00:00 AM';
-    const reformatted = `${day} ${month} ${year} ${time}`;
-    const parsed = new Date(reformatted);
-    if (!isNaN(parsed)) return parsed;
-  }
-
-  // Fallback to standard parsing
-  const parsed = new Date(trimmed);
-  if (!isNaN(parsed)) return parsed;
-  return null;
+// Header row of a sheet as written in the file. Row objects only carry the cells filled in, so a
+// column left blank in the first data row is missing from its keys but not from here.
+const readHeaderRow = (worksheet) => {
+  if (!worksheet['!ref']) return [];
+  
+  const range = xlsx.utils.decode_range(worksheet['!ref']);
+  const headers = [];
+  for (let column = range.s.c; column <= range.e.c; column++) {
+    const cell = worksheet[xlsx.utils.encode_cell({ r: range.s.r, c: column })];
+    const header = cell ? (cell.w ?? cell.v ?? '').toString().trim() : '';
+    if (header) headers.push(header);
+  }
+  return headers;
 };
 
-// Read and parse CSV/Excel file
-export const parseCSVFile = async (filePath) => {
+// Read the selected sheets of a CSV/Excel file: the first sheet by default, 'all' for every
+// sheet with data, or a list of sheet names. Each sheet is { sheetName, headers, rows }.
+export const parseWorkbookSheets = async (filePath, { sheets } = {}) => {
   try {
     // Read the file
     const buffer = await fs.readFile(filePath);
     
-    // Parse using xlsx
-    const workbook = xlsx.read(buffer, { type: 'buffer' });
+    // Parse using xlsx; CSV cells are kept as text so scheme date formats (e.g. DD/MM/YYYY)
+    // are not pre-parsed as US dates
+    const isCSV = path.extname(filePath).toLowerCase() === '.csv';
+    const workbook = xlsx.read(buffer, { type: 'buffer', raw: isCSV });
     
-    // Get the first sheet
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
+    let sheetNames;
+    if (!sheets || isCSV) {
+      sheetNames = [workbook.SheetNames[0]];
+    } else if (sheets === 'all') {
+      sheetNames = workbook.SheetNames;
+    } else {
+      const missingSheets = sheets.filter(name => !workbook.SheetNames.includes(name));
+      if (missingSheets.length > 0) {
+        throw new Error(`Sheet not found: ${missingSheets.join(', ')}. Available sheets: ${workbook.SheetNames.join(', ')}`);
+      }
+      sheetNames = sheets;
+    }
     
-    // Convert to JSON
-    const jsonData = xlsx.utils.sheet_to_json(worksheet, { raw: false });
+    // Convert to JSON, skipping empty sheets when reading the whole workbook
+    const parsedSheets = sheetNames
+      .map(sheetName => ({
+        sheetName,
+        headers: readHeaderRow(workbook.Sheets[sheetName]),
+        rows: xlsx.utils.sheet_to_json(workbook.Sheets[sheetName], { raw: false })
+      }))
+      .filter(sheet => sheet.rows.length > 0);
     
-    if (!jsonData || jsonData.length === 0) {
+    if (parsedSheets.length === 0) {
       throw new Error('No data found in the file');
     }
     
-    return jsonData;
+    return parsedSheets;
   } catch (error) {
     throw new Error(`Failed to parse CSV file: ${error.message}`);
   }
 };
 
+// Read and parse the first sheet of a CSV/Excel file
+export const parseCSVFile = async (filePath) => {
+  const [firstSheet] = await parseWorkbookSheets(filePath);
+  return firstSheet.rows;
+};
+
 // Validate required columns for MAA Yojna data
 export const validateMAAClaims = (data) => {
   if (!data || data.length === 0) {
@@ -166,8 +189,226 @@ export const groupDataByTID = (data) => {
   return Object.values(groupedByTID);
 };
 
+// Date column each trend basis buckets claims by
+export const TREND_BASIS_COLUMNS = {
+  admission: 'Date of Admission',
+  discharge: 'Date of Discharge'
+};
+
+// Trend dates must fall between this year and a year from now; others (typos such as 1900 or
+// 2205) are counted as out of range instead of stretching the table. At most MAX_TREND_MONTHS
+// months, ending at the latest claim's month, are returned.
+const EARLIEST_TREND_YEAR = 2000;
+const MAX_TREND_MONTHS = 120;
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const isRejectedStatus = (status) => (
+  status === 'Claim Rejected (Supervisor)' || status === 'Claim Rejected (Analyser)'
+);
+
+// Bucket grouped claims (one per TID) by admission or discharge month. Months between the first
+// and last are included even when empty; rates are null for months without claims. Claims dated
+// outside the plausible range or before the MAX_TREND_MONTHS window are counted in outOfRangeClaims.
+export const calculateMonthlyTrends = (groupedData, { basis = 'admission' } = {}) => {
+  const dateColumn = TREND_BASIS_COLUMNS[basis];
+  if (!dateColumn) {
+    throw new Error(`Unknown trend basis: ${basis}. Supported: ${Object.keys(TREND_BASIS_COLUMNS).join(', ')}`);
+  }
+  
+  const buckets = new Map();
+  let undatedClaims = 0;
+  let outOfRangeClaims = 0;
+  
+  const now = new Date();
+  const earliestKey = EARLIEST_TREND_YEAR * 12;
+  const latestKey = (now.getFullYear() + 1) * 12 + now.getMonth();
+  
+  for (const claim of groupedData) {
+    const date = claim[dateColumn];
+    if (!(date instanceof Date) || isNaN(date)) {
+      undatedClaims++;
+      continue;
+    }
+    
+    const key = date.getFullYear() * 12 + date.getMonth();
+    if (key < earliestKey || key > latestKey) {
+      outOfRangeClaims++;
+      continue;
+    }
+    if (!buckets.has(key)) {
+      buckets.set(key, { claims: [], claimValue: 0, approvedAmount: 0, paidAmount: 0 });
+    }
+    const bucket = buckets.get(key);
+    bucket.claims.push(claim);
+    bucket.claimValue += claim['Pkg Rate'];
+    bucket.approvedAmount += claim['Approved Amount'];
+    bucket.paidAmount += claim['Actual Paid Amount'];
+  }
+  
+  if (buckets.size === 0) {
+    return { basis, months: [], undatedClaims, outOfRangeClaims };
+  }
+  
+  const keys = Array.from(buckets.keys());
+  const lastKey = Math.max(...keys);
+  const firstKey = Math.max(Math.min(...keys), lastKey - MAX_TREND_MONTHS + 1);
+  for (const key of keys) {
+    if (key < firstKey) outOfRangeClaims += buckets.get(key).claims.length;
+  }
+  const percentage = (count, total) => Math.round((count / total) * 1000) / 10;
+  
+  const months = [];
+  for (let key = firstKey; key <= lastKey; key++) {
+    const year = Math.floor(key / 12);
+    const monthIndex = key % 12;
+    const bucket = buckets.get(key);
+    const claims = bucket ? bucket.claims : [];
+    const claimCount = claims.length;
+    
+    const paymentDays = claims.filter(claim => claim['Days to Payment'] > 0).map(claim => claim['Days to Payment']);
+    
+    months.push({
+      month: `${year}-${String(monthIndex + 1).padStart(2, '0')}`,
+      label: `${MONTH_LABELS[monthIndex]} ${year}`,
+      claimCount,
+      claimValue: bucket ? bucket.claimValue : 0,
+      approvedAmount: bucket ? bucket.approvedAmount : 0,
+      paidAmount: bucket ? bucket.paidAmount : 0,
+      denialRate: claimCount > 0 ? percentage(claims.filter(claim => isRejectedStatus(claim['Status'])).length, claimCount) : null,
+      queryIncidence: claimCount > 0 ? percentage(claims.filter(claim => claim['Query Raised'] > 0).length, claimCount) : null,
+      avgDaysToPayment: paymentDays.length > 0
+        ? Math.round((paymentDays.reduce((sum, days) => sum + days, 0) / paymentDays.length) * 10) / 10
+        : null
+    });
+  }
+  
+  return { basis, months, undatedClaims, outOfRangeClaims };
+};
+
+// Days-to-payment buckets for the aging breakdown (upper bound inclusive, null = open-ended)
+const PAYMENT_AGING_BUCKETS = [
+  { label: '0–30', maxDays: 30 },
+  { label: '31–60', maxDays: 60 },
+  { label: '61–90', maxDays: 90 },
+  { label: '90+', maxDays: null }
+];
+
+// Count paid claims (one per TID) by days from discharge to payment
+export const calculatePaymentAging = (groupedData) => {
+  const buckets = PAYMENT_AGING_BUCKETS.map(bucket => ({ ...bucket, count: 0, amount: 0 }));
+  
+  const paidWithTiming = groupedData.filter(claim =>
+    claim['Status'] && claim['Status'].includes('Claim Paid') && claim['Days to Payment'] > 0
+  );
+  
+  for (const claim of paidWithTiming) {
+    const bucket = buckets.find(entry => entry.maxDays === null || claim['Days to Payment'] <= entry.maxDays);
+    bucket.count++;
+    bucket.amount += claim['Actual Paid Amount'];
+  }
+  
+  return { buckets, paidClaimsWithTiming: paidWithTiming.length };
+};
+
+// Claims (one per TID) by their status, most common first; claims without a status are
+// reported under a null status
+export const calculateStatusBreakdown = (groupedData) => {
+  const statuses = new Map();
+  
+  for (const claim of groupedData) {
+    const status = claim['Status'] ? claim['Status'].toString().trim() : null;
+    if (!statuses.has(status)) {
+      statuses.set(status, { status, claimCount: 0, claimValue: 0, approvedAmount: 0, paidAmount: 0 });
+    }
+    const entry = statuses.get(status);
+    entry.claimCount++;
+    entry.claimValue += claim['Pkg Rate'];
+    entry.approvedAmount += claim['Approved Amount'];
+    entry.paidAmount += claim['Actual Paid Amount'];
+  }
+  
+  const totalClaims = groupedData.length;
+  const statusList = Array.from(statuses.values())
+    .map(entry => ({ ...entry, percentage: Math.round((entry.claimCount / totalClaims) * 1000) / 10 }))
+    .sort((a, b) => b.claimCount - a.claimCount);
+  
+  return { totalClaims, statuses: statusList };
+};
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Per-package performance from the grouped claims' components. A claim counts once towards
+// each package it includes; values come from that package's component rows. Approval ratio is
+// the mean approved-to-package-rate ratio of components on claims that were not rejected.
+export const calculatePackageAnalysis = (groupedData, { limit = 10 } = {}) => {
+  const packages = new Map();
+  
+  for (const claim of groupedData) {
+    const rejected = isRejectedStatus(claim['Status']);
+    const queried = claim['Query Raised'] > 0;
+    const lengthOfStay = claim['Date of Admission'] && claim['Date of Discharge']
+      ? Math.max(0, Math.floor((claim['Date of Discharge'] - claim['Date of Admission']) / MS_PER_DAY))
+      : null;
+    const seenInClaim = new Set();
+    
+    for (const component of claim.components || []) {
+      const code = (component['Pkg Code'] ?? '').toString().trim();
+      const name = (component['Pkg Name'] ?? '').toString().trim();
+      const key = code || name;
+      if (!key) continue;
+      
+      if (!packages.has(key)) {
+        packages.set(key, {
+          code, name, claimCount: 0, packageValue: 0, approvedAmount: 0, rejectedClaims: 0,
+          rejectedValue: 0, queriedClaims: 0, ratios: [], stays: []
+        });
+      }
+      const entry = packages.get(key);
+      if (!entry.name && name) entry.name = name;
+      
+      const rate = component['Component Pkg Rate'] || 0;
+      const approved = component['Component Approved Amount'] || 0;
+      entry.packageValue += rate;
+      entry.approvedAmount += approved;
+      if (rejected) {
+        entry.rejectedValue += rate;
+      } else if (rate > 0) {
+        entry.ratios.push(approved / rate);
+      }
+      
+      // Claim-level counts once per package, however many components it has
+      if (!seenInClaim.has(key)) {
+        seenInClaim.add(key);
+        entry.claimCount++;
+        if (rejected) entry.rejectedClaims++;
+        if (queried) entry.queriedClaims++;
+        if (lengthOfStay !== null) entry.stays.push(lengthOfStay);
+      }
+    }
+  }
+  
+  const round1 = (value) => Math.round(value * 10) / 10;
+  const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+  
+  const ranked = Array.from(packages.values())
+    .map(({ ratios, stays, ...entry }) => ({
+      ...entry,
+      denialRate: round1((entry.rejectedClaims / entry.claimCount) * 100),
+      queryIncidence: round1((entry.queriedClaims / entry.claimCount) * 100),
+      approvalRatio: ratios.length > 0 ? round1(average(ratios) * 100) : null,
+      avgLengthOfStay: stays.length > 0 ? round1(average(stays)) : null
+    }))
+    .sort((a, b) => b.packageValue - a.packageValue);
+  
+  return {
+    totalPackages: ranked.length,
+    packages: ranked.slice(0, limit)
+  };
+};
+
 // Calculate key metrics for proposal generation
-export const calculateProposalMetrics = (data) => {
+export const calculateProposalMetrics = (data, options = {}) => {
   // Preprocess and group data
   const processedData = preprocessMAAClaims(data);
   const groupedData = groupDataByTID(processedData);
@@ -241,6 +482,9 @@ export const calculateProposalMetrics = (data) => {
   // Average claim amount (rounded to nearest rupee)
   const averageClaimAmount = totalClaims > 0 ? Math.round(totalClaimValue / totalClaims) : 0;
   
+  // Metrics that could not be derived from the file and fell back to an assumption
+  const defaultedMetrics = [];
+  
   // Calculate average length of stay instead of days to payment
   const claimsWithDates = groupedData.filter(row => 
     row['Date of Admission'] && row['Date of Discharge']
@@ -252,12 +496,23 @@ export const calculateProposalMetrics = (data) => {
         return sum + Math.max(0, los);
       }, 0) / claimsWithDates.length
     : 4; // default 4 days
+  if (claimsWithDates.length === 0) {
+    defaultedMetrics.push({ metric: 'avgLengthOfStay', reason: 'No claims with both admission and discharge dates' });
+  }
 
   // NEW: Calculate avgDaysToPayment from Days to Payment if available
   const claimsWithPaymentDays = groupedData.filter(row => row['Days to Payment'] && row['Days to Payment'] > 0);
   const avgDaysToPayment = claimsWithPaymentDays.length > 0
     ? claimsWithPaymentDays.reduce((sum, row) => sum + row['Days to Payment'], 0) / claimsWithPaymentDays.length
     : (avgLengthOfStay || 45); // fallback to length of stay or 45
+  if (claimsWithPaymentDays.length === 0) {
+    defaultedMetrics.push({
+      metric: 'avgDaysToPayment',
+      reason: avgLengthOfStay
+        ? 'No payment dates or Days to Payment values; estimated from average length of stay'
+        : 'No payment dates or Days to Payment values'
+    });
+  }
   
   // Date range
   const admissionDates = processedData
@@ -276,6 +531,9 @@ export const calculateProposalMetrics = (data) => {
   const monthsSpan = minDate && maxDate 
     ? Math.max(1, Math.ceil((maxDate - minDate) / (1000 * 60 * 60 * 24 * 30)))
     : 12; // default to 12 months if dates not available
+  if (!minDate || !maxDate) {
+    defaultedMetrics.push({ metric: 'monthsSpan', reason: 'No admission dates; assumed a 12-month period' });
+  }
   
   // High value claims (>1L)
   const highValueClaims = groupedData.filter(row => row['Pkg Rate'] > 100000).length;
@@ -283,14 +541,19 @@ export const calculateProposalMetrics = (data) => {
     ? (highValueClaims / totalClaims) * 100 
     : 0;
   
-  // Top denial reasons (simplified for proposal)
-  const denialReasons = [
-    { reason: 'Missing or incorrect documentation', percentage: 35 },
-    { reason: 'Authorization issues', percentage: 25 },
-    { reason: 'Coding errors', percentage: 20 },
-    { reason: 'Eligibility verification failures', percentage: 12 },
-    { reason: 'Timely filing issues', percentage: 8 }
-  ];
+  // Denial reasons from the rejection remarks (industry-typical split when there are none)
+  const rejectedClaimRows = groupedData.filter(row => 
+    row['Status'] && (
+      row['Status'] === 'Claim Rejected (Supervisor)' ||
+      row['Status'] === 'Claim Rejected (Analyser)'
+    )
+  );
+  const { source: denialReasonsSource, reasons: denialReasons } = analyzeDenialReasons(rejectedClaimRows, {
+    categories: options.denialCategories
+  });
+  if (denialReasonsSource === 'industry_typical') {
+    defaultedMetrics.push({ metric: 'denialReasons', reason: 'No rejection remarks in the file; industry-typical distribution shown' });
+  }
   
   return {
     // Basic metrics
@@ -330,19 +593,64 @@ export const calculateProposalMetrics = (data) => {
       ? `${minDate.toLocaleDateString('en-IN')} to ${maxDate.toLocaleDateString('en-IN')}`
       : 'N/A',
     
-    // Denial reasons
+    // Denial reasons ('claims_data' or 'industry_typical')
     denialReasons,
+    denialReasonsSource,
     
     // Health score calculation
     healthScore: Math.min(90, (100 - denialRate) * 0.4 + collectionEfficiency * 0.4 + (100 - queryIncidence) * 0.2),
     
     // Months span for calculations
-    monthsSpan
+    monthsSpan,
+    
+    // Month-by-month claims, denials and collections
+    monthlyTrends: calculateMonthlyTrends(groupedData, { basis: options.trendBasis }),
+    
+    // Paid claims by days to payment
+    paymentAging: calculatePaymentAging(groupedData),
+    
+    // Top packages by claim value
+    packageAnalysis: calculatePackageAnalysis(groupedData),
+    
+    // Metrics that fell back to assumptions
+    defaultedMetrics
   };
 };
 
+// Format numbers for display with dynamic truncation, in the locale's digits and lakh/crore units
+export const formatIndianNumber = (num, maxLength = 12, locale = DEFAULT_LOCALE) => {
+  // Handle undefined, null, or 0 values
+  if (!num || num === 0) {
+    return localizeDigits('0', locale);
+  }
+  
+  const { units } = getLocale(locale);
+  let formatted;
+  if (num >= 10000000) {
+    formatted = `${(num / 10000000).toFixed(2)}${units.short.crore}`;
+  } else if (num >= 100000) {
+    formatted = `${(num / 100000).toFixed(2)}${units.short.lakh}`;
+  } else {
+    formatted = formatLocalNumber(num, locale);
+  }
+  
+  // Truncate if too long
+  if (formatted.length > maxLength) {
+    if (num >= 10000000) {
+      formatted = `${(num / 10000000).toFixed(1)}${units.short.crore}`;
+    } else if (num >= 100000) {
+      formatted = `${(num / 100000).toFixed(1)}${units.short.lakh}`;
+    }
+  }
+  
+  return localizeDigits(formatted, locale);
+};
+
+// Format rupee amounts in words for the financial table (e.g. '₹7.5 Lakhs', '₹1.74 Crores')
+const formatRupeeWords = (num, locale) => formatRupees(Math.max(0, num || 0), locale, 'words');
+
 // Calculate ROI projections based on metrics
-export const calculateROIProjections = (metrics) => {
+export const calculateROIProjections = (metrics, assumptions = DEFAULT_ROI_ASSUMPTIONS) => {
   const { 
     totalClaimValue, 
     rejectedClaimsAmount, 
@@ -351,37 +659,58 @@ export const calculateROIProjections = (metrics) => {
     avgDaysToPayment
   } = metrics;
   
+  // The file covers monthsSpan months; projections are annual, so scale its totals to a year
+  const annualize = (spanAmount) => spanAmount * 12 / (metrics.monthsSpan || 12);
+  
   // Ensure we have minimum values for calculation
-  const safeClaimValue = totalClaimValue || 5000000; // 50L default
-  const safeRejectedAmount = rejectedClaimsAmount || (safeClaimValue * 0.15); // 15% default denial
+  const safeClaimValue = totalClaimValue ? annualize(totalClaimValue) : 5000000; // 50L default
+  const safeRejectedAmount = rejectedClaimsAmount ? annualize(rejectedClaimsAmount) : (safeClaimValue * 0.15); // 15% default denial
   const safeDenialRate = denialRate || 15;
   const safeAvgDays = avgDaysToPayment || 45;
   
-  // Conservative scenario: Reduce denial rate to 5%
-  const targetDenialRate = 5;
+  // Record which inputs were missing so callers can flag the affected projections
+  const defaultedInputs = [
+    !totalClaimValue && 'totalClaimValue',
+    !rejectedClaimsAmount && 'rejectedClaimsAmount',
+    !denialRate && 'denialRate',
+    !avgDaysToPayment && 'avgDaysToPayment'
+  ].filter(Boolean);
+  
+  const {
+    targetDenialRate,
+    targetDaysToPayment,
+    costOfCapital,
+    efficiencySavingsRate,
+    recoveryFactors,
+    benefitFactors,
+    roiMultiple
+  } = assumptions;
+  
+  // Recoverable denials: bring the denial rate down to the target
   const potentialRecovery = (safeDenialRate > targetDenialRate)
     ? safeRejectedAmount * ((safeDenialRate - targetDenialRate) / safeDenialRate)
     : safeRejectedAmount * 0.5; // Fallback to 50% recovery
   
   // Working capital improvement from faster payments
-  const targetDaysToPayment = 30;
   const daysSaved = Math.max(0, safeAvgDays - targetDaysToPayment);
-  const workingCapitalBenefit = safeClaimValue * (daysSaved / 365) * 0.12; // 12% cost of capital
+  const workingCapitalBenefit = safeClaimValue * (daysSaved / 365) * (costOfCapital / 100);
   
   // Process efficiency savings (reduced manual work)
-  const processEfficiencySavings = safeClaimValue * 0.02; // 2% of claim value
+  const processEfficiencySavings = safeClaimValue * (efficiencySavingsRate / 100);
   
   // Calculate projections
-  const conservativeRecovery = potentialRecovery * 0.6;
-  const expectedRecovery = potentialRecovery * 0.8;
-  const optimisticRecovery = potentialRecovery;
+  const conservativeRecovery = potentialRecovery * recoveryFactors.conservative;
+  const expectedRecovery = potentialRecovery * recoveryFactors.expected;
+  const optimisticRecovery = potentialRecovery * recoveryFactors.optimistic;
+  
+  const collections = (scenario) => workingCapitalBenefit * benefitFactors[scenario];
+  const efficiency = (scenario) => processEfficiencySavings * benefitFactors[scenario];
   
-  const conservativeTotal = conservativeRecovery + workingCapitalBenefit * 0.5 + processEfficiencySavings * 0.5;
-  const expectedTotal = expectedRecovery + workingCapitalBenefit * 0.7 + processEfficiencySavings * 0.7;
-  const optimisticTotal = optimisticRecovery + workingCapitalBenefit + processEfficiencySavings;
+  const conservativeTotal = conservativeRecovery + collections('conservative') + efficiency('conservative');
+  const expectedTotal = expectedRecovery + collections('expected') + efficiency('expected');
+  const optimisticTotal = optimisticRecovery + collections('optimistic') + efficiency('optimistic');
   
-  // Calculate payback period (months) - using a fixed ROI multiple of 3.5 internally
-  const roiMultiple = 3.5;
+  // Calculate payback period (months) from the assumed ROI multiple
   const investmentAmount = expectedTotal / roiMultiple;
   const monthlyBenefit = expectedTotal / 12;
   const paybackMonths = Math.ceil(investmentAmount / monthlyBenefit);
@@ -391,217 +720,595 @@ export const calculateROIProjections = (metrics) => {
     denialPreventionExpected: expectedRecovery,
     denialPreventionOptimistic: optimisticRecovery,
     
-    collectionsConservative: workingCapitalBenefit * 0.5,
-    collectionsExpected: workingCapitalBenefit * 0.7,
-    collectionsOptimistic: workingCapitalBenefit,
+    collectionsConservative: collections('conservative'),
+    collectionsExpected: collections('expected'),
+    collectionsOptimistic: collections('optimistic'),
     
-    efficiencyConservative: processEfficiencySavings * 0.5,
-    efficiencyExpected: processEfficiencySavings * 0.7,
-    efficiencyOptimistic: processEfficiencySavings,
+    efficiencyConservative: efficiency('conservative'),
+    efficiencyExpected: efficiency('expected'),
+    efficiencyOptimistic: efficiency('optimistic'),
     
     totalBenefitConservative: conservativeTotal,
     totalBenefitExpected: expectedTotal,
     totalBenefitOptimistic: optimisticTotal,
     
     paybackPeriod: paybackMonths,
-    roiMultiple: roiMultiple
+    roiMultiple: roiMultiple,
+    
+    // Annual inputs actually used (after defaults), so other tables can start from the same baseline
+    baseline: {
+      claimValue: safeClaimValue,
+      rejectedAmount: safeRejectedAmount,
+      denialRate: safeDenialRate,
+      avgDaysToPayment: safeAvgDays,
+      targetDaysToPayment,
+      processEfficiencySavings
+    },
+    defaultedInputs,
+    
+    // Assumptions the projections were computed with, so they can be reproduced
+    assumptions
   };
 };
 
-// Main function to process CSV and generate proposal data
-export const processCSVForProposal = async (filePath, additionalParams = {}) => {
-  try {
-    // Parse CSV file
-    const rawData = await parseCSVFile(filePath);
-    
-    // Validate data
-    const validation = validateMAAClaims(rawData);
-    if (!validation.valid) {
-      throw new Error(validation.error);
-    }
-    
-    // Calculate metrics
-    const metrics = calculateProposalMetrics(rawData);
-    
-    // Ensure we have default values for critical metrics
-    if (!metrics.avgDaysToPayment || metrics.avgDaysToPayment === 0) {
-      metrics.avgDaysToPayment = 45; // default value
+// Share of RCM admin effort removed by automation; the ROI efficiency savings are this share
+// of the current admin cost
+const ADMIN_TIME_REDUCTION = 0.75;
+
+// Build the "Current vs Optimized" financial table from the annual ROI baseline.
+//
+// Each row's monthly savings is its expected-scenario ROI benefit / 12 and its optimized value is
+// current - savings:
+//   Denial reduction  current = rejected claim value per month
+//   First pass        current = monthly cost of financing receivables at today's days to payment
+//                               (claim value per month x days to payment / 365 x cost of capital)
+//   Admin efficiency  current = monthly admin cost, i.e. efficiency savings / 75% reduction
+// Rows the proposal hides (showDenialMetric, showFirstPassMetric) are left out of the totals.
+// totalAnnual is the proposal's one annual impact figure; with every row shown it equals
+// totalBenefitExpected.
+export const calculateFinancialImpact = (metrics, roiProjections, { showDenialMetric = true, showFirstPassMetric = true } = {}) => {
+  const { baseline, assumptions } = roiProjections;
+  const monthlyClaimValue = baseline.claimValue / 12;
+  
+  const buildRow = (current, annualBenefit, included) => {
+    const savings = annualBenefit / 12;
+    return { current, optimized: current - savings, savings, annual: annualBenefit, included };
+  };
+  
+  const denialReduction = buildRow(baseline.rejectedAmount / 12, roiProjections.denialPreventionExpected, showDenialMetric);
+  const firstPass = buildRow(
+    monthlyClaimValue * (baseline.avgDaysToPayment / 365) * (assumptions.costOfCapital / 100),
+    roiProjections.collectionsExpected,
+    showFirstPassMetric
+  );
+  const adminEfficiency = buildRow(
+    baseline.processEfficiencySavings / ADMIN_TIME_REDUCTION / 12,
+    roiProjections.efficiencyExpected,
+    true
+  );
+  
+  const totalAnnual = [denialReduction, firstPass, adminEfficiency]
+    .filter(row => row.included)
+    .reduce((sum, row) => sum + row.annual, 0);
+  
+  return {
+    denialReduction,
+    firstPass,
+    adminEfficiency,
+    totalMonthly: totalAnnual / 12,
+    totalAnnual
+  };
+};
+
+// Months shown in the PDF trend table (the preview JSON has every month)
+const TREND_TABLE_MONTHS = 12;
+
+// Trend table months and summary sentences for the template; the table is empty (and the
+// trend page left out) with fewer than two months of claims
+export const formatMonthlyTrendFields = (monthlyTrends, locale) => {
+  const months = monthlyTrends.months
+    .slice(-TREND_TABLE_MONTHS)
+    .map(month => ({ ...month, label: formatMonthLabel(month.month, locale) }));
+  const activeMonths = months.filter(month => month.claimCount > 0);
+  const trendBasisLabel = translate(locale, `trend.basis.${monthlyTrends.basis}`);
+  
+  if (activeMonths.length < 2) {
+    return {
+      monthlyTrendTable: [],
+      trendBasisLabel,
+      trendPeriodText: '',
+      trendDenialSummary: '',
+      trendPaymentSummary: ''
+    };
+  }
+  
+  const first = activeMonths[0];
+  const last = activeMonths[activeMonths.length - 1];
+  
+  const paidMonths = activeMonths.filter(month => month.avgDaysToPayment !== null);
+  const firstPaid = paidMonths[0];
+  const lastPaid = paidMonths[paidMonths.length - 1];
+  
+  const percent = (rate) => `${localizeDigits(rate, locale)}%`;
+  
+  return {
+    monthlyTrendTable: months,
+    trendBasisLabel,
+    trendPeriodText: `${months[0].label} – ${months[months.length - 1].label}`,
+    trendDenialSummary: translate(locale, 'trend.denialSummary', percent(first.denialRate), first.label, percent(last.denialRate), last.label),
+    trendPaymentSummary: paidMonths.length >= 2
+      ? translate(locale, 'trend.paymentSummary',
+        localizeDigits(firstPaid.avgDaysToPayment, locale), firstPaid.label,
+        localizeDigits(lastPaid.avgDaysToPayment, locale), lastPaid.label)
+      : ''
+  };
+};
+
+// Packages listed in the Package Insights table
+const PACKAGE_TABLE_ROWS = 8;
+
+// Package Insights table and callout. The section is opt-in and is also left out when the
+// export has no package codes or names.
+export const formatPackageInsightFields = (packageAnalysis, include, locale) => {
+  const packages = packageAnalysis.packages.slice(0, PACKAGE_TABLE_ROWS);
+  
+  if (!include || packages.length === 0) {
+    return {
+      packageInsights: [],
+      packageInsightSummary: '',
+      packageCountText: ''
+    };
+  }
+  
+  const label = (pkg) => {
+    const name = pkg.name.length > 40 ? `${pkg.name.slice(0, 39)}…` : pkg.name;
+    return pkg.code && name ? `${name} (${pkg.code})` : (name || pkg.code);
+  };
+  
+  // Call out the package with the most value lost to rejections
+  const topLoss = packages.reduce((worst, pkg) => (pkg.rejectedValue > (worst?.rejectedValue || 0) ? pkg : worst), null);
+  
+  return {
+    packageInsights: packages.map(pkg => ({ ...pkg, label: label(pkg) })),
+    packageInsightSummary: topLoss
+      ? translate(locale, topLoss.rejectedClaims === 1 ? 'packages.summaryOne' : 'packages.summary',
+        label(topLoss), formatRupeeWords(topLoss.rejectedValue, locale),
+        localizeDigits(topLoss.rejectedClaims, locale), `${localizeDigits(topLoss.denialRate, locale)}%`)
+      : '',
+    packageCountText: translate(locale, 'packages.count',
+      localizeDigits(packages.length, locale), localizeDigits(packageAnalysis.totalPackages, locale))
+  };
+};
+
+// Flatten the financial table into its template fields (e.g. denialReductionCurrent)
+const formatFinancialImpactFields = (financialImpact, locale) => {
+  const fields = {};
+  for (const row of ['denialReduction', 'firstPass', 'adminEfficiency']) {
+    fields[`${row}Current`] = formatRupeeWords(financialImpact[row].current, locale);
+    fields[`${row}Optimized`] = formatRupeeWords(financialImpact[row].optimized, locale);
+    fields[`${row}Savings`] = formatRupeeWords(financialImpact[row].savings, locale);
+    fields[`${row}Annual`] = formatRupeeWords(financialImpact[row].annual, locale);
+  }
+  fields.totalMonthlyImpact = formatRupeeWords(financialImpact.totalMonthly, locale);
+  fields.totalAnnualImpact = formatRupeeWords(financialImpact.totalAnnual, locale);
+  return fields;
+};
+
+// Template fields that depend on each metric which may fall back to an assumption
+const METRIC_TEMPLATE_FIELDS = {
+  avgLengthOfStay: ['avgLengthOfStay'],
+  avgDaysToPayment: ['avgDaysToPayment', 'daysReduction'],
+  averageClaimAmount: ['averageClaimAmount'],
+  monthsSpan: ['monthlyClaimValue', 'analysisStartDate', 'analysisEndDate'],
+  denialReasons: ['denialReasons']
+};
+
+// Template fields derived from each ROI input
+const financialRowFields = (row) => ['Current', 'Optimized', 'Savings', 'Annual'].map(col => `${row}${col}`);
+const FINANCIAL_TOTAL_FIELDS = ['totalMonthlyImpact', 'totalAnnualImpact', 'calculatedAnnualImpact'];
+const ROI_TEMPLATE_FIELDS = {
+  totalClaimValue: [
+    'collectionsConservative', 'collectionsExpected', 'collectionsOptimistic',
+    'efficiencyConservative', 'efficiencyExpected', 'efficiencyOptimistic',
+    ...financialRowFields('firstPass'), ...financialRowFields('adminEfficiency'),
+    ...FINANCIAL_TOTAL_FIELDS
+  ],
+  rejectedClaimsAmount: [
+    'denialPreventionConservative', 'denialPreventionExpected', 'denialPreventionOptimistic',
+    ...financialRowFields('denialReduction'), ...FINANCIAL_TOTAL_FIELDS
+  ],
+  denialRate: [
+    'denialPreventionConservative', 'denialPreventionExpected', 'denialPreventionOptimistic',
+    ...financialRowFields('denialReduction'), ...FINANCIAL_TOTAL_FIELDS
+  ],
+  avgDaysToPayment: [
+    'collectionsConservative', 'collectionsExpected', 'collectionsOptimistic',
+    ...financialRowFields('firstPass'), ...FINANCIAL_TOTAL_FIELDS
+  ]
+};
+
+// Template fields that are never derived from the claims data
+const STATIC_TEMPLATE_FIELDS = [
+  'primaryDepartments', 'monthlyPatientVolume', 'insuranceMix', 'currentProcessingTime', 'currentReconciliationTime',
+  'reconciliationGaps', 'terminologyGaps', 'packageErrors', 'documentationChallenges', 'authorizationTime', 'complianceIssues',
+  'contractDate', 'implementationStartDate', 'pilotCompletionDate'
+];
+
+// Request fields with a built-in fallback and the template field they fill
+const PARAM_TEMPLATE_FIELDS = {
+  hospitalLocation: 'hospitalLocation',
+  eytherContactEmail: 'contactEmail',
+  eytherContactPhone: 'contactPhone',
+  eytherTeamMember: 'teamMemberName'
+};
+
+// List the template fields that fell back to defaults instead of coming from the data
+const collectDefaultedFields = (metrics, roiProjections, templateData, additionalParams) => {
+  const defaulted = new Map();
+  const add = (field, reason) => {
+    if (!defaulted.has(field)) {
+      defaulted.set(field, { field, value: templateData[field], reason });
     }
-    if (!metrics.averageClaimAmount || metrics.averageClaimAmount === 0) {
-      metrics.averageClaimAmount = 50000; // default ₹50,000
+  };
+  
+  for (const { metric, reason } of metrics.defaultedMetrics) {
+    (METRIC_TEMPLATE_FIELDS[metric] || []).forEach(field => add(field, reason));
+  }
+  
+  for (const input of roiProjections.defaultedInputs) {
+    (ROI_TEMPLATE_FIELDS[input] || []).forEach(field => add(field, `Projection uses a default ${input}`));
+  }
+  
+  for (const [param, field] of Object.entries(PARAM_TEMPLATE_FIELDS)) {
+    if (!additionalParams[param]) {
+      add(field, `No ${param} provided`);
     }
+  }
+  
+  STATIC_TEMPLATE_FIELDS.forEach(field => add(field, 'Fixed template value, not derived from the claims data'));
+  
+  return Array.from(defaulted.values());
+};
+
+// Accept a single path or a list of { path, name } uploads
+const toClaimFiles = (files) => (
+  typeof files === 'string' ? [{ path: files, name: path.basename(files) }] : files
+);
+
+// Parse and normalize every selected sheet of every file into its own claims source
+export const loadClaimSources = async (files, { scheme, sheets } = {}) => {
+  const claimFiles = toClaimFiles(files);
+  const sources = [];
+  
+  for (const file of claimFiles) {
+    const parsedSheets = await parseWorkbookSheets(file.path, { sheets });
     
-    // Calculate ROI projections
-    const roiProjections = calculateROIProjections(metrics);
-    
-    // Format numbers for display with dynamic truncation
-    const formatIndianNumber = (num, maxLength = 12) => {
-      // Handle undefined, null, or 0 values
-      if (!num || num === 0) {
-        return '0';
-      }
+    for (const { sheetName, rows: rawData } of parsedSheets) {
+      // Name sheets only when a workbook contributes more than one
+      const name = parsedSheets.length > 1 ? `${file.name} [${sheetName}]` : file.name;
       
-      let formatted;
-      if (num >= 10000000) {
-        formatted = `${(num / 10000000).toFixed(2)} Cr`;
-      } else if (num >= 100000) {
-        formatted = `${(num / 100000).toFixed(2)} L`;
-      } else {
-        formatted = num.toLocaleString('en-IN');
-      }
+      // Map the export onto the canonical MAA columns, detecting the scheme unless one is given
+      const { profile, rows } = normalizeClaimsData(rawData, { scheme });
       
-      // Truncate if too long
-      if (formatted.length > maxLength) {
-        if (num >= 10000000) {
-          formatted = `${(num / 10000000).toFixed(1)} Cr`;
-        } else if (num >= 100000) {
-          formatted = `${(num / 100000).toFixed(1)} L`;
-        }
+      const validation = validateMAAClaims(rows);
+      if (!validation.valid) {
+        const exportName = claimFiles.length > 1 || parsedSheets.length > 1 ? `${profile.name} export ${name}` : `${profile.name} export`;
+        throw new Error(`${validation.error} (${exportName})`);
       }
       
-      return formatted;
+      sources.push({ name, scheme: { id: profile.id, name: profile.name }, rows });
+    }
+  }
+  
+  return sources;
+};
+
+// Scheme of the merged data set; sources detected as different schemes are reported as mixed
+const combinedScheme = (sources) => {
+  const schemes = new Map(sources.map(source => [source.scheme.id, source.scheme]));
+  if (schemes.size === 1) {
+    return sources[0].scheme;
+  }
+  return { id: 'mixed', name: Array.from(schemes.values(), scheme => scheme.name).join(', ') };
+};
+
+// Parse, validate and merge the claims files; { sources, dataQuality, rows, merge }, with
+// rows and merge left out when the data quality check blocks generation
+const loadMergedClaims = async (files, additionalParams, options) => {
+  // Parse, normalize and validate each file (and selected sheet) separately
+  const sources = await loadClaimSources(files, {
+    scheme: additionalParams.scheme,
+    sheets: options.sheets
+  });
+  
+  // Row-level data quality; too many invalid rows blocks generation
+  const dataQuality = checkClaimSourcesQuality(sources, {
+    thresholds: resolveQualityThresholds(options.qualityThresholds)
+  });
+  if (dataQuality.blocked) {
+    return { sources, dataQuality };
+  }
+  
+  // Merge the sources, keeping each claim from its most recent export
+  const { rows, report: merge } = mergeClaimSources(sources);
+  return { sources, dataQuality, rows, merge };
+};
+
+// Claims to process: { scheme, dataQuality (summary), rows, merge }. `files` is a list of uploads,
+// or a stored dataset ({ datasetId, scheme, dataQuality, merge, rows }) whose claims were already
+// checked and merged when it was saved.
+const loadClaims = async (files, additionalParams, options) => {
+  if (files?.datasetId) {
+    const { scheme, dataQuality, merge, rows } = files;
+    return { scheme, dataQuality, merge, rows };
+  }
+  
+  const { sources, dataQuality, rows, merge } = await loadMergedClaims(files, additionalParams, options);
+  return { scheme: combinedScheme(sources), dataQuality: summarizeDataQuality(dataQuality), rows, merge };
+};
+
+// Parse, check and merge claims files for storing as a dataset: { scheme, dataQuality, rows, merge }
+// with the full data quality report (rows and merge are left out when the check blocks them)
+export const loadClaimsDataset = async (files, { scheme, sheets, qualityThresholds } = {}) => {
+  const { sources, dataQuality, rows, merge } = await loadMergedClaims(files, { scheme }, { sheets, qualityThresholds });
+  return { scheme: combinedScheme(sources), dataQuality, rows, merge };
+};
+
+// Metrics, ROI projections and template data for one hospital's merged claims
+const buildProposalData = (claimsData, additionalParams, options) => {
+  // Calculate metrics
+  const metrics = calculateProposalMetrics(claimsData, { trendBasis: options.trendBasis });
+  
+  // Ensure we have default values for critical metrics
+  if (!metrics.avgDaysToPayment || metrics.avgDaysToPayment === 0) {
+    metrics.avgDaysToPayment = 45; // default value
+    metrics.defaultedMetrics = metrics.defaultedMetrics
+      .filter(entry => entry.metric !== 'avgDaysToPayment')
+      .concat({ metric: 'avgDaysToPayment', reason: 'No payment timing in the file; assumed 45 days' });
+  }
+  if (!metrics.averageClaimAmount || metrics.averageClaimAmount === 0) {
+    metrics.averageClaimAmount = 50000; // default ₹50,000
+    metrics.defaultedMetrics.push({ metric: 'averageClaimAmount', reason: 'No claim values in the file; assumed ₹50,000' });
+  }
+  
+  // Calculate ROI projections
+  const roiProjections = calculateROIProjections(metrics, options.roiAssumptions);
+  
+  // Text, dates and numbers in the proposal's language
+  const locale = options.locale || DEFAULT_LOCALE;
+  const formatAmount = (num) => formatIndianNumber(num, 12, locale);
+  const digits = (text) => localizeDigits(text, locale);
+  const days = (count) => translate(locale, 'profile.days', formatLocalNumber(count, locale));
+  const notAvailable = translate(locale, 'defaults.notAvailable');
+  
+  // Truncate text if too long
+  const truncateText = (text, maxLength = 50) => {
+    if (!text || text.length <= maxLength) return text;
+    return text.substring(0, maxLength - 3) + '...';
+  };
+  
+  // Check if hospital's metric is better than Eyther's promise
+  const shouldShowMetric = (currentValue, eytherTarget, metricType) => {
+    // For denial rate: lower is better, so don't show if hospital's rate < 3%
+    if (metricType === 'denialRate') {
+      return currentValue >= eytherTarget;
+    }
+    // For first pass rate: higher is better, so don't show if hospital's rate > 70%
+    if (metricType === 'firstPassRate') {
+      return currentValue <= eytherTarget;
+    }
+    // For query resolution time: lower is better
+    if (metricType === 'queryResolution') {
+      return currentValue >= eytherTarget;
+    }
+    return true;
+  };
+  
+  // Conditional metrics display flags; hidden rows stay out of the financial table's totals
+  const showDenialMetric = shouldShowMetric(metrics.denialRate, 3, 'denialRate');
+  const showFirstPassMetric = shouldShowMetric(metrics.firstPassRate, 70, 'firstPassRate');
+  const financialImpact = calculateFinancialImpact(metrics, roiProjections, { showDenialMetric, showFirstPassMetric });
+  
+  // Prepare template data
+  const templateData = {
+    // Basic info
+    hospitalName: truncateText(additionalParams.hospitalName || 'Hospital', 40),
+    hospitalLocation: truncateText(additionalParams.hospitalLocation || `${additionalParams.hospitalName || 'Hospital'}, Location`, 60),
+    contactPerson: truncateText(additionalParams.contactPerson || '', 30),
+    email: truncateText(additionalParams.email || '', 40),
+    title: truncateText(additionalParams.title || '', 30),
+    proposalDate: formatLocalDate(new Date(), locale),
+    locale,
+    
+    // Eyther Team Contact information
+    contactEmail: additionalParams.eytherContactEmail || 'contact@eyther.ai',
+    contactPhone: additionalParams.eytherContactPhone || '+91 98765 43210',
+    teamMemberName: additionalParams.eytherTeamMember || 'Eyther Team',
+    
+    // Conditional metrics display flags
+    showDenialMetric,
+    showFirstPassMetric,
+    showQueryMetric: true, // Always show query resolution metric
+    
+    // Key metrics
+    revenueLeakage: formatAmount(metrics.rejectedClaimsAmount),
+    denialRate: digits(metrics.denialRate.toFixed(1)),
+    roiMultiple: roiProjections.roiMultiple,
+    
+    // Analysis data
+    totalClaims: formatLocalNumber(metrics.totalClaims, locale),
+    analysisStartDate: formatLocalDate(metrics.minDate, locale, 'short') ?? notAvailable,
+    analysisEndDate: formatLocalDate(metrics.maxDate, locale, 'short') ?? notAvailable,
+    averageClaimAmount: metrics.averageClaimAmount > 0 ? formatAmount(Math.round(metrics.averageClaimAmount)) : digits('50,000'),
+    
+    // Performance metrics
+    cleanClaimRate: digits(metrics.firstPassRate.toFixed(0)),
+    cleanClaimOpportunity: digits(Math.max(0, 95 - metrics.firstPassRate).toFixed(0)),
+    avgLengthOfStay: metrics.avgLengthOfStay ? Math.round(metrics.avgLengthOfStay) : 4,
+    avgDaysToPayment: days(metrics.avgDaysToPayment > 0 ? Math.round(metrics.avgDaysToPayment) : 45),
+    // Days the ROI projections take off payment time, down to the assumptions' target
+    daysReduction: days(Math.round(Math.max(0,
+      roiProjections.baseline.avgDaysToPayment - roiProjections.baseline.targetDaysToPayment))),
+    firstPassRate: digits(metrics.firstPassRate.toFixed(0)),
+    firstPassOpportunity: digits(Math.max(0, 90 - metrics.firstPassRate).toFixed(0)),
+    leakageRate: digits(metrics.revenueLeakageRate.toFixed(1)),
+    leakageAmount: formatAmount(metrics.rejectedClaimsAmount),
+    
+    // Denial reasons (top five categories), with built-in categories named in the proposal's language
+    denialReasons: metrics.denialReasons.slice(0, 5).map(entry => ({
+      ...entry,
+      reason: lookupMessage(locale, `denialCategories.${entry.category}`) ?? entry.reason
+    })),
+    denialReasonsIndustryTypical: metrics.denialReasonsSource === 'industry_typical',
+    
+    // ROI projections
+    denialPreventionConservative: formatAmount(roiProjections.denialPreventionConservative),
+    denialPreventionExpected: formatAmount(roiProjections.denialPreventionExpected),
+    denialPreventionOptimistic: formatAmount(roiProjections.denialPreventionOptimistic),
+    collectionsConservative: formatAmount(roiProjections.collectionsConservative),
+    collectionsExpected: formatAmount(roiProjections.collectionsExpected),
+    collectionsOptimistic: formatAmount(roiProjections.collectionsOptimistic),
+    efficiencyConservative: formatAmount(roiProjections.efficiencyConservative),
+    efficiencyExpected: formatAmount(roiProjections.efficiencyExpected),
+    efficiencyOptimistic: formatAmount(roiProjections.efficiencyOptimistic),
+    totalBenefitConservative: formatAmount(roiProjections.totalBenefitConservative),
+    totalBenefitExpected: formatAmount(roiProjections.totalBenefitExpected),
+    totalBenefitOptimistic: formatAmount(roiProjections.totalBenefitOptimistic),
+    paybackPeriod: roiProjections.paybackPeriod,
+    
+    // Additional variables for template compatibility
+    monthlyClaimValue: formatAmount(metrics.totalClaimValue / metrics.monthsSpan),
+    primaryDepartments: 'Emergency, ICU, General Medicine, Surgery',
+    monthlyPatientVolume: '2,500 patients',
+    insuranceMix: 'RGHS: 40%, PMJAY: 30%, Private: 20%, Cash: 10%',
+    currentProcessingTime: translate(locale, 'defaults.processingTime'),
+    currentReconciliationTime: '5-7 days',
+    calculatedAnnualImpact: formatAmount(financialImpact.totalAnnual),
+    analysisPeriodMonths: metrics.monthsSpan,
+    
+    // Current vs optimized financial table
+    ...formatFinancialImpactFields(financialImpact, locale),
+    
+    // Monthly trend section
+    ...formatMonthlyTrendFields(metrics.monthlyTrends, locale),
+    
+    // Package insights section (opt-in)
+    ...formatPackageInsightFields(metrics.packageAnalysis, options.includePackageInsights, locale),
+    
+    // Current challenges placeholders
+    reconciliationGaps: '[CURRENT RECONCILIATION GAPS]',
+    terminologyGaps: '[CLAIMS TEAM KNOWLEDGE GAPS]',
+    packageErrors: '[PACKAGE BOOKING ERRORS]',
+    documentationChallenges: '[DOCUMENTATION CHALLENGES]',
+    authorizationTime: '[AUTHORIZATION PROCESSING TIME]',
+    complianceIssues: '[SCHEME COMPLIANCE ISSUES]',
+    
+    // Timeline placeholders
+    contractDate: 'Within 15 days',
+    implementationStartDate: 'Within 30 days',
+    pilotCompletionDate: 'Within 90 days'
+  };
+  
+  return {
+    metrics,
+    roiProjections,
+    templateData,
+    defaultedFields: collectDefaultedFields(metrics, roiProjections, templateData, additionalParams)
+  };
+};
+
+// Main function to process claims files (or a stored dataset) and generate proposal data
+export const processCSVForProposal = async (files, additionalParams = {}, options = {}) => {
+  try {
+    const { scheme, dataQuality, rows, merge } = await loadClaims(files, additionalParams, options);
+    if (dataQuality.blocked) {
+      return {
+        success: false,
+        error: `Data quality check failed: ${dataQuality.blockReason}`,
+        dataQuality
+      };
+    }
+    
+    return {
+      success: true,
+      scheme,
+      merge,
+      ...buildProposalData(rows, additionalParams, options),
+      dataQuality
     };
     
-    // Truncate text if too long
-    const truncateText = (text, maxLength = 50) => {
-      if (!text || text.length <= maxLength) return text;
-      return text.substring(0, maxLength - 3) + '...';
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
     };
+  }
+};
+
+// Hospital names are matched ignoring case and repeated whitespace
+export const normalizeHospitalName = (name) => (name ?? '').toString().trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Process a multi-hospital export: rows are split by Hospital Name and each hospital gets its own
+// metrics and template data. `contacts` maps normalized hospital names to hospital parameters
+// (location, contact person, email, title) that override the shared additionalParams.
+export const processCSVForBatch = async (files, additionalParams = {}, options = {}) => {
+  try {
+    const { scheme, dataQuality, rows, merge } = await loadClaims(files, additionalParams, options);
+    if (dataQuality.blocked) {
+      return {
+        success: false,
+        error: `Data quality check failed: ${dataQuality.blockReason}`,
+        dataQuality
+      };
+    }
     
-    // Check if hospital's metric is better than Eyther's promise
-    const shouldShowMetric = (currentValue, eytherTarget, metricType) => {
-      // For denial rate: lower is better, so don't show if hospital's rate < 3%
-      if (metricType === 'denialRate') {
-        return currentValue >= eytherTarget;
+    // Group rows by hospital, keeping the first spelling of each name
+    const hospitals = new Map();
+    let unassignedRows = 0;
+    for (const row of rows) {
+      const key = normalizeHospitalName(row['Hospital Name']);
+      if (!key) {
+        unassignedRows++;
+        continue;
       }
-      // For first pass rate: higher is better, so don't show if hospital's rate > 70%
-      if (metricType === 'firstPassRate') {
-        return currentValue <= eytherTarget;
+      if (!hospitals.has(key)) {
+        hospitals.set(key, { hospitalName: row['Hospital Name'].toString().trim().replace(/\s+/g, ' '), rows: [] });
       }
-      // For query resolution time: lower is better
-      if (metricType === 'queryResolution') {
-        return currentValue >= eytherTarget;
-      }
-      return true;
-    };
+      hospitals.get(key).rows.push(row);
+    }
     
-    // Prepare template data
-    const templateData = {
-      // Basic info
-      hospitalName: truncateText(additionalParams.hospitalName || 'Hospital', 40),
-      hospitalLocation: truncateText(additionalParams.hospitalLocation || `${additionalParams.hospitalName || 'Hospital'}, Location`, 60),
-      contactPerson: truncateText(additionalParams.contactPerson || '', 30),
-      email: truncateText(additionalParams.email || '', 40),
-      title: truncateText(additionalParams.title || '', 30),
-      proposalDate: new Date().toLocaleDateString('en-IN'),
-      
-      // Eyther Team Contact information
-      contactEmail: additionalParams.eytherContactEmail || 'contact@eyther.ai',
-      contactPhone: additionalParams.eytherContactPhone || '+91 98765 43210',
-      teamMemberName: additionalParams.eytherTeamMember || 'Eyther Team',
-      
-      // Conditional metrics display flags
-      showDenialMetric: shouldShowMetric(metrics.denialRate, 3, 'denialRate'),
-      showFirstPassMetric: shouldShowMetric(metrics.firstPassRate, 70, 'firstPassRate'),
-      showQueryMetric: true, // Always show query resolution metric
-      
-      // Key metrics
-      revenueLeakage: formatIndianNumber(metrics.rejectedClaimsAmount),
-      denialRate: metrics.denialRate.toFixed(1),
-      roiMultiple: roiProjections.roiMultiple,
-      
-      // Analysis data
-      totalClaims: metrics.totalClaims.toLocaleString('en-IN'),
-      analysisStartDate: metrics.minDate ? metrics.minDate.toLocaleDateString('en-IN') : 'N/A',
-      analysisEndDate: metrics.maxDate ? metrics.maxDate.toLocaleDateString('en-IN') : 'N/A',
-      averageClaimAmount: metrics.averageClaimAmount > 0 ? formatIndianNumber(Math.round(metrics.averageClaimAmount)) : '50,000',
-      
-      // Performance metrics
-      cleanClaimRate: metrics.firstPassRate.toFixed(0),
-      cleanClaimOpportunity: Math.max(0, 95 - metrics.firstPassRate).toFixed(0),
-      avgLengthOfStay: metrics.avgLengthOfStay ? Math.round(metrics.avgLengthOfStay) : 4,
-      avgDaysToPayment: metrics.avgDaysToPayment > 0 ? `${Math.round(metrics.avgDaysToPayment)} days` : '45 days',
-      daysReduction: Math.max(0, metrics.avgDaysToPayment - 30),
-      firstPassRate: metrics.firstPassRate.toFixed(0),
-      firstPassOpportunity: Math.max(0, 90 - metrics.firstPassRate).toFixed(0),
-      leakageRate: metrics.revenueLeakageRate.toFixed(1),
-      leakageAmount: formatIndianNumber(metrics.rejectedClaimsAmount),
-      
-      // Denial reasons
-      denialReason1: metrics.denialReasons[0]?.reason || 'Documentation issues',
-      denialPercentage1: metrics.denialReasons[0]?.percentage || 35,
-      denialReason2: metrics.denialReasons[1]?.reason || 'Authorization issues',
-      denialPercentage2: metrics.denialReasons[1]?.percentage || 25,
-      denialReason3: metrics.denialReasons[2]?.reason || 'Coding errors',
-      denialPercentage3: metrics.denialReasons[2]?.percentage || 20,
-      denialReason4: metrics.denialReasons[3]?.reason || 'Eligibility issues',
-      denialPercentage4: metrics.denialReasons[3]?.percentage || 12,
-      denialReason5: metrics.denialReasons[4]?.reason || 'Timely filing issues',
-      denialPercentage5: metrics.denialReasons[4]?.percentage || 8,
-      
-      // ROI projections
-      denialPreventionConservative: formatIndianNumber(roiProjections.denialPreventionConservative),
-      denialPreventionExpected: formatIndianNumber(roiProjections.denialPreventionExpected),
-      denialPreventionOptimistic: formatIndianNumber(roiProjections.denialPreventionOptimistic),
-      collectionsConservative: formatIndianNumber(roiProjections.collectionsConservative),
-      collectionsExpected: formatIndianNumber(roiProjections.collectionsExpected),
-      collectionsOptimistic: formatIndianNumber(roiProjections.collectionsOptimistic),
-      efficiencyConservative: formatIndianNumber(roiProjections.efficiencyConservative),
-      efficiencyExpected: formatIndianNumber(roiProjections.efficiencyExpected),
-      efficiencyOptimistic: formatIndianNumber(roiProjections.efficiencyOptimistic),
-      totalBenefitConservative: formatIndianNumber(roiProjections.totalBenefitConservative),
-      totalBenefitExpected: formatIndianNumber(roiProjections.totalBenefitExpected),
-      totalBenefitOptimistic: formatIndianNumber(roiProjections.totalBenefitOptimistic),
-      paybackPeriod: roiProjections.paybackPeriod,
-      
-      // Additional variables for template compatibility
-      monthlyClaimValue: formatIndianNumber(metrics.totalClaimValue / metrics.monthsSpan),
-      primaryDepartments: 'Emergency, ICU, General Medicine, Surgery',
-      monthlyPatientVolume: '2,500 patients',
-      insuranceMix: 'RGHS: 40%, PMJAY: 30%, Private: 20%, Cash: 10%',
-      currentProcessingTime: '45-60 minutes',
-      currentReconciliationTime: '5-7 days',
-      calculatedAnnualImpact: formatIndianNumber(roiProjections.totalBenefitExpected),
-      
-      // Sample financial calculation
-      denialReductionCurrent: '₹7.5 Lakhs',
-      denialReductionOptimized: '₹1.5 Lakhs',
-      denialReductionSavings: '₹6.0 Lakhs',
-      denialReductionAnnual: '₹72.0 Lakhs',
-      firstPassCurrent: '₹20 Lakhs',
-      firstPassOptimized: '₹15 Lakhs',
-      firstPassSavings: '₹2.5 Lakhs',
-      firstPassAnnual: '₹30.0 Lakhs',
-      arReductionCurrent: '₹83.3 Lakhs',
-      arReductionOptimized: '₹53.3 Lakhs',
-      arReductionSavings: '₹3.0 Lakhs',
-      arReductionAnnual: '₹36.0 Lakhs',
-      adminEfficiencyCurrent: '₹4.0 Lakhs',
-      adminEfficiencyOptimized: '₹1.0 Lakhs',
-      adminEfficiencySavings: '₹3.0 Lakhs',
-      adminEfficiencyAnnual: '₹36.0 Lakhs',
-      totalMonthlyImpact: '₹14.5 Lakhs',
-      totalAnnualImpact: '₹1.74 Crores',
-      
-      // Current challenges placeholders
-      reconciliationGaps: '[CURRENT RECONCILIATION GAPS]',
-      terminologyGaps: '[CLAIMS TEAM KNOWLEDGE GAPS]',
-      packageErrors: '[PACKAGE BOOKING ERRORS]',
-      documentationChallenges: '[DOCUMENTATION CHALLENGES]',
-      authorizationTime: '[AUTHORIZATION PROCESSING TIME]',
-      complianceIssues: '[SCHEME COMPLIANCE ISSUES]',
-      
-      // Timeline placeholders
-      contractDate: 'Within 15 days',
-      implementationStartDate: 'Within 30 days',
-      pilotCompletionDate: 'Within 90 days'
-    };
+    if (hospitals.size === 0) {
+      return {
+        success: false,
+        error: 'No rows have a Hospital Name to split the export by'
+      };
+    }
+    
+    const contacts = options.contacts || new Map();
+    const results = Array.from(hospitals.entries()).map(([key, { hospitalName, rows: hospitalRows }]) => {
+      const hospitalParams = {
+        ...additionalParams,
+        hospitalName,
+        ...contacts.get(key)
+      };
+      return {
+        hospitalName,
+        hospitalParams,
+        rows: hospitalRows.length,
+        ...buildProposalData(hospitalRows, hospitalParams, options)
+      };
+    });
     
     return {
       success: true,
-      metrics,
-      roiProjections,
-      templateData
+      scheme,
+      merge,
+      hospitals: results,
+      unassignedRows,
+      unmatchedContacts: Array.from(contacts.entries())
+        .filter(([key]) => !hospitals.has(key))
+        .map(([, contact]) => contact.hospitalName),
+      dataQuality
     };
     
   } catch (error) {
@@ -612,13 +1319,36 @@ export const processCSVForProposal = async (filePath, additionalParams = {}) =>
   }
 };
 
+// Run the row-level data quality checks on claims files without computing metrics
+export const checkClaimsFileQuality = async (files, { scheme, sheets, qualityThresholds } = {}) => {
+  const sources = await loadClaimSources(files, { scheme, sheets });
+  
+  return {
+    scheme: combinedScheme(sources),
+    report: checkClaimSourcesQuality(sources, { thresholds: resolveQualityThresholds(qualityThresholds) })
+  };
+};
+
 // Export for use in other modules
 export default {
+  parseWorkbookSheets,
   parseCSVFile,
+  loadClaimSources,
+  loadClaimsDataset,
   validateMAAClaims,
   preprocessMAAClaims,
   groupDataByTID,
+  calculateMonthlyTrends,
+  calculatePaymentAging,
+  calculateStatusBreakdown,
+  calculatePackageAnalysis,
   calculateProposalMetrics,
   calculateROIProjections,
-  processCSVForProposal
+  calculateFinancialImpact,
+  formatMonthlyTrendFields,
+  formatPackageInsightFields,
+  processCSVForProposal,
+  processCSVForBatch,
+  normalizeHospitalName,
+  checkClaimsFileQuality
 };
\ No newline at end of file
@@ -0,0 +1,240 @@
+import xlsx from 'xlsx';
+import { parseNumber, parseDate } from './valueParsers.js';
+
+const AMOUNT_COLUMNS = ['Pkg Rate', 'Approved Amount'];
+const DATE_COLUMNS = ['Date of Admission', 'Date of Discharge', 'Payment Date'];
+
+// Fields that must agree across all rows sharing a TID (component rows repeat them)
+const CLAIM_LEVEL_COLUMNS = ['Patient Name', 'Hospital Name', 'Date of Admission'];
+
+// Default limits before generation is blocked; override per request or via environment
+export const DEFAULT_QUALITY_THRESHOLDS = {
+  maxInvalidRowPercentage: parseFloat(process.env.DATA_QUALITY_MAX_INVALID_PERCENT) || 10,
+  maxInvalidRows: parseInt(process.env.DATA_QUALITY_MAX_INVALID_ROWS) || null
+};
+
+const isBlank = (value) => value === undefined || value === null || value.toString().trim() === '';
+
+// Accept plain numbers with thousands separators and rupee markers (₹, Rs., INR)
+const isNumericAmount = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value);
+  const cleaned = value.toString().replace(/₹|rs\.?|inr|,|\s/gi, '');
+  return /^-?\d+(\.\d+)?$/.test(cleaned);
+};
+
+const formatValue = (value) => (value instanceof Date ? value.toISOString().slice(0, 10) : value);
+
+// Spreadsheet row number of a data row (row 1 is the header)
+const toSheetRow = (index) => index + 2;
+
+// Check request overrides before they are used; returns the errors (none when valid or not
+// given). A percentage must be 0-100 and a row count a whole number of at least 0.
+export const validateQualityThresholds = (overrides = {}) => {
+  const errors = [];
+
+  if (!isBlank(overrides.maxInvalidRowPercentage)) {
+    const percentage = Number(overrides.maxInvalidRowPercentage);
+    if (!Number.isFinite(percentage) || percentage < 0 || percentage > 100) {
+      errors.push('maxInvalidRowPercentage must be a number between 0 and 100');
+    }
+  }
+  if (!isBlank(overrides.maxInvalidRows)) {
+    const rows = Number(overrides.maxInvalidRows);
+    if (!Number.isInteger(rows) || rows < 0) {
+      errors.push('maxInvalidRows must be a whole number of at least 0');
+    }
+  }
+
+  return errors;
+};
+
+// Merge request overrides with the default thresholds, ignoring empty values
+export const resolveQualityThresholds = (overrides = {}) => {
+  const thresholds = { ...DEFAULT_QUALITY_THRESHOLDS };
+
+  if (!isBlank(overrides.maxInvalidRowPercentage)) {
+    thresholds.maxInvalidRowPercentage = parseFloat(overrides.maxInvalidRowPercentage);
+  }
+  if (!isBlank(overrides.maxInvalidRows)) {
+    thresholds.maxInvalidRows = parseInt(overrides.maxInvalidRows);
+  }
+
+  return thresholds;
+};
+
+// Check one source's rows; issues carry the source name when one is given
+const collectIssues = (rows, source) => {
+  const issues = [];
+  const invalidRows = new Set();
+  const firstRowByTID = new Map();
+
+  const addIssue = (index, row, column, code, reason, severity = 'error') => {
+    issues.push({
+      ...(source && { source }),
+      row: toSheetRow(index),
+      tid: row['TID'] ?? null,
+      column,
+      value: formatValue(row[column]) ?? null,
+      code,
+      reason,
+      severity
+    });
+    if (severity === 'error') {
+      invalidRows.add(index);
+    }
+  };
+
+  rows.forEach((row, index) => {
+    if (isBlank(row['TID'])) {
+      addIssue(index, row, 'TID', 'missing_tid', 'Missing TID; row is excluded from all metrics');
+    }
+
+    for (const column of AMOUNT_COLUMNS) {
+      if (isBlank(row[column])) continue;
+      if (!isNumericAmount(row[column])) {
+        addIssue(index, row, column, 'non_numeric_amount', 'Non-numeric amount');
+      } else if (parseNumber(row[column]) < 0) {
+        addIssue(index, row, column, 'negative_amount', 'Negative amount');
+      }
+    }
+
+    const dates = {};
+    for (const column of DATE_COLUMNS) {
+      if (isBlank(row[column])) continue;
+      dates[column] = parseDate(row[column]);
+      if (!dates[column]) {
+        addIssue(index, row, column, 'unparseable_date', 'Unparseable date');
+      }
+    }
+
+    if (
+      !isBlank(row['Pkg Rate']) && !isBlank(row['Approved Amount']) &&
+      isNumericAmount(row['Pkg Rate']) && isNumericAmount(row['Approved Amount']) &&
+      parseNumber(row['Approved Amount']) > parseNumber(row['Pkg Rate'])
+    ) {
+      addIssue(index, row, 'Approved Amount', 'approved_exceeds_package', 'Approved amount exceeds package rate', 'warning');
+    }
+
+    if (dates['Date of Admission'] && dates['Date of Discharge'] && dates['Date of Discharge'] < dates['Date of Admission']) {
+      addIssue(index, row, 'Date of Discharge', 'discharge_before_admission', 'Discharge date is before admission date');
+    }
+
+    // Component rows of one claim must describe the same patient, hospital and admission
+    if (!isBlank(row['TID'])) {
+      const tid = row['TID'].toString().trim();
+      if (!firstRowByTID.has(tid)) {
+        firstRowByTID.set(tid, index);
+      } else {
+        const firstIndex = firstRowByTID.get(tid);
+        const first = rows[firstIndex];
+        for (const column of CLAIM_LEVEL_COLUMNS) {
+          const a = formatValue(first[column]);
+          const b = formatValue(row[column]);
+          if (!isBlank(a) && !isBlank(b) && a.toString().trim() !== b.toString().trim()) {
+            addIssue(index, row, column, 'conflicting_duplicate_tid', `Conflicts with row ${toSheetRow(firstIndex)} for the same TID`);
+          }
+        }
+      }
+    }
+  });
+
+  return { issues, invalidRowCount: invalidRows.size };
+};
+
+// Validate every normalized claims row of each source and report problems by row, column and
+// reason. Errors make a row invalid and count towards the thresholds; warnings are reported only.
+export const checkClaimSourcesQuality = (sources, { thresholds = DEFAULT_QUALITY_THRESHOLDS } = {}) => {
+  const issues = [];
+  let totalRows = 0;
+  let invalidRowCount = 0;
+
+  for (const source of sources) {
+    const result = collectIssues(source.rows, source.name);
+    issues.push(...result.issues);
+    totalRows += source.rows.length;
+    invalidRowCount += result.invalidRowCount;
+  }
+
+  const invalidRowPercentage = totalRows > 0 ? (invalidRowCount / totalRows) * 100 : 0;
+
+  const issueCounts = issues.reduce((acc, issue) => {
+    acc[issue.code] = (acc[issue.code] || 0) + 1;
+    return acc;
+  }, {});
+
+  let blockReason = null;
+  if (thresholds.maxInvalidRows !== null && invalidRowCount > thresholds.maxInvalidRows) {
+    blockReason = `${invalidRowCount} invalid rows exceeds the limit of ${thresholds.maxInvalidRows}`;
+  } else if (invalidRowPercentage > thresholds.maxInvalidRowPercentage) {
+    blockReason = `${invalidRowPercentage.toFixed(1)}% invalid rows exceeds the limit of ${thresholds.maxInvalidRowPercentage}%`;
+  }
+
+  return {
+    totalRows,
+    invalidRows: invalidRowCount,
+    invalidRowPercentage: Math.round(invalidRowPercentage * 10) / 10,
+    warnings: issues.filter(issue => issue.severity === 'warning').length,
+    issueCounts,
+    thresholds,
+    blocked: blockReason !== null,
+    blockReason,
+    issues
+  };
+};
+
+// Single-source form of checkClaimSourcesQuality
+export const checkClaimsDataQuality = (rows, options = {}) => checkClaimSourcesQuality([{ rows }], options);
+
+// Report without the per-row issue list, for embedding in other responses
+export const summarizeDataQuality = (report) => {
+  const { issues, ...summary } = report;
+  return summary;
+};
+
+// Build a downloadable XLSX with a summary sheet and one row per issue
+export const buildDataQualityWorkbook = (report) => {
+  const workbook = xlsx.utils.book_new();
+
+  const summaryRows = [
+    ['Total rows', report.totalRows],
+    ['Invalid rows', report.invalidRows],
+    ['Invalid row percentage', report.invalidRowPercentage],
+    ['Warnings', report.warnings],
+    ['Max invalid row percentage', report.thresholds.maxInvalidRowPercentage],
+    ['Max invalid rows', report.thresholds.maxInvalidRows ?? 'No limit'],
+    ['Generation blocked', report.blocked ? 'Yes' : 'No'],
+    ['Block reason', report.blockReason || ''],
+    [],
+    ['Issue', 'Count'],
+    ...Object.entries(report.issueCounts)
+  ];
+  xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet(summaryRows), 'Summary');
+
+  const hasSources = report.issues.some(issue => issue.source);
+  const issueRows = report.issues.map(issue => ({
+    ...(hasSources && { 'Source': issue.source }),
+    'Row': issue.row,
+    'TID': issue.tid,
+    'Column': issue.column,
+    'Value': issue.value,
+    'Severity': issue.severity,
+    'Issue': issue.code,
+    'Reason': issue.reason
+  }));
+  const issueSheet = xlsx.utils.json_to_sheet(issueRows, {
+    header: [...(hasSources ? ['Source'] : []), 'Row', 'TID', 'Column', 'Value', 'Severity', 'Issue', 'Reason']
+  });
+  xlsx.utils.book_append_sheet(workbook, issueSheet, 'Issues');
+
+  return xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+export default {
+  DEFAULT_QUALITY_THRESHOLDS,
+  validateQualityThresholds,
+  resolveQualityThresholds,
+  checkClaimSourcesQuality,
+  checkClaimsDataQuality,
+  summarizeDataQuality,
+  buildDataQualityWorkbook
+};
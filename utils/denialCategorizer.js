@@ -0,0 +1,73 @@
+import {
+  DENIAL_CATEGORIES,
+  OTHER_DENIAL_CATEGORY,
+  UNSPECIFIED_DENIAL_CATEGORY,
+  INDUSTRY_TYPICAL_DENIAL_REASONS
+} from '../config/denialCategories.js';
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Map one free-text remark onto a denial category
+export const categorizeRemark = (remark, categories = DENIAL_CATEGORIES) => {
+  const text = (remark ?? '').toString().trim().toLowerCase();
+  if (text === '') return UNSPECIFIED_DENIAL_CATEGORY;
+
+  let best = null;
+  let bestHits = 0;
+
+  for (const category of categories) {
+    const hits = category.keywords.filter(keyword => text.includes(keyword.toLowerCase())).length;
+    if (hits > bestHits) {
+      best = category;
+      bestHits = hits;
+    }
+  }
+
+  return best || OTHER_DENIAL_CATEGORY;
+};
+
+// Break rejected claims down by denial category, by count and by rupee value.
+// Falls back to the industry-typical distribution when the export has no remarks.
+export const analyzeDenialReasons = (rejectedClaims, { categories = DENIAL_CATEGORIES } = {}) => {
+  const hasRemarks = rejectedClaims.some(claim =>
+    claim['Remarks'] !== undefined && claim['Remarks'] !== null && claim['Remarks'].toString().trim() !== ''
+  );
+
+  if (!hasRemarks) {
+    return {
+      source: 'industry_typical',
+      reasons: INDUSTRY_TYPICAL_DENIAL_REASONS.map(entry => ({ ...entry }))
+    };
+  }
+
+  const totals = new Map();
+  let totalAmount = 0;
+
+  for (const claim of rejectedClaims) {
+    const category = categorizeRemark(claim['Remarks'], categories);
+    const amount = claim['Pkg Rate'] || 0;
+
+    if (!totals.has(category.id)) {
+      totals.set(category.id, { category: category.id, reason: category.label, count: 0, amount: 0 });
+    }
+    const entry = totals.get(category.id);
+    entry.count += 1;
+    entry.amount += amount;
+    totalAmount += amount;
+  }
+
+  const reasons = Array.from(totals.values())
+    .map(entry => ({
+      ...entry,
+      percentage: round1((entry.count / rejectedClaims.length) * 100),
+      amountPercentage: totalAmount > 0 ? round1((entry.amount / totalAmount) * 100) : 0
+    }))
+    .sort((a, b) => b.count - a.count || b.amount - a.amount);
+
+  return { source: 'claims_data', reasons };
+};
+
+export default {
+  categorizeRemark,
+  analyzeDenialReasons
+};
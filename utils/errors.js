@@ -0,0 +1,10 @@
+// Error for a bad request value, surfaced to the client with its status
+export function clientError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+export default {
+  clientError
+};
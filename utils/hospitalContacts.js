@@ -0,0 +1,70 @@
+// Per-hospital contact details for batch proposals, read from an optional mapping sheet.
+//
+// The sheet has one row per hospital with a "Hospital Name" column matching the claims export
+// and any of the contact columns below (headers are matched ignoring case and spacing).
+// Later rows for the same hospital replace earlier ones.
+
+import { parseWorkbookSheets, normalizeHospitalName } from './dataProcessor.js';
+
+// Hospital parameter for each accepted header
+const CONTACT_COLUMNS = {
+  hospitalname: 'hospitalName',
+  hospital: 'hospitalName',
+  hospitallocation: 'hospitalLocation',
+  location: 'hospitalLocation',
+  contactperson: 'contactPerson',
+  contactname: 'contactPerson',
+  email: 'email',
+  contactemail: 'email',
+  title: 'title',
+  designation: 'title'
+};
+
+const normalizeHeader = (header) => header.toString().toLowerCase().replace(/[^a-z]/g, '');
+
+// Map of normalized hospital name to hospital parameters, from parsed sheet rows and the sheet's
+// header row (the first row's keys miss columns it leaves blank)
+export const buildHospitalContacts = (rows, headers = Object.keys(rows[0] || {})) => {
+  const columns = new Map();
+  for (const header of headers) {
+    const param = CONTACT_COLUMNS[normalizeHeader(header)];
+    if (param && !Array.from(columns.values()).includes(param)) {
+      columns.set(header, param);
+    }
+  }
+
+  if (!Array.from(columns.values()).includes('hospitalName')) {
+    throw new Error(`Missing Hospital Name column. Found: ${headers.join(', ')}`);
+  }
+
+  const contacts = new Map();
+  for (const row of rows) {
+    const contact = {};
+    for (const [header, param] of columns) {
+      const value = (row[header] ?? '').toString().trim();
+      if (value) contact[param] = value;
+    }
+
+    const key = normalizeHospitalName(contact.hospitalName);
+    if (key) {
+      contacts.set(key, contact);
+    }
+  }
+
+  return contacts;
+};
+
+// Read the mapping sheet (first sheet of a CSV or Excel file)
+export const loadHospitalContacts = async (filePath) => {
+  try {
+    const [{ headers, rows }] = await parseWorkbookSheets(filePath);
+    return buildHospitalContacts(rows, headers);
+  } catch (error) {
+    throw new Error(`Invalid contacts mapping: ${error.message}`);
+  }
+};
+
+export default {
+  buildHospitalContacts,
+  loadHospitalContacts
+};
@@ -0,0 +1,125 @@
+import en from '../config/locales/en.js';
+import hi from '../config/locales/hi.js';
+import gu from '../config/locales/gu.js';
+
+// Proposal locales by code (config/locales)
+const LOCALES = { en, hi, gu };
+
+export const DEFAULT_LOCALE = 'en';
+
+export const SUPPORTED_LOCALES = Object.keys(LOCALES);
+
+export const isSupportedLocale = (code) => typeof code === 'string' && Object.hasOwn(LOCALES, code);
+
+// Locale settings by code; unknown codes get the default locale
+export const getLocale = (code) => LOCALES[isSupportedLocale(code) ? code : DEFAULT_LOCALE];
+
+const LAKH = 100000;
+const CRORE = 10000000;
+
+// Intl locale tag with the locale's digits, e.g. 'hi-IN-u-nu-deva'
+const numberLocale = (locale) => `${locale.intlLocale}-u-nu-${locale.numberingSystem}`;
+
+const digitTables = new Map();
+
+// The locale's digits 0-9
+const nativeDigits = (locale) => {
+  if (!digitTables.has(locale.code)) {
+    const format = new Intl.NumberFormat(numberLocale(locale), { useGrouping: false });
+    digitTables.set(locale.code, Array.from({ length: 10 }, (_, digit) => format.format(digit)));
+  }
+  return digitTables.get(locale.code);
+};
+
+// Replace ASCII digits in already formatted text (e.g. '12.5', '0–30') with the locale's digits
+export const localizeDigits = (text, code = DEFAULT_LOCALE) => {
+  const locale = getLocale(code);
+  if (locale.numberingSystem === 'latn') return String(text);
+
+  const digits = nativeDigits(locale);
+  return String(text).replace(/[0-9]/g, digit => digits[digit]);
+};
+
+// Message by dotted key (`trend.basis.admission`, `roadmap.phases.0.title`); undefined when the
+// locale has no such message
+export const lookupMessage = (code, key) => {
+  let value = getLocale(code).messages;
+  for (const segment of key.split('.')) {
+    if (value === null || typeof value !== 'object' || !Object.hasOwn(value, segment)) return undefined;
+    value = value[segment];
+  }
+  return value;
+};
+
+// Translated text for a key, falling back to English and then to the key itself. `{0}`, `{1}`
+// are replaced by the params in order; digits in the message itself are shown in the locale's
+// digits, params are inserted as given.
+export const translate = (code, key, ...params) => {
+  const message = lookupMessage(code, key) ?? lookupMessage(DEFAULT_LOCALE, key);
+  if (typeof message !== 'string') return key;
+
+  return message.replace(/\{(\d+)\}|[0-9]+/g, (match, index) => {
+    if (index === undefined) return localizeDigits(match, code);
+    const param = params[Number(index)];
+    return param === undefined || param === null ? '' : String(param);
+  });
+};
+
+// Grouped number in the locale's digits (Indian grouping: 12,34,567)
+export const formatLocalNumber = (value, code = DEFAULT_LOCALE, options = {}) => (
+  new Intl.NumberFormat(numberLocale(getLocale(code)), options).format(value)
+);
+
+// ₹ amounts: "full" (₹12,34,567), "short" (₹12.35 L), "words" (₹12.3 Lakhs) or "compact" for chart
+// labels (₹12.3L, ₹45K), with the locale's unit names and digits
+export const formatRupees = (value, code = DEFAULT_LOCALE, style = 'full') => {
+  const { units } = getLocale(code);
+  const magnitude = Math.abs(value);
+  const amount = (number, decimals) => localizeDigits(number.toFixed(decimals), code);
+  const rounded = (number) => localizeDigits(Math.round(number * 10) / 10, code);
+
+  if (style === 'short' || style === 'words') {
+    if (magnitude >= CRORE) return `₹${amount(value / CRORE, 2)}${units[style].crore}`;
+    if (magnitude >= LAKH) return `₹${amount(value / LAKH, style === 'short' ? 2 : 1)}${units[style].lakh}`;
+  }
+  if (style === 'compact') {
+    if (magnitude >= CRORE) return `₹${rounded(value / CRORE)}${units.compact.crore}`;
+    if (magnitude >= LAKH) return `₹${rounded(value / LAKH)}${units.compact.lakh}`;
+    if (magnitude >= 1000) return `₹${rounded(value / 1000)}${units.compact.thousand}`;
+    return `₹${localizeDigits(Math.round(value), code)}`;
+  }
+  return `₹${formatLocalNumber(Math.round(value), code)}`;
+};
+
+// Dates, Date objects or ISO strings: "short" (19/10/2026) or "long" (19 October 2026); defaults
+// to the locale's proposal date style. Returns null for missing or invalid dates.
+export const formatLocalDate = (value, code = DEFAULT_LOCALE, style) => {
+  if (value === null || value === undefined || value === '') return null;
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date)) return null;
+
+  const locale = getLocale(code);
+  return (style ?? locale.dateStyle) === 'long'
+    ? date.toLocaleDateString(numberLocale(locale), { day: 'numeric', month: 'long', year: 'numeric' })
+    : date.toLocaleDateString(numberLocale(locale));
+};
+
+// Trend month label from a 'YYYY-MM' key, e.g. 'Mar 2025'
+export const formatMonthLabel = (month, code = DEFAULT_LOCALE) => {
+  const [year, monthNumber] = month.split('-');
+  return `${getLocale(code).monthsShort[Number(monthNumber) - 1]} ${localizeDigits(year, code)}`;
+};
+
+export default {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  isSupportedLocale,
+  getLocale,
+  localizeDigits,
+  lookupMessage,
+  translate,
+  formatLocalNumber,
+  formatRupees,
+  formatLocalDate,
+  formatMonthLabel
+};
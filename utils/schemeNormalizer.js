@@ -0,0 +1,215 @@
+import {
+  REQUIRED_COLUMNS,
+  CANONICAL_STATUSES,
+  SCHEME_PROFILES,
+  getSchemeProfile
+} from '../config/schemeProfiles.js';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const DATE_COLUMNS = ['Date of Admission', 'Date of Discharge', 'Payment Date'];
+
+// Regex fragment and capture role for each date format token (longest tokens first)
+const DATE_TOKENS = [
+  ['YYYY', '(\\d{4})', 'year'],
+  ['MMMM', '([A-Za-z]+)', 'monthName'],
+  ['MMM', '([A-Za-z]{3})', 'monthName'],
+  ['MM', '(\\d{2})', 'month'],
+  ['DD', '(\\d{2})', 'day'],
+  ['M', '(\\d{1,2})', 'month'],
+  ['D', '(\\d{1,2})', 'day']
+];
+
+const TIME_PATTERN = '(?:[\\sT]+(\\d{1,2}):(\\d{2})(?::(\\d{2}))?\\s*([AaPp][Mm])?)?';
+
+// Compile a format such as 'DD-MMM-YYYY' into a matcher
+const compileDateFormat = (format) => {
+  const roles = [];
+  let pattern = '';
+  let rest = format;
+
+  while (rest.length > 0) {
+    const token = DATE_TOKENS.find(([name]) => rest.startsWith(name));
+    if (token) {
+      pattern += token[1];
+      roles.push(token[2]);
+      rest = rest.slice(token[0].length);
+    } else {
+      pattern += /\s/.test(rest[0]) ? '\\s*' : `\\s*${rest[0].replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*`;
+      rest = rest.slice(1);
+    }
+  }
+
+  return { regex: new RegExp(`^${pattern}${TIME_PATTERN}$`), roles };
+};
+
+const compiledFormats = new Map();
+
+// Parse a date string using the first matching format, or null when none match
+export const parseDateWithFormats = (value, formats = []) => {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  if (trimmed === '') return null;
+
+  for (const format of formats) {
+    if (!compiledFormats.has(format)) {
+      compiledFormats.set(format, compileDateFormat(format));
+    }
+    const { regex, roles } = compiledFormats.get(format);
+    const match = trimmed.match(regex);
+    if (!match) continue;
+
+    const parts = {};
+    roles.forEach((role, index) => { parts[role] = match[index + 1]; });
+
+    const month = parts.monthName
+      ? MONTHS.indexOf(parts.monthName.slice(0, 3).toLowerCase())
+      : parseInt(parts.month) - 1;
+    const day = parseInt(parts.day);
+    const year = parseInt(parts.year);
+    if (month < 0 || month > 11 || day < 1 || day > 31) continue;
+
+    let hours = parseInt(match[roles.length + 1]) || 0;
+    const minutes = parseInt(match[roles.length + 2]) || 0;
+    const seconds = parseInt(match[roles.length + 3]) || 0;
+    const meridiem = match[roles.length + 4]?.toUpperCase();
+    if (meridiem === 'PM' && hours < 12) hours += 12;
+    if (meridiem === 'AM' && hours === 12) hours = 0;
+
+    const parsed = new Date(year, month, day, hours, minutes, seconds);
+    // Reject rollovers such as 31/02
+    if (parsed.getMonth() === month && parsed.getDate() === day) {
+      return parsed;
+    }
+  }
+
+  return null;
+};
+
+// Collect every header that appears in the data (empty cells are omitted from individual rows)
+const collectHeaders = (data) => {
+  const headers = new Set();
+  data.forEach(row => Object.keys(row).forEach(key => headers.add(key)));
+  return headers;
+};
+
+// Resolve each canonical column to the header present in the file
+const resolveColumns = (profile, headers) => {
+  const lowerHeaders = new Map(Array.from(headers, header => [header.trim().toLowerCase(), header]));
+  const columnMap = {};
+
+  for (const [canonical, aliases] of Object.entries(profile.columns)) {
+    const header = aliases
+      .map(alias => lowerHeaders.get(alias.toLowerCase()))
+      .find(Boolean);
+    if (header) {
+      columnMap[canonical] = header;
+    }
+  }
+
+  return {
+    columnMap,
+    missingColumns: REQUIRED_COLUMNS.filter(col => !columnMap[col])
+  };
+};
+
+// Pick the profile whose columns best match the header row
+export const detectSchemeProfile = (data) => {
+  const headers = collectHeaders(data);
+
+  const candidates = Object.values(SCHEME_PROFILES).map(profile => ({
+    profile,
+    ...resolveColumns(profile, headers)
+  }));
+
+  // Prefer profiles with every required column, then the most matched columns
+  candidates.sort((a, b) =>
+    a.missingColumns.length - b.missingColumns.length ||
+    Object.keys(b.columnMap).length - Object.keys(a.columnMap).length
+  );
+
+  return candidates[0];
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A status term as a whole-word pattern that a preceding negation ("not paid", "non-approved",
+// "un-paid") does not match; "unpaid" already fails the word boundary
+const toStatusPattern = (term) => new RegExp(
+  `(?<!\\b(?:not|non|no|un)[\\s-]+)\\b${escapeRegExp(term).replace(/ /g, '[\\s-]+')}\\b`,
+  'i'
+);
+
+// Compiled status patterns per profile id
+const statusPatterns = new Map();
+
+const getStatusPatterns = (profile) => {
+  if (!statusPatterns.has(profile.id)) {
+    statusPatterns.set(profile.id, profile.statuses.map(([category, terms]) => [category, terms.map(toStatusPattern)]));
+  }
+  return statusPatterns.get(profile.id);
+};
+
+// Map a portal status onto the canonical MAA status vocabulary
+const normalizeStatus = (status, profile) => {
+  if (!profile.statuses || status === undefined || status === null) return status;
+
+  const text = status.toString();
+  const match = getStatusPatterns(profile).find(([, patterns]) => patterns.some(pattern => pattern.test(text)));
+  return match ? CANONICAL_STATUSES[match[0]] : status;
+};
+
+// Rename columns, statuses and dates to the canonical MAA shape
+export const normalizeClaimsData = (data, { scheme } = {}) => {
+  let resolved;
+
+  if (scheme) {
+    const profile = getSchemeProfile(scheme);
+    if (!profile) {
+      throw new Error(`Unknown scheme: ${scheme}. Supported schemes: ${Object.keys(SCHEME_PROFILES).join(', ')}`);
+    }
+    resolved = { profile, ...resolveColumns(profile, collectHeaders(data)) };
+  } else {
+    resolved = detectSchemeProfile(data);
+  }
+
+  const { profile, columnMap, missingColumns } = resolved;
+  const mappedHeaders = new Set(Object.values(columnMap));
+
+  const rows = data.map(row => {
+    const normalized = {};
+
+    // Keep columns the profile does not know about (e.g. remarks) under their own names
+    for (const [key, value] of Object.entries(row)) {
+      if (!mappedHeaders.has(key)) {
+        normalized[key] = value;
+      }
+    }
+
+    for (const [canonical, header] of Object.entries(columnMap)) {
+      normalized[canonical] = row[header];
+    }
+
+    if (profile.statuses && 'Status' in normalized) {
+      normalized['Original Status'] = normalized['Status'];
+      normalized['Status'] = normalizeStatus(normalized['Status'], profile);
+    }
+
+    for (const column of DATE_COLUMNS) {
+      const parsed = parseDateWithFormats(normalized[column], profile.dateFormats);
+      if (parsed) {
+        normalized[column] = parsed;
+      }
+    }
+
+    return normalized;
+  });
+
+  return { profile, columnMap, missingColumns, rows };
+};
+
+export default {
+  parseDateWithFormats,
+  detectSchemeProfile,
+  normalizeClaimsData
+};
@@ -0,0 +1,37 @@
+// Parse numeric values (same as frontend)
+export const parseNumber = (value) => {
+  if (!value || value === '') return 0;
+  const cleaned = value.toString().replace(/[^0-9.-]/g, '');
+  return parseFloat(cleaned) || 0;
+};
+
+// Parse date strings from various formats
+export const parseDate = (dateString) => {
+  if (!dateString) return null;
+  if (dateString instanceof Date) return dateString;
+  if (typeof dateString !== 'string') return null;
+  const trimmed = dateString.trim();
+  if (trimmed === '') return null;
+
+  // Handle custom format: ' 17,February , 2025 12:00 AM'
+  const customMatch = trimmed.match(/^(\d{1,2}),([A-Za-z]+)\s*,\s*(\d{4})\s*(.*)$/);
+  if (customMatch) {
+    const day = customMatch[1];
+    const month = customMatch[2];
+    const year = customMatch[3];
+    const time = customMatch[4] || '00:00 AM';
+    const reformatted = `${day} ${month} ${year} ${time}`;
+    const parsed = new Date(reformatted);
+    if (!isNaN(parsed)) return parsed;
+  }
+
+  // Fallback to standard parsing
+  const parsed = new Date(trimmed);
+  if (!isNaN(parsed)) return parsed;
+  return null;
+};
+
+export default {
+  parseNumber,
+  parseDate
+};